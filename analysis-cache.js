@@ -0,0 +1,178 @@
+// Persistent analysis cache for AI Bias Detector
+// Stores results in chrome.storage.local so they survive service worker restarts
+
+class AnalysisCache {
+    /**
+     * @param {Object} [options] Cache options
+     * @param {number} [options.maxEntries] Maximum number of cached results
+     * @param {number} [options.expiry] Time to live in milliseconds
+     */
+    constructor(options = {}) {
+        this.prefix = 'analysisCache:';
+        this.indexKey = 'analysisCacheIndex';
+        this.maxEntries = options.maxEntries || 100;
+        this.expiry = options.expiry || 24 * 60 * 60 * 1000; // 24 hours
+
+        // Serializes index updates so concurrent requests don't overwrite each other
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Generate a SHA-256 cache key for text analyzed by a specific provider
+     * @param {string} text Text to analyze
+     * @param {string} providerId Provider identifier
+     * @param {string} modelVersion Provider model or endpoint version
+     * @returns {Promise<string>} Hex-encoded cache key
+     */
+    async generateKey(text, providerId, modelVersion) {
+        const normalized = this.normalizeText(text);
+        const data = new TextEncoder().encode(`${providerId}\u0000${modelVersion}\u0000${normalized}`);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Normalize text so insignificant differences share a cache entry
+     * @param {string} text Raw text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Get a cached result, refreshing its LRU position
+     * @param {string} key Cache key
+     * @returns {Promise<Object|null>} Cached result or null
+     */
+    async get(key) {
+        return this.runExclusive(async () => {
+            const storageKey = this.prefix + key;
+            const stored = await chrome.storage.local.get(storageKey);
+            const entry = stored[storageKey];
+            const index = await this.loadIndex();
+
+            if (!entry) {
+                if (index.has(key)) {
+                    index.delete(key);
+                    await this.saveIndex(index);
+                }
+                return null;
+            }
+
+            if (Date.now() - entry.timestamp >= this.expiry) {
+                await this.removeEntries(index, [key]);
+                return null;
+            }
+
+            index.set(key, Date.now());
+            await this.saveIndex(index);
+
+            return entry.result;
+        });
+    }
+
+    /**
+     * Save a result, evicting the least recently used entries if needed
+     * @param {string} key Cache key
+     * @param {Object} result Result to cache
+     */
+    async set(key, result) {
+        return this.runExclusive(async () => {
+            const index = await this.loadIndex();
+            const now = Date.now();
+
+            await chrome.storage.local.set({
+                [this.prefix + key]: { result: result, timestamp: now }
+            });
+            index.set(key, now);
+
+            if (index.size > this.maxEntries) {
+                const leastRecent = Array.from(index.entries())
+                    .sort((a, b) => a[1] - b[1])
+                    .slice(0, index.size - this.maxEntries)
+                    .map(([entryKey]) => entryKey);
+                await this.removeEntries(index, leastRecent);
+            } else {
+                await this.saveIndex(index);
+            }
+        });
+    }
+
+    /**
+     * Remove every cached result
+     */
+    async clear() {
+        return this.runExclusive(async () => {
+            // Scan storage as well as the index so orphaned entries are removed too
+            const stored = await chrome.storage.local.get(null);
+            const keys = Object.keys(stored).filter(key => key.startsWith(this.prefix));
+
+            await chrome.storage.local.remove([...keys, this.indexKey]);
+            console.log('Analysis cache cleared:', keys.length, 'entries');
+        });
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} Entry count and limits
+     */
+    async getStats() {
+        return this.runExclusive(async () => {
+            const index = await this.loadIndex();
+            return {
+                entries: index.size,
+                maxEntries: this.maxEntries,
+                expiry: this.expiry
+            };
+        });
+    }
+
+    /**
+     * Remove entries and persist the index
+     * @param {Map} index Current LRU index
+     * @param {Array<string>} keys Cache keys to remove
+     */
+    async removeEntries(index, keys) {
+        keys.forEach(key => index.delete(key));
+
+        if (keys.length > 0) {
+            await chrome.storage.local.remove(keys.map(key => this.prefix + key));
+        }
+        await this.saveIndex(index);
+    }
+
+    /**
+     * Load the LRU index from storage. It is re-read on every operation because
+     * the options page and the service worker share it.
+     * @returns {Promise<Map>} Index of key to last access time
+     */
+    async loadIndex() {
+        const stored = await chrome.storage.local.get(this.indexKey);
+        return new Map(Object.entries(stored[this.indexKey] || {}));
+    }
+
+    /**
+     * Persist the LRU index
+     * @param {Map} index Index of key to last access time
+     */
+    async saveIndex(index) {
+        await chrome.storage.local.set({
+            [this.indexKey]: Object.fromEntries(index)
+        });
+    }
+
+    /**
+     * Run a task after all previously queued cache tasks
+     * @param {Function} task Async task
+     * @returns {Promise<*>} Task result
+     */
+    runExclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
@@ -0,0 +1,907 @@
+// Article text extraction for AI Bias Detector
+// Finds the main article in a document; used by the content script and the offscreen document
+
+// A frame's article replaces the page's own text only if it has this many times as many words
+const FRAME_WORD_RATIO = 1.5;
+
+class ArticleExtractor {
+    /**
+     * @param {Object} [options] Extractor options
+     * @param {Document} [options.document] Document to extract from; defaults to the current page
+     * @param {string} [options.url] URL of the document; defaults to the document's location
+     * @param {number} [options.frameDepth] How deep in nested frames the document is; 0 for the page itself
+     * @param {Object|null} [options.rule] Site rule from SiteRuleStore for this page
+     */
+    constructor(options = {}) {
+        this.selectors = {
+            // Semantic HTML5 elements
+            article: 'article',
+            main: 'main',
+            
+            // Common content class names
+            content: [
+                '.content',
+                '.article-content',
+                '.post-content',
+                '.entry-content',
+                '.article-body',
+                '.post-body',
+                '.story-body',
+                '.article-text',
+                '.content-body',
+                '.main-content'
+            ],
+            
+            // Paragraph containers
+            paragraphs: 'p',
+            
+            // Elements to exclude
+            exclude: [
+                'nav',
+                'header',
+                'footer',
+                'aside',
+                '.sidebar',
+                '.navigation',
+                '.menu',
+                '.ads',
+                '.advertisement',
+                '.comments',
+                '.social',
+                '.share',
+                '.related',
+                '.recommended',
+                '.popup',
+                '.modal',
+                'script',
+                'style',
+                'noscript',
+                // AMP components that never hold the article; amp-next-page appends other articles
+                'amp-ad',
+                'amp-embed',
+                'amp-sticky-ad',
+                'amp-analytics',
+                'amp-consent',
+                'amp-user-notification',
+                'amp-sidebar',
+                'amp-social-share',
+                'amp-next-page',
+                'amp-story-cta-layer'
+            ],
+
+            // Article bodies on AMP pages, in order of preference
+            amp: [
+                '[itemprop="articleBody"]',
+                '.amp-wp-article-content',
+                '.article-body',
+                '.story-body',
+                'article',
+                'main'
+            ],
+
+            // Text blocks of an AMP web story page
+            ampStoryText: 'h1, h2, h3, h4, h5, h6, p, blockquote, li, figcaption, amp-fit-text',
+
+            // Embedded frames that are never the article
+            excludedFrames: /comment|disqus|doubleclick|googlesyndication|[/.]ads?[/.]|facebook|twitter|instagram|youtube|vimeo|player|recaptcha|captcha/i,
+
+            // Markup of login, registration and subscription walls
+            loginWall: [
+                '[class*="paywall"]',
+                '[id*="paywall"]',
+                '[class*="login-wall"]',
+                '[class*="loginwall"]',
+                '[class*="regwall"]',
+                '[class*="signin-wall"]'
+            ],
+
+            // Links and buttons only shown to signed-in users
+            signedIn: [
+                'a[href*="logout"]',
+                'a[href*="log-out"]',
+                'a[href*="signout"]',
+                'a[href*="sign-out"]',
+                'form[action*="logout"]'
+            ]
+        };
+        
+        // Document and URL to extract from; a parsed document has no location of its own
+        this.document = options.document || document;
+        this.url = options.url || this.document.location?.href || '';
+
+        // Site rule whose selectors take precedence over the generic detection
+        this.rule = options.rule || null;
+
+        // Debug breakdown of the scored candidates when readability scoring picked the content
+        this.candidates = null;
+
+        // Open shadow roots are inlined into a copy of the page, which is searched instead
+        this.searchDocument = this.document;
+        // Element in the searched document that the content came from
+        this.sourceElement = null;
+
+        // Articles in frames nested deeper than this are not looked for
+        this.frameDepth = options.frameDepth || 0;
+        this.maxFrameDepth = 2;
+        // Frames smaller than this are ads, buttons and widgets
+        this.minFrameWidth = 300;
+        this.minFrameHeight = 200;
+    }
+
+    /**
+     * Pick the frame article to use instead of the page's own text. Shared by same-origin frame
+     * search here and cross-origin frame search in the background script, so both choose alike.
+     * @param {Object} result Extraction result for the page itself
+     * @param {Array<Object>} frameResults Successful extraction results from frames
+     * @returns {Object|null} Frame result with the most words, or null to keep the page's text
+     */
+    static chooseFrameResult(result, frameResults) {
+        const best = frameResults.slice().sort((a, b) => b.wordCount - a.wordCount)[0];
+        if (!best || (result.success && best.wordCount < result.wordCount * FRAME_WORD_RATIO)) {
+            return null;
+        }
+        return best;
+    }
+
+    /**
+     * Extract the main article text from the document
+     * @returns {Object} Extraction result with text and metadata; failures carry an errorCode
+     */
+    extractArticleText() {
+        try {
+            let result = this.extractFromDocument();
+
+            // Articles embedded in frames, such as syndication widgets and CMS previews;
+            // content picked by a site rule is what the user chose, so frames don't replace it
+            if (this.frameDepth < this.maxFrameDepth && result.extractionMethod !== 'site-rule') {
+                const frames = this.extractFromFrames();
+                result = this.preferFrameContent(result, frames.results);
+                result.unreadableFrames = frames.unreadable;
+            }
+
+            if (!result.success) {
+                // A fetched page that renders its article with scripts may have a static AMP version
+                result.ampUrl = this.findAmpUrl();
+            }
+            return result;
+
+        } catch (error) {
+            console.error('Error extracting article text:', error);
+            return {
+                success: false,
+                error: 'Failed to extract article text: ' + error.message,
+                errorCode: 'extraction-empty',
+                text: '',
+                wordCount: 0,
+                url: this.url,
+                title: this.document.title
+            };
+        }
+    }
+
+    /**
+     * Extract the article from this document, without looking into frames
+     * @returns {Object} Extraction result; failures carry an errorCode
+     */
+    extractFromDocument() {
+        console.log('Starting article text extraction...');
+
+        this.candidates = null;
+        this.sourceElement = null;
+        this.prepareSearchDocument();
+
+        // The user's rule for this site comes first
+        let contentElement = this.rule ? this.findContentByRule() : null;
+
+        // AMP pages have their own article markup
+        if (!contentElement && this.isAmpDocument()) {
+            contentElement = this.findAmpContent();
+        }
+
+        // Then try semantic HTML elements
+        if (!contentElement) {
+            contentElement = this.findSemanticContent();
+        }
+
+        // If no semantic content found, try common class names
+        if (!contentElement) {
+            contentElement = this.findContentByClass();
+        }
+
+        // If still no content, use heuristic analysis
+        if (!contentElement) {
+            contentElement = this.findContentByHeuristics();
+        }
+
+        // Last resort: try to extract from paragraphs
+        if (!contentElement) {
+            contentElement = this.findContentFromParagraphs();
+        }
+
+        if (!contentElement) {
+            console.warn('No suitable content element found');
+            return {
+                success: false,
+                error: 'No article content found on this page. This might not be an article page.',
+                errorCode: 'extraction-empty',
+                text: '',
+                wordCount: 0,
+                url: this.url,
+                title: this.document.title
+            };
+        }
+
+        // Extract and clean text
+        const extractedText = this.extractTextFromElement(contentElement);
+        const cleanedText = this.cleanText(extractedText);
+
+        console.log('Extracted text length:', cleanedText.length);
+
+        if (cleanedText.length < 100) {
+            return {
+                success: false,
+                error: 'Article content too short for analysis (minimum 100 characters required)',
+                errorCode: 'content-too-short',
+                text: cleanedText,
+                wordCount: this.countWords(cleanedText),
+                url: this.url,
+                title: this.document.title
+            };
+        }
+
+        const result = {
+            success: true,
+            text: cleanedText,
+            wordCount: this.countWords(cleanedText),
+            url: this.url,
+            title: this.findRuleTitle() || this.document.title,
+            extractionMethod: contentElement.dataset.extractionMethod || 'unknown',
+            loginWall: this.detectLoginWall(),
+            metadata: new ArticleMetadataExtractor(this.document, this.url).extract(),
+            nextPageUrl: new PaginationDetector(this.document, this.url, {
+                nextSelector: this.rule?.pagination
+            }).findNextPage()?.url || null,
+            siteRule: this.rule ? this.rule.pattern : null,
+            contentSource: {
+                frame: 'top',
+                frameUrl: null,
+                frameLabel: null,
+                shadowHost: this.findShadowHost(),
+                amp: this.isAmpDocument()
+            }
+        };
+        if (this.candidates) {
+            result.candidates = this.candidates;
+        }
+
+        console.log('Text extraction successful:', {
+            wordCount: result.wordCount,
+            method: result.extractionMethod,
+            source: result.contentSource
+        });
+
+        return result;
+    }
+
+    /**
+     * Find content with the site rule's content selectors, trying them in order.
+     * A selector that matches several blocks, such as one per paragraph group, takes them all.
+     * @returns {Element|null} Content element, or null to fall back to generic detection
+     */
+    findContentByRule() {
+        console.log('Trying site rule for', this.rule.pattern);
+
+        for (const selector of this.rule.content) {
+            let elements;
+            try {
+                elements = Array.from(this.searchDocument.querySelectorAll(selector));
+            } catch (error) {
+                console.warn('Invalid content selector in site rule:', selector);
+                continue;
+            }
+
+            // Keep only the outermost of nested matches
+            elements = elements.filter(element => element.textContent.trim() &&
+                !elements.some(other => other !== element && other.contains(element)));
+            if (elements.length === 0) {
+                continue;
+            }
+
+            let content = elements[0];
+            if (elements.length > 1) {
+                // Exclude selectors from the picker are relative to one matched element, such as
+                // ":scope > div:nth-of-type(3)", so they are applied to each match before combining
+                content = this.searchDocument.createElement('div');
+                content.dataset.ruleExclusionsApplied = 'true';
+                elements.forEach(element => {
+                    const clone = element.cloneNode(true);
+                    this.findRuleExclusions(clone).forEach(excluded => excluded.remove());
+                    content.appendChild(clone);
+                });
+            }
+
+            console.log(`Found content using site rule selector: ${selector} (${elements.length} match(es))`);
+            content.dataset.extractionMethod = 'site-rule';
+            this.sourceElement = elements[0];
+            return content;
+        }
+
+        console.log('Site rule matched nothing; using generic extraction');
+        return null;
+    }
+
+    /**
+     * Find the elements inside a matched block that the site rule leaves out
+     * @param {Element} root Matched content element or a clone of it
+     * @returns {Array<Element>} Elements to remove
+     */
+    findRuleExclusions(root) {
+        const excluded = [];
+        (this.rule?.exclude || []).forEach(selector => {
+            try {
+                excluded.push(...root.querySelectorAll(selector));
+            } catch (error) {
+                console.warn('Invalid exclude selector in site rule:', selector);
+            }
+        });
+        return excluded;
+    }
+
+    /**
+     * Read the headline named by the site rule's title selector
+     * @returns {string|null} Title, or null without a rule or a match
+     */
+    findRuleTitle() {
+        if (!this.rule?.title) {
+            return null;
+        }
+
+        try {
+            const element = this.searchDocument.querySelector(this.rule.title);
+            const title = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+            return title || null;
+        } catch (error) {
+            console.warn('Invalid title selector in site rule:', this.rule.title);
+            return null;
+        }
+    }
+
+    /**
+     * Search a flattened copy of the page when it uses shadow DOM, so web component content is found
+     */
+    prepareSearchDocument() {
+        this.searchDocument = this.document;
+
+        const flattener = new ShadowDomFlattener(this.document);
+        if (flattener.hasShadowRoots()) {
+            this.searchDocument = flattener.flatten().document;
+        }
+    }
+
+    /**
+     * Name the shadow hosts the content came from
+     * @returns {string|null} Hosts from outermost to innermost, such as "news-app > news-article#story";
+     *   null when the content is in the page's own DOM
+     */
+    findShadowHost() {
+        if (this.searchDocument === this.document || !this.sourceElement) {
+            return null;
+        }
+
+        const attribute = new ShadowDomFlattener(this.document).hostAttribute;
+        const hosts = [];
+        for (let element = this.sourceElement; element; element = element.parentElement) {
+            if (element.hasAttribute(attribute)) {
+                hosts.unshift(element.getAttribute(attribute));
+            }
+        }
+        return hosts.length > 0 ? hosts.join(' > ') : null;
+    }
+
+    /**
+     * Check whether the document is an AMP page
+     * @returns {boolean} True for <html amp> and <html ⚡> documents
+     */
+    isAmpDocument() {
+        const html = this.document.documentElement;
+        return Boolean(html && (html.hasAttribute('amp') || html.hasAttribute('⚡') ||
+            this.searchDocument.querySelector('amp-story')));
+    }
+
+    /**
+     * Find the article on an AMP page: a web story's text, or the article body
+     * @returns {Element|null} Content element or null
+     */
+    findAmpContent() {
+        console.log('Trying AMP content extraction...');
+
+        const story = this.searchDocument.querySelector('amp-story');
+        if (story) {
+            return this.collectAmpStory(story);
+        }
+
+        for (const selector of this.selectors.amp) {
+            const element = this.searchDocument.querySelector(selector);
+            if (element && this.isValidContent(element)) {
+                console.log('Found AMP content using selector:', selector);
+                element.dataset.extractionMethod = 'amp-article';
+                this.sourceElement = element;
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gather the text of an AMP web story's pages; stories have little paragraph markup,
+     * so each text block becomes a paragraph
+     * @param {Element} story <amp-story> element
+     * @returns {Element|null} Detached container, or null if the story has no text
+     */
+    collectAmpStory(story) {
+        const container = this.searchDocument.createElement('div');
+        const selector = this.selectors.ampStoryText;
+
+        story.querySelectorAll('amp-story-page').forEach(page => {
+            page.querySelectorAll(selector).forEach(block => {
+                // Nested blocks are covered by the outermost one
+                const outer = block.parentElement.closest(selector);
+                if (outer && page.contains(outer)) {
+                    return;
+                }
+                if (block.closest(this.selectors.exclude.join(', '))) {
+                    return;
+                }
+
+                const text = block.textContent.replace(/\s+/g, ' ').trim();
+                if (text) {
+                    const paragraph = this.searchDocument.createElement(/^H\d$/.test(block.tagName) ? block.tagName : 'p');
+                    paragraph.textContent = text;
+                    container.appendChild(paragraph);
+                }
+            });
+        });
+
+        if (container.childElementCount === 0) {
+            return null;
+        }
+
+        console.log('Found AMP web story with', container.childElementCount, 'text blocks');
+        container.dataset.extractionMethod = 'amp-story';
+        this.sourceElement = story;
+        return container;
+    }
+
+    /**
+     * Find the AMP version a regular page links to
+     * @returns {string|null} Absolute URL of the AMP page
+     */
+    findAmpUrl() {
+        const link = this.document.querySelector('link[rel="amphtml"][href]');
+        if (!link || this.isAmpDocument()) {
+            return null;
+        }
+
+        try {
+            return new URL(link.getAttribute('href'), this.url).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Extract articles from the page's frames. Same-origin frames are read directly;
+     * cross-origin frames can only be reached by the background script, so they are counted.
+     * @returns {Object} {results, unreadable}: extraction results of readable frames and the
+     *   number of large cross-origin frames that may hold the article
+     */
+    extractFromFrames() {
+        const results = [];
+        let unreadable = 0;
+
+        this.document.querySelectorAll('iframe, frame').forEach(frame => {
+            if (!this.isCandidateFrame(frame)) {
+                return;
+            }
+
+            const frameDocument = this.getFrameDocument(frame);
+            if (!frameDocument) {
+                unreadable++;
+                return;
+            }
+
+            const location = frameDocument.location?.href || '';
+            const frameUrl = /^https?:/i.test(location) ? location : this.url;
+            const extractor = new ArticleExtractor({
+                document: frameDocument,
+                url: frameUrl,
+                frameDepth: this.frameDepth + 1
+            });
+            const result = extractor.extractArticleText();
+            if (result.success) {
+                // Keep the outermost frame's details; nested frames report their own
+                if (result.contentSource.frame === 'top') {
+                    result.contentSource = {
+                        ...result.contentSource,
+                        frame: 'same-origin',
+                        frameUrl: frameUrl,
+                        frameLabel: this.describeFrame(frame)
+                    };
+                }
+                results.push(result);
+            }
+        });
+
+        if (results.length > 0 || unreadable > 0) {
+            console.log(`Frames: ${results.length} with an article, ${unreadable} cross-origin`);
+        }
+        return { results, unreadable };
+    }
+
+    /**
+     * Check whether a frame is large enough and of the right kind to hold the article
+     * @param {Element} frame <iframe> or <frame>
+     * @returns {boolean} True if worth searching
+     */
+    isCandidateFrame(frame) {
+        const src = frame.getAttribute('src') || '';
+        if (this.selectors.excludedFrames.test(src) || this.shouldExcludeElement(frame)) {
+            return false;
+        }
+
+        // Parsed documents have no layout, so only live frames can be measured
+        if (!this.document.defaultView) {
+            return true;
+        }
+        const rect = frame.getBoundingClientRect();
+        return rect.width >= this.minFrameWidth && rect.height >= this.minFrameHeight;
+    }
+
+    /**
+     * Get the document inside a frame
+     * @param {Element} frame <iframe> or <frame>
+     * @returns {Document|null} Frame document, or null for cross-origin frames
+     */
+    getFrameDocument(frame) {
+        try {
+            if (frame.contentDocument?.body) {
+                return frame.contentDocument;
+            }
+        } catch (error) {
+            // Cross-origin frames throw in some browsers instead of returning null
+            return null;
+        }
+
+        // Parsed documents don't load frames, but inline srcdoc content can still be read
+        const srcdoc = frame.getAttribute('srcdoc');
+        if (srcdoc && !this.document.defaultView && typeof DOMParser === 'function') {
+            return new DOMParser().parseFromString(srcdoc, 'text/html');
+        }
+        return null;
+    }
+
+    /**
+     * Use a frame's article when the page's own text failed or is much shorter
+     * @param {Object} result Extraction result for the page itself
+     * @param {Array<Object>} frameResults Successful extraction results from frames
+     * @returns {Object} Chosen extraction result
+     */
+    preferFrameContent(result, frameResults) {
+        const best = ArticleExtractor.chooseFrameResult(result, frameResults);
+        if (!best) {
+            return result;
+        }
+
+        console.log('Using article from frame:', best.contentSource.frameLabel || best.contentSource.frameUrl);
+
+        // The page is what the user is reading, so its URL, title and metadata come first
+        const pageMetadata = result.metadata || new ArticleMetadataExtractor(this.document, this.url).extract();
+        const metadata = { ...best.metadata };
+        Object.keys(pageMetadata).forEach(key => {
+            if (pageMetadata[key] !== null) {
+                metadata[key] = pageMetadata[key];
+            }
+        });
+
+        return {
+            ...best,
+            url: this.url,
+            title: this.document.title || best.title,
+            loginWall: this.detectLoginWall() || best.loginWall,
+            metadata: metadata
+        };
+    }
+
+    /**
+     * Describe a frame for the extraction result
+     * @param {Element} frame <iframe> or <frame>
+     * @returns {string} Such as "iframe#story-embed" or "iframe \"Article preview\""
+     */
+    describeFrame(frame) {
+        const tag = frame.tagName.toLowerCase();
+        if (frame.id) {
+            return `${tag}#${frame.id}`;
+        }
+        const title = frame.getAttribute('title');
+        return title ? `${tag} "${title.trim()}"` : tag;
+    }
+
+    /**
+     * Find content using semantic HTML5 elements
+     * @returns {Element|null} Content element or null
+     */
+    findSemanticContent() {
+        console.log('Trying semantic content extraction...');
+        
+        // Try article element first
+        const article = this.searchDocument.querySelector(this.selectors.article);
+        if (article && this.isValidContent(article)) {
+            console.log('Found content in <article> element');
+            article.dataset.extractionMethod = 'semantic-article';
+            this.sourceElement = article;
+            return article;
+        }
+        
+        // Try main element
+        const main = this.searchDocument.querySelector(this.selectors.main);
+        if (main && this.isValidContent(main)) {
+            console.log('Found content in <main> element');
+            main.dataset.extractionMethod = 'semantic-main';
+            this.sourceElement = main;
+            return main;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Find content using common class names
+     * @returns {Element|null} Content element or null
+     */
+    findContentByClass() {
+        console.log('Trying class-based content extraction...');
+        
+        for (const selector of this.selectors.content) {
+            const element = this.searchDocument.querySelector(selector);
+            if (element && this.isValidContent(element)) {
+                console.log('Found content using selector:', selector);
+                element.dataset.extractionMethod = 'class-based';
+                this.sourceElement = element;
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find content by Readability-style text and link density scoring
+     * @returns {Element|null} Detached container with the article and its related siblings, or null
+     */
+    findContentByHeuristics() {
+        console.log('Trying readability content extraction...');
+
+        const scorer = new ReadabilityScorer(this.searchDocument);
+        const article = scorer.extract();
+        if (!article) {
+            return null;
+        }
+
+        this.candidates = article.candidates;
+        console.log('Found content using readability scoring, score:', article.score);
+
+        article.element.dataset.extractionMethod = 'readability';
+        this.sourceElement = article.source;
+        return article.element;
+    }
+
+    /**
+     * Find content from paragraphs as last resort
+     * @returns {Element|null} Content element or null
+     */
+    findContentFromParagraphs() {
+        console.log('Trying paragraph-based content extraction...');
+        
+        const paragraphs = this.searchDocument.querySelectorAll('p');
+        if (paragraphs.length < 3) {
+            return null;
+        }
+        
+        // Create a virtual container with all meaningful paragraphs
+        const container = this.searchDocument.createElement('div');
+        let totalText = '';
+        
+        paragraphs.forEach(p => {
+            const text = p.textContent.trim();
+            if (text.length > 50 && !this.shouldExcludeElement(p.parentElement)) {
+                container.appendChild(p.cloneNode(true));
+                totalText += text + ' ';
+                this.sourceElement = this.sourceElement || p;
+            }
+        });
+        
+        if (totalText.length > 200) {
+            console.log('Found content from paragraphs');
+            container.dataset.extractionMethod = 'paragraphs';
+            return container;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Check if an element should be excluded from analysis
+     * @param {Element} element Element to check
+     * @returns {boolean} True if should be excluded
+     */
+    shouldExcludeElement(element) {
+        if (!element) return true;
+        
+        const tagName = element.tagName.toLowerCase();
+        const className = element.className.toLowerCase();
+        const id = element.id.toLowerCase();
+        
+        // Check tag names
+        if (['nav', 'header', 'footer', 'aside', 'script', 'style'].includes(tagName)) {
+            return true;
+        }
+        
+        // Check class names and IDs
+        const excludeKeywords = ['nav', 'menu', 'sidebar', 'ads', 'advertisement', 
+                                'comments', 'social', 'share', 'popup', 'modal'];
+        
+        for (const keyword of excludeKeywords) {
+            if (className.includes(keyword) || id.includes(keyword)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Check if an element contains valid content
+     * @param {Element} element Element to validate
+     * @returns {boolean} True if valid content
+     */
+    isValidContent(element) {
+        if (!element) return false;
+        
+        const text = element.textContent.trim();
+        const paragraphs = element.querySelectorAll('p');
+        
+        // Must have sufficient text and paragraphs
+        return text.length > 200 && paragraphs.length >= 2;
+    }
+
+    /**
+     * Extract text from an element while preserving structure
+     * @param {Element} element Element to extract text from
+     * @returns {string} Extracted text
+     */
+    extractTextFromElement(element) {
+        // Clone the element to avoid modifying the original
+        const clone = element.cloneNode(true);
+        
+        // Keep quotations recognizable once the markup is gone; citations sit in
+        // <footer> and <cite>, so this runs before excluded elements are removed
+        this.markQuotations(clone);
+        
+        // Remove excluded elements, including those the site rule excludes unless they were already
+        // removed from each match. Matches are collected before any are removed, so positional rule
+        // selectors such as ":scope > div:nth-of-type(3)" still point at the elements the user picked.
+        const excluded = clone.dataset.ruleExclusionsApplied ? [] : this.findRuleExclusions(clone);
+        this.selectors.exclude.forEach(selector => {
+            try {
+                excluded.push(...clone.querySelectorAll(selector));
+            } catch (error) {
+                // Ignore selector errors
+            }
+        });
+        excluded.forEach(el => el.remove());
+        
+        // Get text content and preserve paragraph breaks
+        const paragraphs = clone.querySelectorAll('p, h1, h2, h3, h4, h5, h6');
+        let text = '';
+        
+        paragraphs.forEach(p => {
+            const pText = p.textContent.trim();
+            if (pText.length > 0) {
+                text += pText + '\n\n';
+            }
+        });
+        
+        // If no paragraphs found, use all text content
+        if (text.trim().length === 0) {
+            text = clone.textContent;
+        }
+        
+        return text;
+    }
+
+    /**
+     * Put quote marks around <q> and <blockquote> text, which browsers quote with CSS
+     * or indentation only, and add a blockquote's citation as an attribution line
+     * @param {Element} root Cloned content element
+     */
+    markQuotations(root) {
+        const quote = (text, close = true) => /^\s*["“]/.test(text) ? text.trim() : `“${text.trim()}${close ? '”' : ''}`;
+
+        root.querySelectorAll('q').forEach(element => {
+            element.textContent = quote(element.textContent);
+        });
+
+        root.querySelectorAll('blockquote').forEach(blockquote => {
+            const citation = blockquote.querySelector('cite, footer, figcaption');
+            const speaker = citation ? citation.textContent.replace(/^[\s—–-]+/, '').trim() : '';
+            citation?.remove();
+
+            let paragraphs = Array.from(blockquote.querySelectorAll('p'));
+            if (paragraphs.length === 0) {
+                // Bare blockquote text would be skipped by the paragraph walk below
+                const paragraph = this.document.createElement('p');
+                paragraph.textContent = blockquote.textContent;
+                blockquote.replaceChildren(paragraph);
+                paragraphs = [paragraph];
+            }
+
+            paragraphs = paragraphs.filter(paragraph => paragraph.textContent.trim());
+            // Like multi-paragraph quotes in print, only the last paragraph closes the quote
+            paragraphs.forEach((paragraph, index) => {
+                const isLast = index === paragraphs.length - 1;
+                const text = quote(paragraph.textContent, isLast);
+                paragraph.textContent = isLast && speaker ? `${text} — ${speaker}` : text;
+            });
+        });
+    }
+
+    /**
+     * Clean extracted text
+     * @param {string} text Raw extracted text
+     * @returns {string} Cleaned text
+     */
+    cleanText(text) {
+        if (!text) return '';
+        
+        return text
+            // Remove excessive whitespace, keeping line breaks
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            // Remove excessive line breaks, keeping paragraph breaks
+            .replace(/\n{3,}/g, '\n\n')
+            // Trim
+            .trim();
+    }
+
+    /**
+     * Look for signs that the page is behind a login, so the send policy can ask before sending it
+     * @returns {string|null} "password-field", "signed-in" or "gated-content", or null if none found
+     */
+    detectLoginWall() {
+        // Many pages keep a hidden login dialog or paywall template around; only visible ones count
+        const isShown = (element) => !this.document.defaultView ||
+            element.getClientRects().length > 0;
+
+        const hasPassword = Array.from(this.document.querySelectorAll('input[type="password"]')).some(isShown);
+        const isGated = Array.from(this.document.querySelectorAll(this.selectors.loginWall.join(', '))).some(isShown);
+        if (!hasPassword && !isGated) {
+            return null;
+        }
+
+        // A sign-out link alone only means a subscriber is reading an ordinary article; it
+        // matters when the page is also gated, such as an account or members-only page
+        if (Array.from(this.document.querySelectorAll(this.selectors.signedIn.join(', '))).some(isShown)) {
+            return 'signed-in';
+        }
+        return hasPassword ? 'password-field' : 'gated-content';
+    }
+
+    /**
+     * Count words in text
+     * @param {string} text Text to count words in
+     * @returns {number} Word count
+     */
+    countWords(text) {
+        if (!text) return 0;
+        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    }
+}
@@ -1,88 +1,536 @@
 // Background script for AI Bias Detector
 // Handles communication between content script, popup, and backend service
 
+importScripts(
+    'settings.js',
+    'bias-score.js',
+    'analysis-cache.js',
+    'history-store.js',
+    'outlet-reputation.js',
+    'errors.js',
+    'local-analyzer.js',
+    'response-schema.js',
+    'providers.js',
+    'request-policy.js',
+    'request-scheduler.js',
+    'pii-redactor.js',
+    'send-policy.js',
+    'text-chunker.js',
+    'result-aggregator.js',
+    'quote-detector.js',
+    'site-rules.js',
+    // Only for ArticleExtractor.chooseFrameResult; extraction itself runs in pages and the offscreen document
+    'article-extractor.js'
+);
+
 class BiasDetectionService {
     constructor() {
-        this.cache = new Map();
-        this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
-        this.backendUrl = 'https://19hninc006eg.manus.space/api/bias';
+        this.cache = new AnalysisCache({
+            maxEntries: 100,
+            expiry: 24 * 60 * 60 * 1000 // 24 hours
+        });
+        this.providers = createDefaultProviderRegistry();
+        this.aggregator = new ChunkResultAggregator();
+        this.quotes = new QuoteDetector();
+        // Fewest words of authorial or quoted text that are scored on their own
+        this.minVoiceWords = 30;
+        this.history = new HistoryStore({ maxEntries: 1000 });
+        this.outlets = new OutletReputationStore();
+        this.siteRules = new SiteRuleStore();
+
+        // Abort controllers for in-flight analyses, keyed by request ID
+        this.activeRequests = new Map();
+
+        // Tabs with an automatic scan in progress
+        this.autoScanningTabs = new Set();
+
+        // Pending creation of the offscreen document that parses fetched pages
+        this.creatingOffscreen = null;
+
+        // Scripts that make up ArticleExtractor; cross-origin frames get only these
+        this.extractorScripts = [
+            'readability-scorer.js',
+            'metadata-extractor.js',
+            'pagination-detector.js',
+            'shadow-dom-flattener.js',
+            'article-extractor.js'
+        ];
+        // Content script features injected only when used, so pages that are never analyzed don't load them
+        this.featureScripts = {
+            stabilizer: 'content-stabilizer.js',
+            highlighter: 'passage-highlighter.js',
+            picker: 'site-rule-picker.js'
+        };
+        // Frames with less visible text than this are not searched for the article
+        this.minFrameTextLength = 500;
         
         console.log('AI Bias Detector background service initialized');
-        console.log('Backend URL:', this.backendUrl);
     }
 
     /**
      * Extract text from current tab and analyze for bias
+     * @param {Object} [options] Request options
+     * @param {Object} [options.tab] Tab to analyze; defaults to the active tab
+     * @param {boolean} [options.confirmed] The user confirmed sending a page that looks signed-in
+     * @param {AbortSignal} [options.signal] Signal that cancels the analysis
+     * @param {Function} [options.onRetry] Called when a backend request is retried
+     * @param {Function} [options.onProgress] Called with {stage, ...details} as the analysis advances
      * @returns {Promise<Object>} Analysis result
      */
-    async extractAndAnalyze() {
+    async extractAndAnalyze(options = {}) {
+        const { signal } = options;
+
         try {
             console.log('Starting extract and analyze process...');
             
             // Get current active tab
-            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (!tabs || tabs.length === 0) {
-                throw new Error('No active tab found');
+            let tab = options.tab;
+            if (!tab) {
+                const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+                if (!tabs || tabs.length === 0) {
+                    throw new AnalysisError(ERROR_CODES.UNSUPPORTED_URL, 'No active tab found');
+                }
+                tab = tabs[0];
             }
 
-            const tab = tabs[0];
-            console.log('Active tab:', tab.url);
+            console.log('Analyzing tab:', tab.url);
 
             // Check if we can inject content script
             if (!this.canInjectScript(tab.url)) {
-                throw new Error('Cannot analyze this type of page. Please navigate to an article or blog post.');
+                throw new AnalysisError(ERROR_CODES.UNSUPPORTED_URL, 'Cannot analyze this type of page. Please navigate to an article or blog post.');
             }
 
+            // Private sites are refused before anything is read from the page
+            const sendPolicy = await this.getSendPolicy();
+            sendPolicy.assertAllowed(tab.url);
+
             // Ensure content script is injected
-            await this.ensureContentScriptInjected(tab.id);
+            options.onProgress?.({ stage: 'injecting' });
+            await this.ensureContentScriptInjected(tab.id, ['stabilizer']);
 
             // Extract text from the page
             console.log('Extracting text from page...');
-            const extractionResult = await this.extractTextFromTab(tab.id);
-            
-            if (!extractionResult.success) {
-                throw new Error(extractionResult.error || 'Failed to extract text from page');
+            options.onProgress?.({ stage: 'extracting' });
+            const extractionResult = await this.extractTextFromTab(tab.id, tab.url);
+            this.throwIfCancelled(signal);
+
+            if (extractionResult.success) {
+                sendPolicy.assertAllowed(tab.url, {
+                    loginWall: extractionResult.loginWall,
+                    confirmed: options.confirmed
+                });
+                // Text from an embedded frame comes from that frame's site as well
+                if (extractionResult.contentSource?.frameUrl) {
+                    sendPolicy.assertAllowed(extractionResult.contentSource.frameUrl);
+                }
             }
 
-            console.log('Text extracted successfully:', {
-                length: extractionResult.text.length,
-                wordCount: extractionResult.wordCount
-            });
+            const stitched = await this.stitchPages(extractionResult, sendPolicy, options);
+            const result = await this.analyzeExtraction(stitched, options);
+            await this.recordTabResult(tab, result);
+            return result;
 
-            // Analyze the extracted text
-            console.log('Analyzing text for bias...');
-            const analysisResult = await this.analyzeText(extractionResult.text);
-            
-            // Combine extraction and analysis results
+        } catch (error) {
+            console.error('Extract and analyze error:', error);
+            return this.createErrorResult(error, signal);
+        }
+    }
+
+    /**
+     * Fetch a URL and analyze its article without opening it in a tab
+     * @param {string} url Page URL
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the analysis
+     * @param {Function} [options.onRetry] Called when a request is retried
+     * @param {Function} [options.onProgress] Called with {stage, ...details} as the analysis advances
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyzeUrl(url, options = {}) {
+        const { signal } = options;
+
+        try {
+            console.log('Analyzing URL:', url);
+
+            if (!this.canInjectScript(url)) {
+                throw new AnalysisError(ERROR_CODES.UNSUPPORTED_URL, 'Only http and https pages can be analyzed.');
+            }
+
+            // Fetched pages are downloaded without cookies, so only the site itself is checked
+            const sendPolicy = await this.getSendPolicy();
+            sendPolicy.assertAllowed(url);
+
+            options.onProgress?.({ stage: 'fetching', url });
+            const page = await this.fetchPage(url, options);
+            this.throwIfCancelled(signal);
+
+            // A redirect may have led somewhere else
+            sendPolicy.assertAllowed(page.url);
+
+            console.log('Extracting text from fetched page...');
+            options.onProgress?.({ stage: 'extracting' });
+            let extractionResult = await this.extractFromHtml(page.html, page.url);
+            this.throwIfCancelled(signal);
+
+            // Pages that render their article with scripts often publish a static AMP version
+            if (!extractionResult.success && extractionResult.ampUrl) {
+                extractionResult = await this.extractAmpVersion(extractionResult, sendPolicy, options);
+            }
+
+            const stitched = await this.stitchPages(extractionResult, sendPolicy, options);
+            const result = await this.analyzeExtraction(stitched, options);
+            await this.recordHistory(result);
+            return result;
+
+        } catch (error) {
+            console.error('URL analysis error:', error);
             return {
-                success: true,
-                ...analysisResult,
-                extractionInfo: {
-                    url: extractionResult.url,
-                    title: extractionResult.title,
-                    wordCount: extractionResult.wordCount,
-                    extractionMethod: extractionResult.extractionMethod
-                }
+                ...this.createErrorResult(error, signal),
+                extractionInfo: { url: url }
             };
+        }
+    }
 
-        } catch (error) {
-            console.error('Extract and analyze error:', error);
+    /**
+     * Build the result returned when an analysis fails
+     * @param {Error} error Error that stopped the analysis
+     * @param {AbortSignal} [signal] Signal of the analysis, used to recognise cancellation
+     * @returns {Object} Failed result with error code and retry hint
+     */
+    createErrorResult(error, signal) {
+        const typed = signal?.aborted
+            ? new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled')
+            : AnalysisError.from(error);
+
+        return {
+            success: false,
+            cancelled: typed.code === ERROR_CODES.CANCELLED,
+            ...AnalysisError.toResult(typed),
+            overallScore: 'unknown',
+            confidence: 'low',
+            categories: [],
+            explanation: 'Analysis failed: ' + typed.message
+        };
+    }
+
+    /**
+     * Analyze an extraction result and attach its extraction details and outlet
+     * @param {Object} extractionResult Result from ArticleExtractor
+     * @param {Object} [options] Request options passed to analyzeText
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyzeExtraction(extractionResult, options = {}) {
+        if (!extractionResult.success) {
+            throw new AnalysisError(
+                extractionResult.errorCode || ERROR_CODES.EXTRACTION_EMPTY,
+                extractionResult.error || 'Failed to extract text from page'
+            );
+        }
+
+        console.log('Text extracted successfully:', {
+            length: extractionResult.text.length,
+            wordCount: extractionResult.wordCount
+        });
+        options.onProgress?.({
+            stage: 'extracted',
+            wordCount: extractionResult.wordCount,
+            extractionMethod: extractionResult.extractionMethod,
+            stabilization: extractionResult.stabilization || null,
+            pageCount: extractionResult.pageCount || 1,
+            contentSource: extractionResult.contentSource || null
+        });
+
+        // Analyze the extracted text
+        console.log('Analyzing text for bias...');
+        const analysisResult = await this.analyzeVoices(extractionResult.text, {
+            ...options,
+            metadata: extractionResult.metadata
+        });
+
+        // Combine extraction and analysis results
+        const result = {
+            success: true,
+            ...analysisResult,
+            extractionInfo: {
+                url: extractionResult.url,
+                title: extractionResult.title,
+                wordCount: extractionResult.wordCount,
+                extractionMethod: extractionResult.extractionMethod,
+                metadata: extractionResult.metadata || null,
+                pageCount: extractionResult.pageCount || 1,
+                contentSource: extractionResult.contentSource || null,
+                siteRule: extractionResult.siteRule || null
+            }
+        };
+
+        // Later pages of a paginated article that were stitched onto the first
+        if (extractionResult.pages) {
+            result.extractionInfo.pages = extractionResult.pages;
+            result.extractionInfo.duplicateParagraphs = extractionResult.duplicateParagraphs;
+        }
+
+        // How long the page took to settle; pages fetched by URL have nothing to wait for
+        if (extractionResult.stabilization) {
+            result.extractionInfo.stabilization = extractionResult.stabilization;
+        }
+
+        await this.attachOutlet(result);
+        return result;
+    }
+
+    /**
+     * Fetch and extract the AMP version of a page whose own HTML had no readable article
+     * @param {Object} extractionResult Failed extraction result carrying the page's ampUrl
+     * @param {SendPolicy} sendPolicy Policy the AMP page must also pass
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>} Extraction result of the AMP page, or the original result if it also fails
+     */
+    async extractAmpVersion(extractionResult, sendPolicy, options = {}) {
+        console.log('Trying the AMP version of the page:', extractionResult.ampUrl);
+
+        try {
+            sendPolicy.assertAllowed(extractionResult.ampUrl);
+            options.onProgress?.({ stage: 'fetching', url: extractionResult.ampUrl });
+            const page = await this.fetchPage(extractionResult.ampUrl, options);
+            this.throwIfCancelled(options.signal);
+            sendPolicy.assertAllowed(page.url);
+
+            const ampResult = await this.extractFromHtml(page.html, page.url);
+            this.throwIfCancelled(options.signal);
+            if (!ampResult.success) {
+                return extractionResult;
+            }
+
+            // The article is still the original page; the AMP copy is only where its text was read
             return {
-                success: false,
-                error: error.message,
-                overallScore: 'unknown',
-                confidence: 'low',
-                categories: [],
-                explanation: 'Analysis failed: ' + error.message
+                ...ampResult,
+                url: extractionResult.url,
+                contentSource: { ...ampResult.contentSource, ampUrl: page.url }
             };
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            console.warn('AMP version could not be extracted:', error.message);
+            return extractionResult;
+        }
+    }
+
+    /**
+     * Fetch the later pages of a paginated article and stitch their text onto the first page's.
+     * Paragraphs repeated on every page, such as bylines and newsletter blurbs, are kept once.
+     * A page that fails to load ends the article there rather than failing the analysis.
+     * @param {Object} extractionResult Extraction result for the first page
+     * @param {SendPolicy} sendPolicy Policy every later page must also pass
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the downloads
+     * @param {Function} [options.onRetry] Called when a download is retried
+     * @param {Function} [options.onProgress] Called with {stage: 'paginating', page, url} per page
+     * @returns {Promise<Object>} Extraction result with the stitched text, pageCount and pages
+     */
+    async stitchPages(extractionResult, sendPolicy, options = {}) {
+        if (!extractionResult.success || !extractionResult.nextPageUrl) {
+            return extractionResult;
+        }
+
+        const settings = await SettingsStore.load();
+        const maxPages = settings.extraction.maxPages;
+        if (maxPages <= 1) {
+            return extractionResult;
+        }
+
+        const seenUrls = new Set([extractionResult.url]);
+        const seenParagraphs = new Set();
+        const paragraphs = this.collectNewParagraphs(extractionResult.text, seenParagraphs).kept;
+        const pages = [{ url: extractionResult.url, wordCount: extractionResult.wordCount }];
+        let duplicates = 0;
+        let nextUrl = extractionResult.nextPageUrl;
+
+        while (nextUrl && !seenUrls.has(nextUrl) && pages.length < maxPages) {
+            seenUrls.add(nextUrl);
+            options.onProgress?.({ stage: 'paginating', page: pages.length + 1, url: nextUrl });
+
+            let pageResult;
+            try {
+                sendPolicy.assertAllowed(nextUrl);
+                const page = await this.fetchPage(nextUrl, options);
+                this.throwIfCancelled(options.signal);
+                sendPolicy.assertAllowed(page.url);
+                seenUrls.add(page.url);
+                pageResult = await this.extractFromHtml(page.html, page.url);
+                this.throwIfCancelled(options.signal);
+            } catch (error) {
+                if (options.signal?.aborted) {
+                    throw error;
+                }
+                console.warn(`Stopping at page ${pages.length}; page ${pages.length + 1} failed:`, error.message);
+                break;
+            }
+
+            if (!pageResult.success) {
+                console.warn(`Stopping at page ${pages.length}; no article text on ${nextUrl}`);
+                break;
+            }
+
+            const { kept, removed } = this.collectNewParagraphs(pageResult.text, seenParagraphs);
+            duplicates += removed;
+            if (kept.length === 0) {
+                // The "next" page repeated what we already have; following it further would loop
+                break;
+            }
+
+            paragraphs.push(...kept);
+            pages.push({ url: pageResult.url, wordCount: this.countWords(kept.join('\n\n')) });
+            nextUrl = pageResult.nextPageUrl;
+        }
+
+        if (pages.length === 1) {
+            return extractionResult;
+        }
+
+        const text = paragraphs.join('\n\n');
+        console.log(`Stitched ${pages.length} pages, ${duplicates} repeated paragraph(s) removed`);
+
+        return {
+            ...extractionResult,
+            text: text,
+            wordCount: this.countWords(text),
+            pageCount: pages.length,
+            pages: pages,
+            duplicateParagraphs: duplicates
+        };
+    }
+
+    /**
+     * Split a page's text into paragraphs and keep those not seen on an earlier page
+     * @param {string} text Page text with paragraphs separated by blank lines
+     * @param {Set<string>} seen Normalized paragraphs already kept; new ones are added
+     * @returns {Object} {kept: Array<string>, removed: number}
+     */
+    collectNewParagraphs(text, seen) {
+        const kept = [];
+        let removed = 0;
+
+        text.split(/\n{2,}/).forEach(paragraph => {
+            const trimmed = paragraph.trim();
+            if (!trimmed) return;
+
+            const key = trimmed.toLowerCase().replace(/\s+/g, ' ');
+            if (seen.has(key)) {
+                removed++;
+                return;
+            }
+            seen.add(key);
+            kept.push(trimmed);
+        });
+
+        return { kept, removed };
+    }
+
+    /**
+     * Count words in text
+     * @param {string} text Text to count words in
+     * @returns {number} Word count
+     */
+    countWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+
+    /**
+     * Download a page's HTML. Cookies are not sent, so the page is fetched as a signed-out visitor.
+     * @param {string} url Page URL
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the request
+     * @param {Function} [options.onRetry] Called when the request is retried
+     * @returns {Promise<Object>} {url, html}, where url is the final URL after redirects
+     */
+    async fetchPage(url, options = {}) {
+        const settings = await SettingsStore.load();
+        const policy = new RequestPolicy(settings.network);
+
+        let response;
+        try {
+            response = await policy.fetch(url, {
+                credentials: 'omit',
+                headers: { 'Accept': 'text/html,application/xhtml+xml' }
+            }, {
+                signal: options.signal,
+                onRetry: options.onRetry,
+                label: 'Page download'
+            });
+        } catch (error) {
+            // The policy reports failures as backend errors; here it is the article's site that failed
+            const typed = AnalysisError.from(error);
+            if (typed.code === ERROR_CODES.BACKEND_UNREACHABLE) {
+                throw new AnalysisError(ERROR_CODES.PAGE_UNAVAILABLE, typed.message, { status: typed.status });
+            }
+            throw typed;
         }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType && !/html|xml/i.test(contentType)) {
+            throw new AnalysisError(ERROR_CODES.UNSUPPORTED_URL, `URL is not a web page (${contentType.split(';')[0]})`);
+        }
+
+        return {
+            url: response.url || url,
+            html: await response.text()
+        };
     }
 
     /**
-     * Ensure content script is injected into the tab
+     * Extract article text from HTML in the offscreen document
+     * @param {string} html Page HTML
+     * @param {string} url Page URL
+     * @returns {Promise<Object>} Extraction result
+     */
+    async extractFromHtml(html, url) {
+        await this.ensureOffscreenDocument();
+
+        const response = await chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: 'extractFromHtml',
+            html: html,
+            url: url,
+            rule: await this.siteRules.findRule(url)
+        });
+
+        if (!response) {
+            throw new AnalysisError(ERROR_CODES.UNKNOWN, 'No response from the page parser. Please try again.');
+        }
+        return response;
+    }
+
+    /**
+     * Create the offscreen document used to parse HTML, unless it already exists
+     */
+    async ensureOffscreenDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL('offscreen.html')]
+        });
+        if (contexts.length > 0) {
+            return;
+        }
+
+        // Only one offscreen document may exist; concurrent callers share one creation
+        if (!this.creatingOffscreen) {
+            this.creatingOffscreen = chrome.offscreen.createDocument({
+                url: 'offscreen.html',
+                reasons: ['DOM_PARSER'],
+                justification: 'Parse fetched article HTML to extract its text'
+            }).finally(() => {
+                this.creatingOffscreen = null;
+            });
+        }
+        await this.creatingOffscreen;
+    }
+
+    /**
+     * Ensure content script is injected into the tab, with the feature scripts a request needs
      * @param {number} tabId Tab ID
+     * @param {Array<string>} [features] Keys of featureScripts to load: 'stabilizer', 'highlighter', 'picker'
      */
-    async ensureContentScriptInjected(tabId) {
+    async ensureContentScriptInjected(tabId, features = []) {
         try {
             // Try to ping the content script first
             const response = await new Promise((resolve) => {
@@ -95,8 +543,21 @@ class BiasDetectionService {
                 });
             });
 
+            const featureFiles = features.map(feature => this.featureScripts[feature]);
+
             if (response && response.pong) {
-                console.log('Content script already active');
+                // Scripts declare classes, so each is injected at most once per page
+                const loaded = response.features || [];
+                const missing = features.filter(feature => !loaded.includes(feature));
+                if (missing.length > 0) {
+                    console.log('Injecting content script features:', missing);
+                    await chrome.scripting.executeScript({
+                        target: { tabId: tabId },
+                        files: missing.map(feature => this.featureScripts[feature])
+                    });
+                } else {
+                    console.log('Content script already active');
+                }
                 return;
             }
 
@@ -105,7 +566,7 @@ class BiasDetectionService {
             // Inject the content script manually
             await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ['content.js']
+                files: [...this.extractorScripts, ...featureFiles, 'content.js']
             });
 
             console.log('Content script injected successfully');
@@ -115,31 +576,88 @@ class BiasDetectionService {
 
         } catch (error) {
             console.error('Error injecting content script:', error);
-            throw new Error('Failed to inject content script. Please refresh the page and try again.');
+            throw new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'Failed to inject content script. Please refresh the page and try again.');
+        }
+    }
+
+    /**
+     * Show, clear or query the highlighted passages in a tab
+     * @param {number} tabId Tab ID
+     * @param {string} action 'highlightFindings', 'clearHighlights' or 'getHighlightState'
+     * @param {Array<Object>} [findings] Findings to highlight
+     * @returns {Promise<Object>} Response from the content script
+     */
+    async sendHighlightRequest(tabId, action, findings = []) {
+        // Querying the state must not inject scripts into a page that was never highlighted
+        if (action !== 'getHighlightState') {
+            await this.ensureContentScriptInjected(tabId, ['highlighter']);
+        }
+
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(tabId, { action, findings }, (response) => {
+                if (chrome.runtime.lastError || !response) {
+                    if (action === 'getHighlightState') {
+                        resolve({ active: false, count: 0 });
+                        return;
+                    }
+                    reject(new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'Failed to communicate with page content. Please refresh the page and try again.'));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    /**
+     * Start the in-page picker that builds a site rule from the element the user clicks
+     * @param {number} tabId Tab ID
+     * @returns {Promise<Object>} {started}
+     */
+    async startSitePicker(tabId) {
+        const tab = await chrome.tabs.get(tabId);
+        if (!this.canInjectScript(tab.url)) {
+            throw new AnalysisError(ERROR_CODES.UNSUPPORTED_URL, 'Site rules can only be made on web pages.');
         }
+
+        await this.ensureContentScriptInjected(tabId, ['picker']);
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(tabId, { action: 'startSitePicker' }, (response) => {
+                if (chrome.runtime.lastError || !response) {
+                    reject(new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'Failed to communicate with page content. Please refresh the page and try again.'));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
     }
 
     /**
      * Extract text from a specific tab
      * @param {number} tabId Tab ID
+     * @param {string} url Tab URL, used to find the site rule
      * @returns {Promise<Object>} Extraction result
      */
-    async extractTextFromTab(tabId) {
-        return new Promise((resolve, reject) => {
+    async extractTextFromTab(tabId, url) {
+        const settings = await SettingsStore.load();
+        const stabilization = settings.extraction;
+        const rule = await this.siteRules.findRule(url);
+
+        const response = await new Promise((resolve, reject) => {
+            // The content script may wait up to maxWaitMs for the page to settle before extracting
             const timeout = setTimeout(() => {
-                reject(new Error('Content script communication timeout. Please refresh the page and try again.'));
-            }, 20000); // 20 second timeout
+                reject(new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'Content script communication timeout. Please refresh the page and try again.'));
+            }, 20000 + stabilization.maxWaitMs);
 
             // Send message to content script
-            chrome.tabs.sendMessage(tabId, { action: 'extractText' }, (response) => {
+            chrome.tabs.sendMessage(tabId, { action: 'extractText', stabilization: stabilization, rule: rule }, (response) => {
                 clearTimeout(timeout);
                 
                 if (chrome.runtime.lastError) {
                     console.error('Content script communication error:', chrome.runtime.lastError);
-                    reject(new Error('Failed to communicate with page content. Please refresh the page and try again.'));
+                    reject(new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'Failed to communicate with page content. Please refresh the page and try again.'));
                 } else if (!response) {
                     console.error('No response from content script');
-                    reject(new Error('No response from page content. Please refresh the page and try again.'));
+                    reject(new AnalysisError(ERROR_CODES.INJECTION_BLOCKED, 'No response from page content. Please refresh the page and try again.'));
                 } else {
                     console.log('Content script response:', {
                         success: response.success,
@@ -150,76 +668,615 @@ class BiasDetectionService {
                 }
             });
         });
+
+        return this.extractFromCrossOriginFrames(tabId, response);
     }
 
     /**
-     * Analyze text for bias using backend service
-     * @param {string} text Text to analyze
-     * @returns {Promise<Object>} Analysis result
+     * Look for the article in the tab's cross-origin frames, which the content script can't read.
+     * Chrome only runs scripts in frames the extension has host access to; others are skipped.
+     * @param {number} tabId Tab ID
+     * @param {Object} pageResult Extraction result from the content script
+     * @returns {Promise<Object>} The page's result, or a frame's when the page failed or the frame has far more text
      */
-    async analyzeText(text) {
+    async extractFromCrossOriginFrames(tabId, pageResult) {
+        if (!(pageResult.unreadableFrames > 0)) {
+            return pageResult;
+        }
+
+        let pageOrigin = null;
         try {
-            // Check cache first
-            const cacheKey = this.generateCacheKey(text);
-            const cachedResult = this.getFromCache(cacheKey);
-            
-            if (cachedResult) {
-                console.log('Using cached analysis result');
-                return cachedResult;
-            }
+            pageOrigin = new URL(pageResult.url).origin;
+        } catch (error) {
+            // Compare against nothing; every http(s) frame is a candidate
+        }
 
-            console.log('Sending text to backend service for analysis...');
-            
-            // Send to backend service
-            const response = await fetch(`${this.backendUrl}/analyze`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    text: text
+        try {
+            const probes = await chrome.scripting.executeScript({
+                target: { tabId: tabId, allFrames: true },
+                func: () => ({
+                    url: location.href,
+                    ready: typeof ArticleExtractor === 'function',
+                    textLength: document.body ? document.body.innerText.length : 0
                 })
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Backend service error:', response.status, errorText);
-                throw new Error(`Backend service error: ${response.status}`);
+            // Same-origin frames were already searched by the content script
+            const frames = probes.filter(probe => probe.frameId !== 0 && probe.result &&
+                /^https?:/i.test(probe.result.url) &&
+                new URL(probe.result.url).origin !== pageOrigin &&
+                probe.result.textLength >= this.minFrameTextLength);
+            if (frames.length === 0) {
+                return pageResult;
+            }
+
+            const missing = frames.filter(frame => !frame.result.ready).map(frame => frame.frameId);
+            if (missing.length > 0) {
+                await chrome.scripting.executeScript({
+                    target: { tabId: tabId, frameIds: missing },
+                    files: this.extractorScripts
+                });
             }
 
-            const result = await response.json();
-            console.log('Backend analysis result:', {
-                success: result.success,
-                overallScore: result.overallScore,
-                categoriesCount: result.categories ? result.categories.length : 0,
-                apiUsed: result.apiUsed
+            const extractions = await chrome.scripting.executeScript({
+                target: { tabId: tabId, frameIds: frames.map(frame => frame.frameId) },
+                func: () => new ArticleExtractor().extractArticleText()
             });
 
-            if (!result.success) {
-                throw new Error(result.error || 'Backend analysis failed');
+            const frameResults = extractions
+                .map(extraction => extraction.result)
+                .filter(result => result && result.success);
+            const best = ArticleExtractor.chooseFrameResult(pageResult, frameResults);
+            if (!best) {
+                return pageResult;
+            }
+
+            console.log('Using article from cross-origin frame:', best.url);
+            return this.mergeFrameExtraction(pageResult, best);
+
+        } catch (error) {
+            console.warn('Could not search cross-origin frames:', error.message);
+            return pageResult;
+        }
+    }
+
+    /**
+     * Combine a frame's article with the page around it; the page is what the user is
+     * reading, so its URL, title and metadata come first
+     * @param {Object} pageResult Extraction result for the page
+     * @param {Object} frameResult Successful extraction result from a cross-origin frame
+     * @returns {Object} Extraction result
+     */
+    mergeFrameExtraction(pageResult, frameResult) {
+        const metadata = { ...frameResult.metadata };
+        Object.entries(pageResult.metadata || {}).forEach(([key, value]) => {
+            if (value !== null) {
+                metadata[key] = value;
+            }
+        });
+
+        return {
+            ...frameResult,
+            url: pageResult.url,
+            title: pageResult.title || frameResult.title,
+            loginWall: pageResult.loginWall || frameResult.loginWall,
+            metadata: metadata,
+            stabilization: pageResult.stabilization,
+            contentSource: {
+                ...frameResult.contentSource,
+                frame: 'cross-origin',
+                frameUrl: frameResult.url,
+                frameLabel: null
+            }
+        };
+    }
+
+    /**
+     * Analyze an article's own words and the speech it quotes separately, so a report
+     * quoting inflammatory remarks isn't scored as if the reporter had written them.
+     * The article's score is the authorial score; the quoted score is reported alongside.
+     * @param {string} text Extracted article text
+     * @param {Object} [options] Request options passed to analyzeText
+     * @returns {Promise<Object>} Analysis result with voices and quotes when quotations were found
+     */
+    async analyzeVoices(text, options = {}) {
+        const settings = await SettingsStore.load();
+        if (!settings.analysis.separateQuotes) {
+            return this.analyzeText(text, options);
+        }
+
+        const split = this.quotes.split(text);
+        if (split.quotes.length === 0 || split.authorialWordCount < this.minVoiceWords) {
+            // Nothing quoted, or almost everything is: score the text as a whole
+            return this.analyzeText(text, options);
+        }
+
+        console.log(`Scoring ${split.authorialWordCount} authorial and ${split.quotedWordCount} quoted words separately`);
+
+        // The quoted pass shares queue and cache updates but not the article's chunk progress
+        const quotedOptions = {
+            ...options,
+            onProgress: (event) => {
+                if (event.stage !== 'analyzing') options.onProgress?.(event);
+            }
+        };
+
+        const [authorial, quoted] = await Promise.all([
+            this.analyzeText(split.authorialText, options),
+            split.quotedWordCount >= this.minVoiceWords
+                ? this.analyzeText(split.quotedText, quotedOptions).catch(error => {
+                    this.throwIfCancelled(options.signal);
+                    console.error('Quoted text analysis failed:', error);
+                    return null;
+                })
+                : Promise.resolve(null)
+        ]);
+
+        return {
+            ...authorial,
+            explanation: `${this.describeVoiceSplit(split, quoted)} ${authorial.explanation || ''}`.trim(),
+            findings: [...(authorial.findings || []), ...this.labelQuotedFindings(quoted, split.quotes)],
+            voices: {
+                authorial: this.summarizeVoice(authorial, split.authorialWordCount),
+                quoted: {
+                    ...this.summarizeVoice(quoted, split.quotedWordCount),
+                    quoteCount: split.quotes.length,
+                    speakers: this.countSpeakers(split.quotes)
+                }
+            },
+            quotes: split.quotes
+        };
+    }
+
+    /**
+     * Summarize one voice's analysis for the popup
+     * @param {Object|null} result Analysis result, or null if the voice wasn't scored
+     * @param {number} wordCount Words in the voice
+     * @returns {Object} {overallScore, topCategories, wordCount, analyzed}
+     */
+    summarizeVoice(result, wordCount) {
+        if (!result) {
+            return { overallScore: 'unknown', topCategories: [], wordCount: wordCount, analyzed: false };
+        }
+
+        const topCategories = (result.categories || [])
+            .filter(category => category.detected)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3)
+            .map(category => category.name);
+
+        return { overallScore: result.overallScore, topCategories: topCategories, wordCount: wordCount, analyzed: true };
+    }
+
+    /**
+     * Count quotations per named speaker, most quoted first
+     * @param {Array<Object>} quotes Quotes from QuoteDetector
+     * @returns {Array<Object>} [{name, count}]
+     */
+    countSpeakers(quotes) {
+        const counts = new Map();
+        quotes.forEach(quote => {
+            if (quote.speaker) {
+                counts.set(quote.speaker, (counts.get(quote.speaker) || 0) + 1);
             }
+        });
+        return Array.from(counts.entries())
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count);
+    }
 
-            // Cache the result
-            this.saveToCache(cacheKey, result);
+    /**
+     * Mark findings from quoted text so their tooltips say who is speaking
+     * @param {Object|null} quoted Analysis result for the quoted text
+     * @param {Array<Object>} quotes Quotes from QuoteDetector
+     * @returns {Array<Object>} Findings
+     */
+    labelQuotedFindings(quoted, quotes) {
+        return ((quoted && quoted.findings) || []).map(finding => {
+            const quote = quotes.find(item => item.text.includes(finding.text) || finding.text.includes(item.text));
+            const speaker = quote && quote.speaker ? ` from ${quote.speaker}` : '';
+            return { ...finding, quoted: true, reason: `Quoted speech${speaker}. ${finding.reason || ''}`.trim() };
+        });
+    }
+
+    /**
+     * Describe how the article was split for the explanation
+     * @param {Object} split Result of QuoteDetector.split()
+     * @param {Object|null} quoted Analysis result for the quoted text
+     * @returns {string} Description
+     */
+    describeVoiceSplit(split, quoted) {
+        const quotations = split.quotes.length === 1 ? 'quotation' : 'quotations';
+        const scored = quoted
+            ? `was scored separately (${quoted.overallScore})`
+            : 'was not scored';
+        return `Scored on the author's own words; the text of ${split.quotes.length} ${quotations} (${split.quotedWordCount} words) ${scored}.`;
+    }
 
+    /**
+     * Analyze text for bias using the configured providers. Long texts are
+     * split into chunks that are analyzed in parallel and aggregated.
+     * @param {string} text Text to analyze
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the analysis
+     * @param {Function} [options.onRetry] Called when a backend request is retried
+     * @param {Function} [options.onProgress] Called with chunk progress and cache hits
+     * @param {Object} [options.metadata] Article metadata passed to providers that accept it
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyzeText(text, options = {}) {
+        const { signal } = options;
+
+        const settings = await SettingsStore.load();
+        const chunker = new TextChunker({ maxChunkSize: settings.analysis.chunkSize });
+        const chunks = chunker.split(text);
+
+        const total = Math.max(1, chunks.length);
+        let completed = 0;
+        options.onProgress?.({ stage: 'analyzing', completed, total });
+
+        if (chunks.length <= 1) {
+            console.log('Sending text to analysis providers:', settings.providerOrder);
+            const result = await this.providers.analyze(text, settings, this.cache, options);
+            options.onProgress?.({ stage: 'analyzing', completed: 1, total });
+            return result;
+        }
+
+        console.log(`Analyzing article in ${chunks.length} chunks, concurrency ${settings.analysis.maxConcurrency}`);
+
+        const outcomes = await this.runWithConcurrency(chunks, settings.analysis.maxConcurrency, async (chunk) => {
+            try {
+                return { result: await this.providers.analyze(chunk.text, settings, this.cache, options) };
+            } catch (error) {
+                console.error(`Chunk ${chunk.index + 1} analysis failed:`, error);
+                return { error };
+            } finally {
+                completed++;
+                options.onProgress?.({ stage: 'analyzing', completed, total });
+            }
+        });
+
+        this.throwIfCancelled(signal);
+        return this.aggregator.aggregate(chunks, outcomes);
+    }
+
+    /**
+     * Analyze the text a user selected on a page
+     * @param {Object} info Context menu click info
+     * @param {Object} tab Tab the selection was made in
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyzeSelection(info, tab) {
+        try {
+            const text = await this.getSelectedText(info, tab);
+            const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+
+            if (text.length < 30) {
+                throw new AnalysisError(ERROR_CODES.CONTENT_TOO_SHORT, 'Selection too short for analysis (minimum 30 characters required)');
+            }
+
+            // Choosing the menu item confirms the selection, so only the site itself is checked
+            const sendPolicy = await this.getSendPolicy();
+            sendPolicy.assertAllowed(tab.url);
+
+            console.log('Analyzing selected text:', { length: text.length, wordCount });
+            const analysisResult = await this.analyzeText(text);
+
+            const result = {
+                success: true,
+                ...analysisResult,
+                extractionInfo: {
+                    url: tab.url,
+                    title: tab.title,
+                    wordCount: wordCount,
+                    extractionMethod: 'selection'
+                }
+            };
+
+            await this.attachOutlet(result);
+            await this.recordTabResult(tab, result);
+            await this.openResultPopup(tab);
             return result;
 
         } catch (error) {
-            console.error('Analysis error:', error);
-            
-            // Return fallback result
+            console.error('Selection analysis error:', error);
+            await Promise.all([
+                chrome.action.setBadgeText({ tabId: tab.id, text: '!' }),
+                chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#6b7280' }),
+                chrome.action.setTitle({ tabId: tab.id, title: `AI Bias Detector - ${error.message}` })
+            ]).catch(() => {
+                // Tab closed while the selection was being analyzed
+            });
             return {
-                success: true,
-                overallScore: 'unknown',
-                confidence: 'low',
-                categories: [],
-                explanation: `Analysis temporarily unavailable: ${error.message}. Please try again later.`,
-                apiUsed: ['error'],
-                timestamp: Date.now()
+                success: false,
+                ...AnalysisError.toResult(error)
             };
         }
     }
 
+    /**
+     * Create the send policy from the current settings
+     * @returns {Promise<SendPolicy>} Send policy
+     */
+    async getSendPolicy() {
+        const settings = await SettingsStore.load();
+        return new SendPolicy(settings.sendPolicy);
+    }
+
+    /**
+     * Attach outlet reputation metadata for the analyzed page's domain
+     * @param {Object} result Analysis result with extractionInfo
+     */
+    async attachOutlet(result) {
+        try {
+            result.outlet = await this.outlets.lookup(result.extractionInfo?.url);
+        } catch (error) {
+            // Outlet data is supplementary; never fail the analysis over it
+            console.error('Error looking up outlet:', error);
+            result.outlet = null;
+        }
+    }
+
+    /**
+     * Read the full selection from the page, falling back to the context menu's
+     * copy when the page can't be scripted (e.g. the built-in PDF viewer)
+     * @param {Object} info Context menu click info
+     * @param {Object} tab Tab the selection was made in
+     * @returns {Promise<string>} Selected text with paragraph breaks preserved
+     */
+    async getSelectedText(info, tab) {
+        let text = info.selectionText || '';
+
+        try {
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+                func: () => window.getSelection().toString()
+            });
+
+            if (injection && injection.result && injection.result.trim().length >= text.trim().length) {
+                text = injection.result;
+            }
+        } catch (error) {
+            console.log('Could not read selection from page, using context menu text:', error.message);
+        }
+
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(paragraph => paragraph.length > 0)
+            .join('\n\n');
+    }
+
+    /**
+     * Open the popup to show a result, where the browser allows it. Otherwise
+     * the badge tells the user a result is waiting.
+     * @param {Object} tab Tab the result belongs to
+     */
+    async openResultPopup(tab) {
+        try {
+            if (chrome.action.openPopup) {
+                await chrome.action.openPopup({ windowId: tab.windowId });
+            }
+        } catch (error) {
+            console.log('Could not open popup automatically:', error.message);
+        }
+    }
+
+    /**
+     * Analyze a tab automatically after it loads, if auto-scan allows it
+     * @param {Object} tab Tab that finished loading
+     */
+    async autoScanTab(tab) {
+        if (!tab || !this.canInjectScript(tab.url) || this.autoScanningTabs.has(tab.id)) {
+            return;
+        }
+
+        const settings = await SettingsStore.load();
+        if (!settings.autoScan.enabled || !matchesDomain(tab.url, settings.autoScan.domains)) {
+            return;
+        }
+
+        // Skip tabs that already have a result for this URL
+        const existing = await this.getTabResult(tab.id, tab.url);
+        if (existing) {
+            return;
+        }
+
+        this.autoScanningTabs.add(tab.id);
+        try {
+            console.log('Auto-scanning tab:', tab.url);
+            const result = await this.extractAndAnalyze({ tab });
+
+            if (!result.success) {
+                console.log('Auto-scan skipped:', result.error);
+            }
+        } catch (error) {
+            console.error('Auto-scan error:', error);
+        } finally {
+            this.autoScanningTabs.delete(tab.id);
+        }
+    }
+
+    /**
+     * Remember a tab's latest result, add it to the history and show its
+     * score on the toolbar badge
+     * @param {Object} tab Analyzed tab
+     * @param {Object} result Analysis result
+     */
+    async recordTabResult(tab, result) {
+        try {
+            await chrome.storage.session.set({
+                [`tabResult:${tab.id}`]: { url: tab.url, result: result }
+            });
+            await this.updateBadge(tab.id, result);
+            await this.recordHistory(result);
+        } catch (error) {
+            console.error('Error recording tab result:', error);
+        }
+    }
+
+    /**
+     * Save a result to the history if history is enabled
+     * @param {Object} result Analysis result with extractionInfo
+     */
+    async recordHistory(result) {
+        try {
+            const settings = await SettingsStore.load();
+            if (settings.history.enabled) {
+                await this.history.add(result);
+            }
+        } catch (error) {
+            console.error('Error recording history:', error);
+        }
+    }
+
+    /**
+     * Get the stored result for a tab if it is still showing the same URL
+     * @param {number} tabId Tab ID
+     * @param {string} url Current tab URL
+     * @returns {Promise<Object|null>} Analysis result or null
+     */
+    async getTabResult(tabId, url) {
+        const key = `tabResult:${tabId}`;
+        const stored = await chrome.storage.session.get(key);
+        const entry = stored[key];
+        return entry && entry.url === url ? entry.result : null;
+    }
+
+    /**
+     * Forget a tab's result and clear its badge
+     * @param {number} tabId Tab ID
+     */
+    async clearTabResult(tabId) {
+        await chrome.storage.session.remove(`tabResult:${tabId}`);
+        await chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {
+            // Tab already closed
+        });
+    }
+
+    /**
+     * Show a result's 0-100 bias score as a colored badge on the tab
+     * @param {number} tabId Tab ID
+     * @param {Object} result Analysis result
+     */
+    async updateBadge(tabId, result) {
+        if (result.overallScore === 'unknown') {
+            await chrome.action.setBadgeText({ tabId, text: '' });
+            return;
+        }
+
+        const score = calculateBiasScore(result);
+        await chrome.action.setBadgeText({ tabId, text: String(score) });
+        await chrome.action.setBadgeBackgroundColor({ tabId, color: getBiasScoreColor(score) });
+        if (chrome.action.setBadgeTextColor) {
+            await chrome.action.setBadgeTextColor({ tabId, color: '#ffffff' });
+        }
+        await chrome.action.setTitle({
+            tabId,
+            title: `AI Bias Detector - bias score ${score}/100 (${result.overallScore})`
+        });
+    }
+
+    /**
+     * Start an analysis that can be cancelled by request ID
+     * @param {string} requestId Request ID chosen by the caller
+     * @param {Function} [onProgress] Called with {stage, ...details} as the analysis advances
+     * @param {Object} [target] What to analyze; the active tab is analyzed when empty
+     * @param {string} [target.url] URL to fetch and analyze without opening it
+     * @param {number} [target.tabId] Open tab to analyze
+     * @param {boolean} [target.confirmed] The user confirmed sending a page that looks signed-in
+     * @returns {Promise<Object>} Analysis result
+     */
+    async startCancellableAnalysis(requestId, onProgress, target = {}) {
+        const controller = new AbortController();
+        this.activeRequests.set(requestId, controller);
+
+        const options = {
+            confirmed: Boolean(target.confirmed),
+            signal: controller.signal,
+            onProgress: onProgress,
+            onRetry: (retry) => onProgress?.({ stage: 'retrying', ...retry })
+        };
+
+        try {
+            if (target.url) {
+                return await this.analyzeUrl(target.url, options);
+            }
+            if (target.tabId !== undefined) {
+                options.tab = await chrome.tabs.get(target.tabId);
+            }
+            return await this.extractAndAnalyze(options);
+        } finally {
+            this.activeRequests.delete(requestId);
+        }
+    }
+
+    /**
+     * Cancel an in-flight analysis
+     * @param {string} requestId Request ID to cancel
+     * @returns {boolean} True if a request was cancelled
+     */
+    cancelAnalysis(requestId) {
+        const controller = this.activeRequests.get(requestId);
+        if (!controller) {
+            return false;
+        }
+
+        console.log('Cancelling analysis:', requestId);
+        controller.abort();
+        this.activeRequests.delete(requestId);
+        return true;
+    }
+
+    /**
+     * Throw if the signal has been aborted
+     * @param {AbortSignal} [signal] Signal to check
+     */
+    throwIfCancelled(signal) {
+        if (signal?.aborted) {
+            throw new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled');
+        }
+    }
+
+    /**
+     * Run an async worker over items with at most `limit` running at once
+     * @param {Array} items Items to process
+     * @param {number} limit Maximum concurrent workers
+     * @param {Function} worker Async function called with (item, index)
+     * @returns {Promise<Array>} Worker results in item order
+     */
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    /**
+     * List the tabs in a window that can be scanned
+     * @param {number} windowId Window ID
+     * @returns {Promise<Object>} {tabs: [{id, url, title}], skipped}
+     */
+    async getScannableTabs(windowId) {
+        const tabs = await chrome.tabs.query({ windowId });
+
+        // Discarded tabs have no page to inject into until they are reloaded
+        const scannable = tabs.filter(tab => this.canInjectScript(tab.url) && !tab.discarded);
+
+        return {
+            tabs: scannable.map(tab => ({ id: tab.id, url: tab.url, title: tab.title })),
+            skipped: tabs.length - scannable.length
+        };
+    }
+
     /**
      * Check if we can inject content script into the given URL
      * @param {string} url URL to check
@@ -241,85 +1298,108 @@ class BiasDetectionService {
         // Allow http and https
         return url.startsWith('http://') || url.startsWith('https://');
     }
+}
 
-    /**
-     * Generate cache key for text
-     * @param {string} text Text to generate key for
-     * @returns {string} Cache key
-     */
-    generateCacheKey(text) {
-        // Simple hash function for caching
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            const char = text.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return hash.toString();
-    }
+// Initialize service
+const biasService = new BiasDetectionService();
 
-    /**
-     * Get result from cache
-     * @param {string} key Cache key
-     * @returns {Object|null} Cached result or null
-     */
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
-            return cached.result;
-        }
-        return null;
-    }
+// Long-lived connection used by extension pages to run an analysis and stream its progress.
+// Pages send {action: 'start', url?, tabId?, confirmed?} or {action: 'cancel'}; without a URL or tab ID the
+// active tab is analyzed, and confirmed lets a page that looks signed-in be sent. Every update is posted as {stage, ...details}, ending with {stage: 'done', result}.
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'analysis') return;
 
-    /**
-     * Save result to cache
-     * @param {string} key Cache key
-     * @param {Object} result Result to cache
-     */
-    saveToCache(key, result) {
-        this.cache.set(key, {
-            result: result,
-            timestamp: Date.now()
-        });
+    const requestId = crypto.randomUUID();
+    let connected = true;
+
+    // Closing the popup doesn't cancel the analysis; its result still reaches the badge and history
+    port.onDisconnect.addListener(() => {
+        connected = false;
+    });
 
-        // Clean old entries if cache gets too large
-        if (this.cache.size > 100) {
-            const oldestKey = this.cache.keys().next().value;
-            this.cache.delete(oldestKey);
+    const post = (message) => {
+        if (connected) {
+            port.postMessage(message);
         }
-    }
-}
+    };
 
-// Initialize service
-const biasService = new BiasDetectionService();
+    port.onMessage.addListener((message) => {
+        console.log('Background script received port message:', message);
+
+        if (message.action === 'start') {
+            biasService.startCancellableAnalysis(requestId, post, {
+                url: message.url,
+                tabId: message.tabId,
+                confirmed: message.confirmed
+            })
+                .then(result => {
+                    console.log('Sending result to popup:', {
+                        success: result.success,
+                        overallScore: result.overallScore
+                    });
+                    post({ stage: 'done', result });
+                })
+                .catch(error => {
+                    console.error('Extract and analyze error:', error);
+                    post({ stage: 'done', result: biasService.createErrorResult(error) });
+                });
+        } else if (message.action === 'cancel') {
+            biasService.cancelAnalysis(requestId);
+        }
+    });
+});
 
 // Message listener for popup communication
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Background script received message:', request);
 
-    if (request.action === 'extractAndAnalyze') {
-        // Handle async operation
-        biasService.extractAndAnalyze()
-            .then(result => {
-                console.log('Sending result to popup:', {
-                    success: result.success,
-                    overallScore: result.overallScore
-                });
-                sendResponse(result);
-            })
+    if (request.action === 'getScannableTabs') {
+        biasService.getScannableTabs(request.windowId)
+            .then(result => sendResponse(result))
             .catch(error => {
-                console.error('Extract and analyze error:', error);
-                sendResponse({
-                    success: false,
-                    error: error.message,
-                    overallScore: 'unknown',
-                    confidence: 'low',
-                    categories: [],
-                    explanation: 'Analysis failed: ' + error.message
-                });
+                console.error('Error listing tabs:', error);
+                sendResponse({ tabs: [], skipped: 0, error: error.message });
             });
+        return true;
+    }
+
+    if (['highlightFindings', 'clearHighlights', 'getHighlightState'].includes(request.action)) {
+        biasService.sendHighlightRequest(request.tabId, request.action, request.findings)
+            .then(response => sendResponse(response))
+            .catch(error => {
+                console.error('Error updating highlights:', error);
+                sendResponse({ ...AnalysisError.toResult(error), active: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'startSitePicker') {
+        biasService.startSitePicker(request.tabId)
+            .then(response => sendResponse(response))
+            .catch(error => {
+                console.error('Error starting site picker:', error);
+                sendResponse({ ...AnalysisError.toResult(error), started: false });
+            });
+        return true;
+    }
+
+    if (request.action === 'saveSiteRule') {
+        biasService.siteRules.save(request.rule)
+            .then(rule => sendResponse({ rule }))
+            .catch(error => {
+                console.error('Error saving site rule:', error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
 
-        // Return true to indicate we'll send response asynchronously
+    if (request.action === 'getTabResult') {
+        biasService.getTabResult(request.tabId, request.url)
+            .then(result => sendResponse({ result }))
+            .catch(error => {
+                console.error('Error reading tab result:', error);
+                sendResponse({ result: null });
+            });
         return true;
     }
 
@@ -329,6 +1409,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('AI Bias Detector installed/updated:', details.reason);
+
+    chrome.contextMenus.create({
+        id: 'analyze-selection',
+        title: 'Analyze selected text for bias',
+        contexts: ['selection']
+    });
     
     if (details.reason === 'install') {
         console.log('Extension installed for the first time');
@@ -337,13 +1423,31 @@ chrome.runtime.onInstalled.addListener((details) => {
     }
 });
 
-// Tab update listener (optional - for future features)
+// Context menu handler for selection analysis
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === 'analyze-selection' && tab) {
+        biasService.analyzeSelection(info, tab).catch(error => {
+            console.error('Error analyzing selection:', error);
+        });
+    }
+});
+
+// Tab update listener for auto-analysis
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) {
+        // Navigated away - the previous result no longer applies
+        biasService.clearTabResult(tabId);
+    }
+
     if (changeInfo.status === 'complete' && tab.url) {
-        // Page finished loading - could be used for auto-analysis in future
         console.log('Page loaded:', tab.url);
+        biasService.autoScanTab(tab);
     }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(`tabResult:${tabId}`);
+});
+
 console.log('AI Bias Detector background script loaded with cloud service support');
 
@@ -0,0 +1,580 @@
+// Batch analysis page script for AI Bias Detector
+// Analyzes open tabs or a list of URLs and compares the results in a sortable table
+
+class BatchAnalysisController {
+    constructor() {
+        // One row per page: {id, url, tabId?, title, status, detail, result}
+        this.rows = [];
+        this.running = false;
+        this.cancelled = false;
+        // Ports of the analyses in progress, keyed by row ID
+        this.activePorts = new Map();
+        this.sort = { key: null, direction: 'desc' };
+
+        this.elements = {
+            scanTabsButton: document.getElementById('scan-tabs-button'),
+            urlInput: document.getElementById('url-input'),
+            analyzeButton: document.getElementById('analyze-button'),
+            cancelButton: document.getElementById('cancel-button'),
+            status: document.getElementById('batch-status'),
+            resultsSection: document.getElementById('results-section'),
+            summary: document.getElementById('batch-summary'),
+            resultsBody: document.getElementById('results-body'),
+            sortButtons: document.querySelectorAll('.sort-btn'),
+            exportCsvButton: document.getElementById('export-csv-button'),
+            exportJsonButton: document.getElementById('export-json-button')
+        };
+
+        this.attachEventListeners();
+
+        // The popup opens this page with ?scan=tabs to start a tab scan right away
+        if (new URLSearchParams(window.location.search).get('scan') === 'tabs') {
+            this.scanTabs();
+        }
+    }
+
+    /**
+     * Attach event listeners to page controls
+     */
+    attachEventListeners() {
+        this.elements.scanTabsButton?.addEventListener('click', () => this.scanTabs());
+        this.elements.analyzeButton?.addEventListener('click', () => this.analyzeUrls());
+        this.elements.cancelButton?.addEventListener('click', () => this.cancel());
+        this.elements.exportCsvButton?.addEventListener('click', () => this.exportResults('csv'));
+        this.elements.exportJsonButton?.addEventListener('click', () => this.exportResults('json'));
+
+        this.elements.sortButtons.forEach(button => {
+            button.addEventListener('click', () => this.sortBy(button.dataset.sort));
+        });
+    }
+
+    /**
+     * Analyze every eligible tab in this page's window
+     */
+    async scanTabs() {
+        if (this.running) return;
+
+        try {
+            const currentWindow = await chrome.windows.getCurrent();
+            const response = await chrome.runtime.sendMessage({ action: 'getScannableTabs', windowId: currentWindow.id });
+
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            if (response.tabs.length === 0) {
+                this.showStatus('No tabs in this window can be analyzed.', true);
+                return;
+            }
+
+            // This page is one of the skipped tabs
+            const skipped = Math.max(0, response.skipped - 1);
+            this.showStatus(skipped > 0 ? `Skipped ${skipped} tab(s) that can't be analyzed.` : '');
+
+            await this.run(response.tabs.map(tab => ({ url: tab.url, tabId: tab.id, title: tab.title })));
+        } catch (error) {
+            console.error('Error scanning tabs:', error);
+            this.showStatus('Failed to scan tabs: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Analyze every URL in the input
+     */
+    async analyzeUrls() {
+        if (this.running) return;
+
+        const { urls, invalid } = this.parseUrls(this.elements.urlInput?.value || '');
+        if (urls.length === 0) {
+            this.showStatus('Enter at least one http(s) URL.', true);
+            return;
+        }
+        this.showStatus(invalid.length > 0 ? `Skipped ${invalid.length} invalid line(s).` : '', invalid.length > 0);
+
+        await this.run(urls.map(url => ({ url, title: '' })));
+    }
+
+    /**
+     * Analyze a set of pages with the configured concurrency limit
+     * @param {Array<Object>} targets Pages: {url, title, tabId?}
+     */
+    async run(targets) {
+        const settings = await SettingsStore.load();
+
+        this.rows = targets.map((target, index) => ({
+            id: index,
+            ...target,
+            status: 'queued',
+            detail: '',
+            result: null
+        }));
+        this.running = true;
+        this.cancelled = false;
+        this.updateButtons();
+        this.render();
+
+        const queue = [...this.rows];
+        const workers = Array.from({ length: Math.min(settings.analysis.batchConcurrency, queue.length) }, async () => {
+            while (queue.length > 0 && !this.cancelled) {
+                await this.analyzeRow(queue.shift());
+            }
+        });
+        await Promise.all(workers);
+
+        queue.forEach(row => {
+            row.status = 'cancelled';
+        });
+
+        this.running = false;
+        this.updateButtons();
+        this.render();
+    }
+
+    /**
+     * Analyze one page over a port to the background script
+     * @param {Object} row Result row
+     * @returns {Promise<void>} Resolves when the analysis finishes, fails or is cancelled
+     */
+    analyzeRow(row) {
+        return new Promise((resolve) => {
+            const port = chrome.runtime.connect({ name: 'analysis' });
+            this.activePorts.set(row.id, { port, row, resolve });
+            row.status = 'running';
+            row.detail = 'Starting…';
+            this.render();
+
+            port.onMessage.addListener((message) => {
+                if (message.stage === 'done') {
+                    row.result = message.result;
+                    row.status = message.result.success ? 'done' : 'failed';
+                    row.detail = message.result.success ? '' : message.result.error;
+                    row.errorCode = message.result.success ? null : message.result.errorCode;
+                    this.finishRow(row.id);
+                } else {
+                    row.detail = this.describeStage(message);
+                    this.render();
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                // The background script went away before sending a result
+                if (this.activePorts.has(row.id)) {
+                    row.status = 'failed';
+                    row.detail = 'Lost connection to the background service.';
+                    row.errorCode = ERROR_CODES.UNKNOWN;
+                    this.finishRow(row.id);
+                }
+            });
+
+            port.postMessage(row.tabId !== undefined
+                ? { action: 'start', tabId: row.tabId }
+                : { action: 'start', url: row.url });
+        });
+    }
+
+    /**
+     * Close a row's port and resolve its analysis
+     * @param {number} rowId Row ID
+     */
+    finishRow(rowId) {
+        const active = this.activePorts.get(rowId);
+        if (!active) return;
+
+        this.activePorts.delete(rowId);
+        active.port.disconnect();
+        active.resolve();
+        this.render();
+    }
+
+    /**
+     * Cancel the running analyses and skip the remaining pages
+     */
+    cancel() {
+        if (!this.running) return;
+
+        this.cancelled = true;
+        Array.from(this.activePorts.values()).forEach(({ port, row }) => {
+            port.postMessage({ action: 'cancel' });
+            row.status = 'cancelled';
+            row.detail = '';
+            this.finishRow(row.id);
+        });
+    }
+
+    /**
+     * Split input into unique, valid http(s) URLs
+     * @param {string} text Input text, one URL per line
+     * @returns {Object} {urls, invalid}
+     */
+    parseUrls(text) {
+        const urls = [];
+        const invalid = [];
+
+        text.split(/\s+/).map(line => line.trim()).filter(Boolean).forEach(line => {
+            try {
+                const url = new URL(line);
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    throw new Error('Unsupported protocol');
+                }
+                if (!urls.includes(url.href)) {
+                    urls.push(url.href);
+                }
+            } catch (error) {
+                invalid.push(line);
+            }
+        });
+
+        return { urls, invalid };
+    }
+
+    /**
+     * Describe a progress event for the status column
+     * @param {Object} message Stage event
+     * @returns {string} Status text
+     */
+    describeStage(message) {
+        switch (message.stage) {
+            case 'injecting':
+                return 'Preparing page…';
+            case 'fetching':
+                return 'Downloading page…';
+            case 'extracting':
+                return 'Extracting text…';
+            case 'paginating':
+                return `Downloading page ${message.page}…`;
+            case 'extracted':
+                return message.pageCount > 1
+                    ? `Extracted ${message.wordCount || 0} words from ${message.pageCount} pages`
+                    : `Extracted ${message.wordCount || 0} words`;
+            case 'analyzing':
+                return message.total > 1
+                    ? `Analyzing ${message.completed} of ${message.total} sections…`
+                    : 'Analyzing…';
+            case 'cached':
+                return 'Using cached result';
+            case 'retrying':
+                return `${message.label} busy, retrying (attempt ${message.attempt} of ${message.maxRetries})…`;
+            case 'queued':
+                return `Queued for ${message.label} (position ${message.position})…`;
+            case 'dequeued':
+                return 'Analyzing…';
+            default:
+                return 'Working…';
+        }
+    }
+
+    /**
+     * Sort the table by a column, toggling direction on repeated clicks
+     * @param {string} key Column key
+     */
+    sortBy(key) {
+        if (this.sort.key === key) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            // Numbers read best largest first, text alphabetically
+            this.sort = { key, direction: ['score', 'wordCount'].includes(key) ? 'desc' : 'asc' };
+        }
+        this.render();
+    }
+
+    /**
+     * Get the rows in the current sort order
+     * @returns {Array<Object>} Sorted copy of the rows
+     */
+    getSortedRows() {
+        const { key, direction } = this.sort;
+        if (!key) return [...this.rows];
+
+        const factor = direction === 'asc' ? 1 : -1;
+        return [...this.rows].sort((a, b) => {
+            const valueA = this.getSortValue(a, key);
+            const valueB = this.getSortValue(b, key);
+
+            // Rows without a value (pending or failed) always sort last
+            if (valueA === null && valueB === null) return a.id - b.id;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+
+            const comparison = typeof valueA === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB));
+            return comparison * factor || a.id - b.id;
+        });
+    }
+
+    /**
+     * Get the value a row is sorted by for a column
+     * @param {Object} row Result row
+     * @param {string} key Column key
+     * @returns {number|string|null} Sort value, or null if the row has none
+     */
+    getSortValue(row, key) {
+        const summary = this.summarizeRow(row);
+
+        switch (key) {
+            case 'title':
+                return summary.title.toLowerCase();
+            case 'outlet':
+                return summary.outlet ? summary.outlet.name.toLowerCase() : null;
+            case 'score':
+                return summary.score;
+            case 'categories':
+                return summary.topCategories.length > 0 ? summary.topCategories[0].score : null;
+            case 'wordCount':
+                return summary.wordCount;
+            case 'status':
+                return row.status;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Collect the values shown and exported for a row
+     * @param {Object} row Result row
+     * @returns {Object} Row summary
+     */
+    summarizeRow(row) {
+        const result = row.result && row.result.success ? row.result : null;
+        const info = (row.result && row.result.extractionInfo) || {};
+
+        return {
+            url: row.url,
+            title: info.title || row.title || row.url,
+            status: row.status,
+            error: row.status === 'failed' ? row.detail : '',
+            errorCode: row.status === 'failed' ? row.errorCode || ERROR_CODES.UNKNOWN : '',
+            outlet: result ? result.outlet || null : null,
+            score: result ? calculateBiasScore(result) : null,
+            overallScore: result ? result.overallScore : null,
+            confidence: result ? result.confidence : null,
+            topCategories: result ? this.getTopCategories(result) : [],
+            wordCount: result ? info.wordCount || 0 : null,
+            provider: result ? result.provider || '' : ''
+        };
+    }
+
+    /**
+     * Get the strongest detected categories of a result
+     * @param {Object} result Analysis result
+     * @returns {Array<Object>} Up to three categories, strongest first
+     */
+    getTopCategories(result) {
+        return (result.categories || [])
+            .filter(category => category.detected)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+    }
+
+    /**
+     * Render the results table
+     */
+    render() {
+        const body = this.elements.resultsBody;
+        if (!body) return;
+
+        body.innerHTML = '';
+        this.getSortedRows().forEach(row => body.appendChild(this.createRowElement(row)));
+
+        this.elements.sortButtons.forEach(button => {
+            const active = button.dataset.sort === this.sort.key;
+            button.className = `sort-btn ${active ? this.sort.direction : ''}`;
+        });
+
+        if (this.elements.resultsSection) {
+            this.elements.resultsSection.style.display = this.rows.length > 0 ? 'block' : 'none';
+        }
+        if (this.elements.summary) {
+            const done = this.rows.filter(row => row.status === 'done').length;
+            const failed = this.rows.filter(row => row.status === 'failed').length;
+            this.elements.summary.textContent = `${done} of ${this.rows.length} analyzed${failed > 0 ? `, ${failed} failed` : ''}`;
+        }
+    }
+
+    /**
+     * Create the table row for one page
+     * @param {Object} row Result row
+     * @returns {HTMLElement} Table row
+     */
+    createRowElement(row) {
+        const summary = this.summarizeRow(row);
+        const tr = document.createElement('tr');
+
+        const pageCell = document.createElement('td');
+        pageCell.className = 'page-cell';
+        const title = document.createElement('a');
+        title.className = 'page-title';
+        title.href = row.url;
+        title.target = '_blank';
+        title.rel = 'noopener noreferrer';
+        title.textContent = summary.title;
+        title.title = row.url;
+        pageCell.appendChild(title);
+
+        if (row.result && row.result.success && row.result.explanation) {
+            const detail = document.createElement('div');
+            detail.className = 'page-detail';
+            detail.textContent = row.result.explanation;
+            pageCell.appendChild(detail);
+        }
+
+        const outletCell = document.createElement('td');
+        if (summary.outlet) {
+            outletCell.textContent = summary.outlet.name;
+            const lean = document.createElement('span');
+            lean.className = 'outlet-lean';
+            lean.textContent = `${summary.outlet.lean.replace(/-/g, ' ')} · ${summary.outlet.factualReporting.replace(/-/g, ' ')}`;
+            outletCell.appendChild(lean);
+        }
+
+        const scoreCell = document.createElement('td');
+        if (summary.score !== null) {
+            const badge = document.createElement('span');
+            badge.className = 'score-badge';
+            badge.style.background = getBiasScoreColor(summary.score);
+            badge.textContent = summary.score;
+            badge.title = `${summary.overallScore} bias, ${summary.confidence} confidence`;
+            scoreCell.appendChild(badge);
+        }
+
+        const categoriesCell = document.createElement('td');
+        if (summary.topCategories.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'category-list';
+            summary.topCategories.forEach(category => {
+                const tag = document.createElement('span');
+                tag.className = 'category-tag';
+                tag.textContent = `${category.name} ${Math.round(category.score * 100)}%`;
+                list.appendChild(tag);
+            });
+            categoriesCell.appendChild(list);
+        } else if (summary.score !== null) {
+            categoriesCell.textContent = 'None detected';
+        }
+
+        const wordsCell = document.createElement('td');
+        wordsCell.textContent = summary.wordCount !== null ? summary.wordCount.toLocaleString() : '';
+
+        const statusCell = document.createElement('td');
+        const status = document.createElement('span');
+        status.className = `status-text ${row.status}`;
+        status.textContent = this.describeStatus(row);
+        if (row.status === 'failed') {
+            status.title = `${row.detail || ''}\n\n${getErrorDetails(row.errorCode).remediation}`.trim();
+        }
+        statusCell.appendChild(status);
+
+        tr.append(pageCell, outletCell, scoreCell, categoriesCell, wordsCell, statusCell);
+        return tr;
+    }
+
+    /**
+     * Describe a row's status for the status column
+     * @param {Object} row Result row
+     * @returns {string} Status text
+     */
+    describeStatus(row) {
+        switch (row.status) {
+            case 'queued':
+                return 'Queued';
+            case 'running':
+                return row.detail;
+            case 'done':
+                return 'Done';
+            case 'failed':
+                return getErrorDetails(row.errorCode).title;
+            case 'cancelled':
+                return 'Cancelled';
+            default:
+                return row.status;
+        }
+    }
+
+    /**
+     * Download the results in the current sort order
+     * @param {string} format "csv" or "json"
+     */
+    exportResults(format) {
+        const summaries = this.getSortedRows().map(row => this.summarizeRow(row));
+        const records = summaries.map(summary => ({
+            url: summary.url,
+            title: summary.title,
+            outlet: summary.outlet ? summary.outlet.name : '',
+            lean: summary.outlet ? summary.outlet.lean : '',
+            factualReporting: summary.outlet ? summary.outlet.factualReporting : '',
+            score: summary.score,
+            overallScore: summary.overallScore,
+            confidence: summary.confidence,
+            topCategories: summary.topCategories.map(category => `${category.name} (${Math.round(category.score * 100)}%)`).join('; '),
+            wordCount: summary.wordCount,
+            provider: summary.provider,
+            status: summary.status,
+            errorCode: summary.errorCode,
+            error: summary.error
+        }));
+
+        const content = format === 'csv'
+            ? this.toCsv(records)
+            : JSON.stringify({ exportedAt: new Date().toISOString(), results: records }, null, 2);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bias-comparison-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Serialize records as CSV with a header row
+     * @param {Array<Object>} records Flat records with identical keys
+     * @returns {string} CSV text
+     */
+    toCsv(records) {
+        if (records.length === 0) return '';
+
+        const headers = Object.keys(records[0]);
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Titles and URLs come from the pages themselves; a leading =, +, -, @, tab or CR
+            // would make spreadsheets run the cell as a formula
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            headers.join(','),
+            ...records.map(record => headers.map(header => escape(record[header])).join(','))
+        ].join('\n');
+    }
+
+    /**
+     * Enable the buttons that apply to the current state
+     */
+    updateButtons() {
+        if (this.elements.scanTabsButton) this.elements.scanTabsButton.disabled = this.running;
+        if (this.elements.analyzeButton) this.elements.analyzeButton.disabled = this.running;
+        if (this.elements.cancelButton) this.elements.cancelButton.disabled = !this.running;
+    }
+
+    /**
+     * Show a status message next to the buttons
+     * @param {string} message Message text
+     * @param {boolean} [isError] Whether the message is an error
+     */
+    showStatus(message, isError = false) {
+        const status = this.elements.status;
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `save-status ${isError ? 'error' : 'success'}`;
+    }
+}
+
+// Initialize batch page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new BatchAnalysisController();
+});
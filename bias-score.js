@@ -0,0 +1,54 @@
+// Bias score helpers for AI Bias Detector
+// Shared by the popup and the background badge so both show the same number
+
+/**
+ * Calculate bias score out of 100 based on analysis result
+ * @param {Object} result Analysis result
+ * @returns {number} Bias score (0-100)
+ */
+function calculateBiasScore(result) {
+    let score = 0;
+
+    // Base score on overall bias level
+    switch (result.overallScore) {
+        case 'low':
+            score = 15;
+            break;
+        case 'medium':
+            score = 50;
+            break;
+        case 'high':
+            score = 85;
+            break;
+        default:
+            score = 25;
+    }
+
+    // Adjust based on detected categories
+    if (result.categories && result.categories.length > 0) {
+        const detectedCategories = result.categories.filter(cat => cat.detected);
+        const avgCategoryScore = detectedCategories.reduce((sum, cat) => sum + ((Number(cat.score) || 0) * 100), 0) / detectedCategories.length;
+
+        // Guards against NaN when no category is detected
+        if (avgCategoryScore > 0) {
+            score = Math.max(score, avgCategoryScore);
+        }
+    }
+
+    // Ensure score is within bounds
+    return Math.min(100, Math.max(0, Math.round(score)));
+}
+
+/**
+ * Color used to display a bias score
+ * @param {number} score Bias score (0-100)
+ * @returns {string} Hex color
+ */
+function getBiasScoreColor(score) {
+    if (score < 30) {
+        return '#10b981'; // Green
+    } else if (score < 70) {
+        return '#f59e0b'; // Yellow
+    }
+    return '#ef4444'; // Red
+}
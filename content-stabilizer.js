@@ -0,0 +1,237 @@
+// Content stabilization for AI Bias Detector
+// Waits for single-page apps and lazy-loading pages to finish rendering the article before extraction
+
+class ContentStabilizer {
+    /**
+     * @param {Document} [doc] Document to watch
+     * @param {Object} [options] Stabilization settings
+     * @param {number} [options.maxWaitMs] Longest time to wait before extracting anyway
+     * @param {number} [options.quietMs] How long paragraph count and text length must stay unchanged
+     * @param {boolean} [options.expandTruncated] Click "read more" style expanders in the article
+     */
+    constructor(doc, options = {}) {
+        this.document = doc || document;
+        this.maxWaitMs = options.maxWaitMs ?? 8000;
+        this.quietMs = options.quietMs ?? 800;
+        this.expandTruncated = options.expandTruncated ?? false;
+
+        // Below this the page is likely still a skeleton, so a single quiet spell isn't trusted
+        this.minTextLength = 500;
+        // Quiet spells in a row after which short content is accepted as all there is
+        this.maxThinQuietSpells = 3;
+        // Mutations are measured at most this often
+        this.measureIntervalMs = 100;
+        // Expanders clicked per page, so a page can't keep us clicking
+        this.maxExpanders = 3;
+
+        this.rootSelectors = ['article', 'main', '[role="main"]', '[itemprop="articleBody"]'];
+        this.expanderPattern = /^(read|show|see|view)\s+(more|full|the full|entire|whole|all)(\s+(article|story|text|post))?\W*$|^continue reading\W*$|^expand( article| story)?\W*$/i;
+    }
+
+    /**
+     * Wait until the article's paragraph count and text length stop changing
+     * @returns {Promise<Object>} {waitedMs, reason: 'stable'|'timeout', paragraphs, textLength, mutations, expanded}
+     */
+    async waitForStableContent() {
+        const start = Date.now();
+        await this.waitForDocument(this.maxWaitMs);
+
+        return new Promise((resolve) => {
+            let root = this.findContentRoot();
+            let metrics = this.measure(root);
+            let mutations = 0;
+            let expanded = 0;
+            let thinQuietSpells = 0;
+            let measureTimer = null;
+            let quietTimer = null;
+            let maxTimer = null;
+            const clicked = new Set();
+
+            const observer = new MutationObserver((records) => {
+                mutations += records.length;
+                if (!measureTimer) {
+                    measureTimer = setTimeout(remeasure, this.measureIntervalMs);
+                }
+            });
+            const observe = () => observer.observe(root, { childList: true, subtree: true, characterData: true });
+
+            const finish = (reason) => {
+                observer.disconnect();
+                clearTimeout(measureTimer);
+                clearTimeout(quietTimer);
+                clearTimeout(maxTimer);
+
+                const outcome = {
+                    waitedMs: Date.now() - start,
+                    reason: reason,
+                    paragraphs: metrics.paragraphs,
+                    textLength: metrics.textLength,
+                    mutations: mutations,
+                    expanded: expanded
+                };
+                console.log('Content stabilization finished:', outcome);
+                resolve(outcome);
+            };
+
+            const armQuietTimer = () => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(onQuiet, this.quietMs);
+            };
+
+            const remeasure = () => {
+                measureTimer = null;
+
+                // Single-page apps often replace the whole article container
+                if (!root.isConnected || root === this.document.body) {
+                    const candidate = this.findContentRoot();
+                    if (candidate !== root) {
+                        observer.disconnect();
+                        root = candidate;
+                        observe();
+                    }
+                }
+
+                const current = this.measure(root);
+                if (current.paragraphs !== metrics.paragraphs || current.textLength !== metrics.textLength) {
+                    metrics = current;
+                    thinQuietSpells = 0;
+                    armQuietTimer();
+                }
+            };
+
+            const onQuiet = () => {
+                // The article container was swapped out without further mutations in the old one
+                if (!root.isConnected) {
+                    remeasure();
+                    armQuietTimer();
+                    return;
+                }
+
+                // Expanding reveals more text; wait for it to settle as well
+                const clickedNow = this.expandTruncated ? this.clickExpanders(root, clicked) : 0;
+                if (clickedNow > 0) {
+                    expanded += clickedNow;
+                    armQuietTimer();
+                    return;
+                }
+
+                thinQuietSpells++;
+                if (metrics.textLength >= this.minTextLength || thinQuietSpells >= this.maxThinQuietSpells) {
+                    finish('stable');
+                    return;
+                }
+
+                // Short content may be a skeleton that is about to be filled in
+                armQuietTimer();
+            };
+
+            observe();
+            armQuietTimer();
+            maxTimer = setTimeout(() => finish('timeout'), Math.max(0, this.maxWaitMs - (Date.now() - start)));
+        });
+    }
+
+    /**
+     * Wait until the document has been parsed, bounded by the time left
+     * @param {number} maxWaitMs Longest time to wait
+     * @returns {Promise<void>} Resolves once the DOM is ready or the time is up
+     */
+    waitForDocument(maxWaitMs) {
+        if (this.document.readyState !== 'loading') {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, maxWaitMs);
+            this.document.addEventListener('DOMContentLoaded', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Find the element most likely to hold the article, falling back to the body
+     * @returns {Element} Content root
+     */
+    findContentRoot() {
+        for (const selector of this.rootSelectors) {
+            const element = this.document.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        return this.document.body || this.document.documentElement;
+    }
+
+    /**
+     * Measure the content root's paragraphs and text
+     * @param {Element} root Content root
+     * @returns {Object} {paragraphs, textLength}
+     */
+    measure(root) {
+        return {
+            paragraphs: root.querySelectorAll('p').length,
+            textLength: (root.textContent || '').replace(/\s+/g, ' ').length
+        };
+    }
+
+    /**
+     * Click "read more" and "show full article" expanders and open collapsed <details>
+     * that are inside the article. Links to other pages and form controls are never clicked.
+     * @param {Element} root Content root
+     * @param {Set<Element>} clicked Expanders already clicked
+     * @returns {number} Number of expanders clicked
+     */
+    clickExpanders(root, clicked) {
+        let count = 0;
+        const candidates = root.querySelectorAll('button, a, [role="button"]');
+        for (const element of candidates) {
+            if (clicked.size >= this.maxExpanders) break;
+            if (clicked.has(element) || !this.isExpander(element)) continue;
+
+            clicked.add(element);
+            try {
+                element.click();
+                count++;
+                console.log('Clicked expander:', element.textContent.trim());
+            } catch (error) {
+                console.warn('Could not click expander:', error);
+            }
+        }
+
+        root.querySelectorAll('details:not([open])').forEach(details => {
+            details.open = true;
+        });
+
+        return count;
+    }
+
+    /**
+     * Check whether an element is a visible in-page expander rather than a link away
+     * @param {Element} element Button or link
+     * @returns {boolean} True if it expands the article
+     */
+    isExpander(element) {
+        const label = (element.textContent || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+        if (!label || label.length > 40 || !this.expanderPattern.test(label)) {
+            return false;
+        }
+
+        // Submit buttons and anything in a form, such as paywall and newsletter signups, send data
+        if (element.closest('form') || element.matches('button[type="submit" i]')) {
+            return false;
+        }
+
+        if (element.tagName === 'A') {
+            const href = (element.getAttribute('href') || '').trim();
+            const inPage = !href || href.startsWith('#') || /^javascript:/i.test(href);
+            if (!inPage) {
+                return false;
+            }
+        }
+
+        // Skip disabled and hidden controls; hidden ones have no layout boxes
+        return !element.disabled && element.getClientRects().length > 0;
+    }
+}
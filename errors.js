@@ -0,0 +1,164 @@
+// Error taxonomy for AI Bias Detector
+// Typed error codes with user-facing remediation, shared by the background script and extension pages
+
+const ERROR_CODES = {
+    INJECTION_BLOCKED: 'injection-blocked',
+    UNSUPPORTED_URL: 'unsupported-url',
+    PAGE_UNAVAILABLE: 'page-unavailable',
+    SEND_BLOCKED: 'send-blocked',
+    CONFIRMATION_REQUIRED: 'confirmation-required',
+    EXTRACTION_EMPTY: 'extraction-empty',
+    CONTENT_TOO_SHORT: 'content-too-short',
+    BACKEND_UNREACHABLE: 'backend-unreachable',
+    RATE_LIMITED: 'rate-limited',
+    MALFORMED_RESPONSE: 'malformed-response',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
+
+// How each code is presented: a title, what the user can do about it, whether trying
+// again can help, and an optional action button (settings, reload or confirm)
+const ERROR_DETAILS = {
+    [ERROR_CODES.INJECTION_BLOCKED]: {
+        title: 'Can\'t Read This Page',
+        icon: '🔒',
+        remediation: 'The extension couldn\'t reach the page\'s content. Reload the page and try again. Some sites, such as the Chrome Web Store, block extensions entirely.',
+        retryable: true,
+        action: 'reload'
+    },
+    [ERROR_CODES.UNSUPPORTED_URL]: {
+        title: 'Page Not Supported',
+        icon: '🚫',
+        remediation: 'Only regular web pages (http or https) can be analyzed. Browser pages, extension pages and local files are not supported.',
+        retryable: false,
+        action: null
+    },
+    [ERROR_CODES.PAGE_UNAVAILABLE]: {
+        title: 'Page Unavailable',
+        icon: '🌐',
+        remediation: 'The page couldn\'t be downloaded. Check that the URL is correct and publicly accessible, or open it in a tab and scan it there.',
+        retryable: true,
+        action: null
+    },
+    [ERROR_CODES.SEND_BLOCKED]: {
+        title: 'Page Kept Private',
+        icon: '🛡️',
+        remediation: 'Nothing from this page was sent. If it is a public article, add the site to "Always allow" under Sending Safeguards in the settings.',
+        retryable: false,
+        action: 'settings'
+    },
+    [ERROR_CODES.CONFIRMATION_REQUIRED]: {
+        title: 'Confirm Before Sending',
+        icon: '🔐',
+        remediation: 'Nothing has been sent yet. Choose "Send Anyway" only if the page holds no personal or account information.',
+        retryable: false,
+        action: 'confirm'
+    },
+    [ERROR_CODES.EXTRACTION_EMPTY]: {
+        title: 'No Article Found',
+        icon: '📄',
+        remediation: 'No article text was found on this page. If the article is there, select its text, right-click and choose "Analyze selected text for bias".',
+        retryable: false,
+        action: null
+    },
+    [ERROR_CODES.CONTENT_TOO_SHORT]: {
+        title: 'Not Enough Text',
+        icon: '✂️',
+        remediation: 'There isn\'t enough text for a meaningful analysis. Try a full article, or select a longer passage.',
+        retryable: false,
+        action: null
+    },
+    [ERROR_CODES.BACKEND_UNREACHABLE]: {
+        title: 'Analysis Service Unavailable',
+        icon: '📡',
+        remediation: 'The analysis service couldn\'t be reached. Check your connection and try again, or enable another provider (such as the local analyzer) in the settings.',
+        retryable: true,
+        action: 'settings'
+    },
+    [ERROR_CODES.RATE_LIMITED]: {
+        title: 'Too Many Requests',
+        icon: '⏳',
+        remediation: 'The analysis service is limiting requests right now. Wait a minute and try again.',
+        retryable: true,
+        action: null
+    },
+    [ERROR_CODES.MALFORMED_RESPONSE]: {
+        title: 'Unexpected Response',
+        icon: '🧩',
+        remediation: 'The analysis service sent a response the extension couldn\'t read. Check the service URL in the settings, or try another provider.',
+        retryable: true,
+        action: 'settings'
+    },
+    [ERROR_CODES.CANCELLED]: {
+        title: 'Analysis Cancelled',
+        icon: '✋',
+        remediation: 'The analysis was cancelled.',
+        retryable: true,
+        action: null
+    },
+    [ERROR_CODES.UNKNOWN]: {
+        title: 'Analysis Failed',
+        icon: '⚠️',
+        remediation: 'Something went wrong. Please try again.',
+        retryable: true,
+        action: null
+    }
+};
+
+class AnalysisError extends Error {
+    /**
+     * @param {string} code Error code from ERROR_CODES
+     * @param {string} message Description of what went wrong
+     * @param {Object} [details] Extra fields, such as the HTTP status
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.code = ERROR_DETAILS[code] ? code : ERROR_CODES.UNKNOWN;
+        Object.assign(this, details);
+    }
+
+    /**
+     * Whether trying again can help
+     * @returns {boolean} True if retryable
+     */
+    get retryable() {
+        return ERROR_DETAILS[this.code].retryable;
+    }
+
+    /**
+     * Convert any error into an AnalysisError, keeping codes that are already set
+     * @param {Error} error Error to convert
+     * @param {string} [fallbackCode] Code for errors that carry none
+     * @returns {AnalysisError} Typed error
+     */
+    static from(error, fallbackCode = ERROR_CODES.UNKNOWN) {
+        if (error instanceof AnalysisError) {
+            return error;
+        }
+        return new AnalysisError(error && error.code ? error.code : fallbackCode, error ? error.message : 'Unknown error');
+    }
+
+    /**
+     * Fields added to {success: false} results so extension pages can render the error
+     * @param {Error} error Error to describe
+     * @returns {Object} {error, errorCode, retryable}
+     */
+    static toResult(error) {
+        const typed = AnalysisError.from(error);
+        return {
+            error: typed.message,
+            errorCode: typed.code,
+            retryable: typed.retryable
+        };
+    }
+}
+
+/**
+ * Look up how an error code is presented to the user
+ * @param {string} code Error code
+ * @returns {Object} {title, icon, remediation, retryable, action}
+ */
+function getErrorDetails(code) {
+    return ERROR_DETAILS[code] || ERROR_DETAILS[ERROR_CODES.UNKNOWN];
+}
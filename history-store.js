@@ -0,0 +1,130 @@
+// Analysis history store for AI Bias Detector
+// Keeps past analyses in chrome.storage.local for the history page
+
+class HistoryStore {
+    /**
+     * @param {Object} [options] Store options
+     * @param {number} [options.maxEntries] Maximum number of entries kept
+     */
+    constructor(options = {}) {
+        this.storageKey = 'analysisHistory';
+        this.maxEntries = options.maxEntries || 1000;
+
+        // Serializes read-modify-write cycles so concurrent analyses don't drop entries
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Add an analysis result to the history
+     * @param {Object} result Analysis result with extractionInfo
+     * @returns {Promise<Object>} Stored entry
+     */
+    async add(result) {
+        const entry = this.createEntry(result);
+
+        return this.runExclusive(async () => {
+            const entries = await this.load();
+            entries.unshift(entry);
+
+            // Entries are kept newest first, so trimming drops the oldest
+            await this.save(entries.slice(0, this.maxEntries));
+            return entry;
+        });
+    }
+
+    /**
+     * Build a history entry from an analysis result
+     * @param {Object} result Analysis result with extractionInfo
+     * @returns {Object} History entry
+     */
+    createEntry(result) {
+        const info = result.extractionInfo || {};
+
+        return {
+            id: crypto.randomUUID(),
+            url: info.url || '',
+            title: info.title || '',
+            domain: this.getDomain(info.url),
+            timestamp: Date.now(),
+            score: calculateBiasScore(result),
+            overallScore: result.overallScore,
+            categories: (result.categories || []).map(category => ({
+                name: category.name,
+                score: category.score,
+                detected: Boolean(category.detected)
+            })),
+            confidence: result.confidence,
+            provider: result.provider || (result.apiUsed || []).join(', '),
+            extractionMethod: info.extractionMethod || 'unknown',
+            wordCount: info.wordCount || 0,
+            explanation: result.explanation || ''
+        };
+    }
+
+    /**
+     * Get all entries, newest first
+     * @returns {Promise<Array<Object>>} History entries
+     */
+    async getAll() {
+        return this.runExclusive(() => this.load());
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id Entry ID
+     */
+    async remove(id) {
+        return this.runExclusive(async () => {
+            const entries = await this.load();
+            await this.save(entries.filter(entry => entry.id !== id));
+        });
+    }
+
+    /**
+     * Delete every entry
+     */
+    async clear() {
+        return this.runExclusive(() => chrome.storage.local.remove(this.storageKey));
+    }
+
+    /**
+     * Read entries from storage
+     * @returns {Promise<Array<Object>>} History entries
+     */
+    async load() {
+        const stored = await chrome.storage.local.get(this.storageKey);
+        return stored[this.storageKey] || [];
+    }
+
+    /**
+     * Write entries to storage
+     * @param {Array<Object>} entries History entries
+     */
+    async save(entries) {
+        await chrome.storage.local.set({ [this.storageKey]: entries });
+    }
+
+    /**
+     * Get the display domain of a URL
+     * @param {string} url URL
+     * @returns {string} Hostname without "www."
+     */
+    getDomain(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Run a task after all previously queued history tasks
+     * @param {Function} task Async task
+     * @returns {Promise<*>} Task result
+     */
+    runExclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
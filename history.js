@@ -0,0 +1,289 @@
+// History page script for AI Bias Detector
+// Lists past analyses with search, filters, sorting and deletion
+
+class HistoryController {
+    constructor() {
+        this.store = new HistoryStore();
+        this.entries = [];
+
+        this.elements = {
+            search: document.getElementById('search-input'),
+            domain: document.getElementById('domain-filter'),
+            scoreMin: document.getElementById('score-min'),
+            scoreMax: document.getElementById('score-max'),
+            dateFrom: document.getElementById('date-from'),
+            dateTo: document.getElementById('date-to'),
+            sort: document.getElementById('sort-select'),
+            count: document.getElementById('history-count'),
+            list: document.getElementById('history-list'),
+            empty: document.getElementById('history-empty'),
+            clearButton: document.getElementById('clear-history-button')
+        };
+
+        this.attachEventListeners();
+        this.loadEntries();
+    }
+
+    /**
+     * Attach event listeners to filters and controls
+     */
+    attachEventListeners() {
+        ['search', 'scoreMin', 'scoreMax'].forEach(name => {
+            this.elements[name]?.addEventListener('input', () => this.render());
+        });
+        ['domain', 'dateFrom', 'dateTo', 'sort'].forEach(name => {
+            this.elements[name]?.addEventListener('change', () => this.render());
+        });
+
+        this.elements.clearButton?.addEventListener('click', () => this.clearHistory());
+
+        // Refresh when analyses are added from other extension pages
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[this.store.storageKey]) {
+                this.loadEntries();
+            }
+        });
+    }
+
+    /**
+     * Load entries from the store and render
+     */
+    async loadEntries() {
+        try {
+            this.entries = await this.store.getAll();
+            this.renderDomainOptions();
+            this.render();
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+    }
+
+    /**
+     * Populate the domain filter from the stored entries
+     */
+    renderDomainOptions() {
+        const select = this.elements.domain;
+        if (!select) return;
+
+        const selected = select.value;
+        const domains = Array.from(new Set(this.entries.map(entry => entry.domain).filter(Boolean))).sort();
+
+        select.innerHTML = '<option value="">All domains</option>';
+        domains.forEach(domain => {
+            const option = document.createElement('option');
+            option.value = domain;
+            option.textContent = domain;
+            select.appendChild(option);
+        });
+
+        select.value = domains.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Render entries matching the current filters
+     */
+    render() {
+        const filtered = this.sortEntries(this.filterEntries(this.entries));
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+        filtered.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+
+        if (this.elements.count) {
+            this.elements.count.textContent = `${filtered.length} of ${this.entries.length} analyses`;
+        }
+        if (this.elements.empty) {
+            this.elements.empty.style.display = filtered.length === 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Apply search and filters
+     * @param {Array<Object>} entries History entries
+     * @returns {Array<Object>} Matching entries
+     */
+    filterEntries(entries) {
+        const query = (this.elements.search?.value || '').trim().toLowerCase();
+        const domain = this.elements.domain?.value || '';
+        const scoreMin = this.parseNumber(this.elements.scoreMin?.value, 0);
+        const scoreMax = this.parseNumber(this.elements.scoreMax?.value, 100);
+        const dateFrom = this.parseDate(this.elements.dateFrom?.value, false);
+        const dateTo = this.parseDate(this.elements.dateTo?.value, true);
+
+        return entries.filter(entry => {
+            if (query) {
+                const haystack = `${entry.title} ${entry.url} ${entry.domain} ${entry.explanation}`.toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            if (domain && entry.domain !== domain) return false;
+            if (entry.score < scoreMin || entry.score > scoreMax) return false;
+            if (dateFrom !== null && entry.timestamp < dateFrom) return false;
+            if (dateTo !== null && entry.timestamp > dateTo) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Sort entries by the selected order
+     * @param {Array<Object>} entries History entries
+     * @returns {Array<Object>} Sorted copy
+     */
+    sortEntries(entries) {
+        const sorted = [...entries];
+
+        switch (this.elements.sort?.value) {
+            case 'oldest':
+                sorted.sort((a, b) => a.timestamp - b.timestamp);
+                break;
+            case 'score-desc':
+                sorted.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+                break;
+            case 'score-asc':
+                sorted.sort((a, b) => a.score - b.score || b.timestamp - a.timestamp);
+                break;
+            case 'domain':
+                sorted.sort((a, b) => a.domain.localeCompare(b.domain) || b.timestamp - a.timestamp);
+                break;
+            default:
+                sorted.sort((a, b) => b.timestamp - a.timestamp);
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Create the element for one history entry
+     * @param {Object} entry History entry
+     * @returns {HTMLElement} Entry element
+     */
+    createEntryElement(entry) {
+        const element = document.createElement('article');
+        element.className = `history-entry ${entry.overallScore}`;
+
+        const score = document.createElement('div');
+        score.className = 'entry-score';
+        score.textContent = entry.score;
+        score.title = `Bias score ${entry.score}/100`;
+
+        const body = document.createElement('div');
+        body.className = 'entry-body';
+
+        const title = document.createElement('a');
+        title.className = 'entry-title';
+        title.href = entry.url;
+        title.target = '_blank';
+        title.rel = 'noopener noreferrer';
+        title.textContent = entry.title || entry.url || 'Untitled';
+
+        const meta = document.createElement('div');
+        meta.className = 'entry-meta';
+        meta.textContent = [
+            entry.domain,
+            new Date(entry.timestamp).toLocaleString(),
+            `${this.capitalizeFirst(entry.overallScore)} bias`,
+            `${this.capitalizeFirst(entry.confidence)} confidence`,
+            entry.extractionMethod === 'selection' ? 'Selected text' : entry.extractionMethod,
+            entry.wordCount ? `${entry.wordCount} words` : '',
+            entry.provider
+        ].filter(Boolean).join(' · ');
+
+        body.append(title, meta);
+
+        const detected = entry.categories
+            .filter(category => category.detected)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 4);
+        if (detected.length > 0) {
+            const categories = document.createElement('div');
+            categories.className = 'entry-categories';
+            detected.forEach(category => {
+                const tag = document.createElement('span');
+                tag.className = 'category-tag';
+                tag.textContent = `${this.capitalizeFirst(category.name)} ${Math.round(category.score * 100)}%`;
+                categories.appendChild(tag);
+            });
+            body.appendChild(categories);
+        }
+
+        const remove = document.createElement('button');
+        remove.className = 'delete-btn';
+        remove.textContent = 'Delete';
+        remove.setAttribute('aria-label', `Delete analysis of ${entry.title || entry.url}`);
+        remove.addEventListener('click', () => this.deleteEntry(entry.id));
+
+        element.append(score, body, remove);
+        return element;
+    }
+
+    /**
+     * Delete one entry
+     * @param {string} id Entry ID
+     */
+    async deleteEntry(id) {
+        try {
+            await this.store.remove(id);
+            this.entries = this.entries.filter(entry => entry.id !== id);
+            this.renderDomainOptions();
+            this.render();
+        } catch (error) {
+            console.error('Error deleting history entry:', error);
+        }
+    }
+
+    /**
+     * Delete every entry after confirmation
+     */
+    async clearHistory() {
+        if (!confirm('Delete all saved analyses? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await this.store.clear();
+            this.entries = [];
+            this.renderDomainOptions();
+            this.render();
+        } catch (error) {
+            console.error('Error clearing history:', error);
+        }
+    }
+
+    /**
+     * Parse a number input, falling back to a default when empty
+     * @param {string} value Input value
+     * @param {number} fallback Default value
+     * @returns {number} Parsed number
+     */
+    parseNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    /**
+     * Parse a date input as local time
+     * @param {string} value Input value (YYYY-MM-DD)
+     * @param {boolean} endOfDay Whether to use the end of the day
+     * @returns {number|null} Timestamp or null when empty
+     */
+    parseDate(value, endOfDay) {
+        if (!value) return null;
+        const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+        return Number.isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    /**
+     * Capitalize first letter of string
+     * @param {string} str String to capitalize
+     * @returns {string} Capitalized string
+     */
+    capitalizeFirst(str) {
+        if (!str) return '';
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new HistoryController();
+});
@@ -0,0 +1,284 @@
+// Local bias analyzer for AI Bias Detector
+// Keyword/lexicon based analysis that runs entirely inside the extension
+
+class LocalBiasAnalyzer {
+    constructor() {
+        this.version = '1.0.0';
+
+        // Lexicons for each bias category. Multi-word entries are matched as phrases.
+        this.lexicons = {
+            'loaded language': [
+                'slammed', 'blasted', 'destroyed', 'eviscerated', 'outrageous', 'shocking',
+                'disgraceful', 'scandalous', 'disastrous', 'catastrophic', 'radical', 'extremist',
+                'regime', 'propaganda', 'crusade', 'witch hunt', 'cover-up', 'bombshell',
+                'explosive', 'chaos', 'meltdown', 'scheme', 'rigged', 'draconian', 'horrific',
+                'egregious', 'reckless', 'brazen', 'sinister', 'so-called', 'embattled', 'notorious'
+            ],
+            hedging: [
+                'allegedly', 'reportedly', 'apparently', 'supposedly', 'arguably', 'perhaps',
+                'possibly', 'it seems', 'some say', 'critics say', 'many believe', 'sources say',
+                'it is believed', 'could be', 'might be', 'may have', 'is said to', 'rumored',
+                'unconfirmed', 'some experts', 'observers say', 'it appears'
+            ],
+            absolutist: [
+                'always', 'never', 'everyone', 'nobody', 'no one', 'all of them', 'every single',
+                'completely', 'totally', 'absolutely', 'entirely', 'undeniably', 'unquestionably',
+                'without a doubt', 'obviously', 'clearly', 'of course', 'certainly', 'definitely',
+                'the only', 'nothing but', 'once and for all'
+            ],
+            insult: [
+                'idiot', 'idiotic', 'stupid', 'moron', 'moronic', 'fool', 'foolish', 'clown',
+                'pathetic', 'incompetent', 'liar', 'lying', 'corrupt', 'crook', 'thug', 'loser',
+                'hack', 'buffoon', 'imbecile', 'ignorant', 'dimwit', 'puppet', 'traitor',
+                'snowflake', 'deplorable', 'lunatic', 'disgrace'
+            ],
+            'partisan (left)': [
+                'far-right', 'alt-right', 'right-wing extremist', 'maga', 'trumpist', 'bigot',
+                'bigoted', 'xenophobic', 'fascist', 'white supremacist', 'corporate greed',
+                'billionaire class', 'climate denier', 'anti-choice', 'voter suppression',
+                'gun lobby', 'trickle-down', 'oligarch'
+            ],
+            'partisan (right)': [
+                'far-left', 'radical left', 'leftist', 'socialist', 'marxist', 'communist',
+                'woke', 'libtard', 'democrat party', 'open borders', 'illegal aliens',
+                'mainstream media', 'fake news', 'deep state', 'globalist', 'cancel culture',
+                'pro-abortion', 'tax and spend', 'big government', 'elites'
+            ]
+        };
+
+        // Weight applied to each category when computing the overall score
+        this.weights = {
+            'loaded language': 1.0,
+            hedging: 0.6,
+            absolutist: 0.7,
+            insult: 1.2,
+            'partisan (left)': 1.0,
+            'partisan (right)': 1.0
+        };
+
+        // Why each category is flagged, shown in the in-page highlight tooltips
+        this.descriptions = {
+            'loaded language': 'Emotionally charged wording',
+            hedging: 'Claims hedged or attributed to unnamed sources',
+            absolutist: 'Sweeping, absolute claims',
+            insult: 'Insulting or demeaning language',
+            'partisan (left)': 'Terms typical of left-leaning partisan writing',
+            'partisan (right)': 'Terms typical of right-leaning partisan writing'
+        };
+
+        // Occurrences per 1000 words at which a category saturates to a score of 1
+        this.saturationRate = 12;
+        this.detectionThreshold = 0.3;
+        // Flagged sentences returned for in-page highlighting
+        this.maxFindings = 50;
+
+        this.patterns = this.compileLexicons(this.lexicons);
+    }
+
+    /**
+     * Compile lexicons into case-insensitive word-boundary regular expressions
+     * @param {Object} lexicons Map of category name to term list
+     * @returns {Object} Map of category name to RegExp
+     */
+    compileLexicons(lexicons) {
+        const patterns = {};
+
+        Object.entries(lexicons).forEach(([category, terms]) => {
+            const escaped = terms
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+                // Longest terms first so phrases win over their single-word prefixes
+                .sort((a, b) => b.length - a.length);
+            patterns[category] = new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi');
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Analyze text for bias using local lexicons
+     * @param {string} text Text to analyze
+     * @returns {Object} Analysis result in the same shape as the backend service
+     */
+    analyze(text) {
+        const normalizedText = (text || '').replace(/\s+/g, ' ').trim();
+        const wordCount = this.countWords(normalizedText);
+
+        if (wordCount === 0) {
+            return {
+                success: true,
+                overallScore: 'unknown',
+                confidence: 'low',
+                categories: [],
+                explanation: 'No text was available for local analysis.',
+                findings: [],
+                apiUsed: ['local'],
+                timestamp: Date.now()
+            };
+        }
+
+        const categories = Object.keys(this.patterns).map(name => {
+            const matches = this.findMatches(normalizedText, this.patterns[name]);
+            const rate = (matches.length / wordCount) * 1000;
+            const score = Math.min(1, rate / this.saturationRate);
+
+            return {
+                name: name,
+                score: Math.round(score * 100) / 100,
+                detected: score >= this.detectionThreshold,
+                matches: this.topTerms(matches, 5)
+            };
+        });
+
+        const overall = this.calculateOverall(categories);
+
+        return {
+            success: true,
+            overallScore: overall.level,
+            confidence: this.calculateConfidence(wordCount),
+            categories: categories,
+            explanation: this.buildExplanation(categories, overall.level, wordCount),
+            findings: this.findPassages(normalizedText),
+            apiUsed: ['local'],
+            analyzerVersion: this.version,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Find all lexicon matches in text
+     * @param {string} text Text to search
+     * @param {RegExp} pattern Compiled lexicon pattern
+     * @returns {Array<string>} Lower-cased matched terms
+     */
+    findMatches(text, pattern) {
+        const matches = text.match(pattern) || [];
+        return matches.map(match => match.toLowerCase().replace(/\s+/g, ' '));
+    }
+
+    /**
+     * Find the sentences that contain lexicon terms, for highlighting on the page
+     * @param {string} text Normalized text
+     * @returns {Array<Object>} Findings {text, category, score, reason}, strongest first
+     */
+    findPassages(text) {
+        const sentences = text.match(/[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g) || [];
+        const findings = [];
+
+        sentences.forEach(raw => {
+            const sentence = raw.trim();
+            if (!sentence) return;
+
+            const hits = Object.keys(this.patterns)
+                .map(name => ({ name, matches: this.findMatches(sentence, this.patterns[name]) }))
+                .filter(hit => hit.matches.length > 0);
+            if (hits.length === 0) return;
+
+            // The sentence is colored by its strongest category; the reason lists all of them
+            const scored = hits.map(hit => ({
+                ...hit,
+                score: Math.min(1, hit.matches.length * (this.weights[hit.name] || 1) / 2)
+            })).sort((a, b) => b.score - a.score);
+
+            findings.push({
+                text: sentence,
+                category: scored[0].name,
+                score: Math.round(scored[0].score * 100) / 100,
+                reason: scored.map(hit => {
+                    const terms = Array.from(new Set(hit.matches)).map(term => `"${term}"`).join(', ');
+                    return `${this.descriptions[hit.name] || hit.name}: ${terms}`;
+                }).join('. ')
+            });
+        });
+
+        return findings.sort((a, b) => b.score - a.score).slice(0, this.maxFindings);
+    }
+
+    /**
+     * Get the most frequent matched terms
+     * @param {Array<string>} matches Matched terms
+     * @param {number} limit Maximum number of terms to return
+     * @returns {Array<string>} Most frequent terms
+     */
+    topTerms(matches, limit) {
+        const counts = new Map();
+        matches.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([term]) => term);
+    }
+
+    /**
+     * Calculate the overall bias level from category scores
+     * @param {Array<Object>} categories Category results
+     * @returns {Object} Weighted score and level
+     */
+    calculateOverall(categories) {
+        let weightedSum = 0;
+        let maxWeighted = 0;
+
+        categories.forEach(category => {
+            const weighted = category.score * (this.weights[category.name] || 1);
+            weightedSum += weighted;
+            maxWeighted = Math.max(maxWeighted, weighted);
+        });
+
+        // Blend the strongest signal with the breadth of signals
+        const score = Math.min(1, maxWeighted * 0.7 + (weightedSum / categories.length) * 0.6);
+
+        let level = 'low';
+        if (score >= 0.6) {
+            level = 'high';
+        } else if (score >= 0.3) {
+            level = 'medium';
+        }
+
+        return { score, level };
+    }
+
+    /**
+     * Keyword analysis is only as reliable as the sample it sees
+     * @param {number} wordCount Number of words analyzed
+     * @returns {string} Confidence level
+     */
+    calculateConfidence(wordCount) {
+        if (wordCount >= 600) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Build a human-readable explanation of the findings
+     * @param {Array<Object>} categories Category results
+     * @param {string} level Overall bias level
+     * @param {number} wordCount Number of words analyzed
+     * @returns {string} Explanation text
+     */
+    buildExplanation(categories, level, wordCount) {
+        const detected = categories.filter(category => category.detected);
+        const prefix = `Offline keyword analysis of ${wordCount} words.`;
+
+        if (detected.length === 0) {
+            return `${prefix} No strong indicators of loaded, absolutist, insulting or partisan language were found. ` +
+                'Local analysis is approximate; connect to an analysis service for a more thorough review.';
+        }
+
+        const findings = detected.map(category => {
+            const examples = category.matches.slice(0, 3).map(term => `"${term}"`).join(', ');
+            return `${category.name} (e.g. ${examples})`;
+        });
+
+        return `${prefix} Overall bias level appears ${level}. Indicators found: ${findings.join('; ')}. ` +
+            'Local analysis is approximate; connect to an analysis service for a more thorough review.';
+    }
+
+    /**
+     * Count words in text
+     * @param {string} text Text to count words in
+     * @returns {number} Word count
+     */
+    countWords(text) {
+        if (!text) return 0;
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+}
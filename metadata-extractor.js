@@ -0,0 +1,270 @@
+// Article metadata extraction for AI Bias Detector
+// Reads author, dates, publisher, section and article type from JSON-LD, OpenGraph and meta tags
+
+class ArticleMetadataExtractor {
+    /**
+     * @param {Document} doc Document to read
+     * @param {string} [url] URL of the document
+     */
+    constructor(doc, url = '') {
+        this.document = doc;
+        this.url = url;
+
+        // schema.org types that describe an article, mapped to the article type they imply
+        this.schemaTypes = {
+            OpinionNewsArticle: 'opinion',
+            AnalysisNewsArticle: 'analysis',
+            BackgroundNewsArticle: 'analysis',
+            ReviewNewsArticle: 'review',
+            Review: 'review',
+            ReportageNewsArticle: 'news',
+            NewsArticle: 'news',
+            BlogPosting: 'blog',
+            LiveBlogPosting: 'news',
+            Article: null,
+            ScholarlyArticle: null,
+            TechArticle: null
+        };
+
+        // Words in a section name or URL path that mark the article type
+        this.typeKeywords = {
+            opinion: /\b(opinions?|op-?eds?|commentary|editorials?|columns?|columnists?|perspectives?|viewpoints?|letters)\b/i,
+            analysis: /\b(analysis|explainers?|fact-?checks?|news-?analysis)\b/i,
+            review: /\b(reviews?)\b/i
+        };
+    }
+
+    /**
+     * Extract the article's metadata
+     * @returns {Object} {author, publisher, datePublished, dateModified, section, articleType, articleTypeSource};
+     *   fields that can't be found are null
+     */
+    extract() {
+        const schema = this.readJsonLd();
+        const meta = (names) => this.readMeta(names);
+
+        const metadata = {
+            author: schema.author ||
+                this.cleanAuthor(meta(['author', 'article:author', 'parsely-author', 'sailthru.author', 'dc.creator', 'byl'])),
+            publisher: schema.publisher || meta(['og:site_name', 'application-name', 'publisher']),
+            datePublished: this.normalizeDate(schema.datePublished ||
+                meta(['article:published_time', 'parsely-pub-date', 'pubdate', 'publish-date', 'date', 'dc.date', 'datePublished']) ||
+                this.readTimeElement()),
+            dateModified: this.normalizeDate(schema.dateModified ||
+                meta(['article:modified_time', 'og:updated_time', 'last-modified', 'dateModified'])),
+            section: schema.section || meta(['article:section', 'parsely-section', 'section'])
+        };
+
+        const type = this.detectArticleType(schema, metadata.section);
+        metadata.articleType = type.articleType;
+        metadata.articleTypeSource = type.source;
+
+        console.log('Extracted article metadata:', metadata);
+        return metadata;
+    }
+
+    /**
+     * Read the first article object from the page's JSON-LD blocks
+     * @returns {Object} {types, author, publisher, datePublished, dateModified, section}; empty if none found
+     */
+    readJsonLd() {
+        const items = [];
+
+        this.document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                this.collectJsonLdItems(JSON.parse(script.textContent), items);
+            } catch (error) {
+                // Pages often ship invalid JSON-LD; skip the block
+                console.log('Skipping unreadable JSON-LD block:', error.message);
+            }
+        });
+
+        const article = items.find(item => this.getSchemaTypes(item).some(type => type in this.schemaTypes));
+        if (!article) {
+            return {};
+        }
+
+        const section = Array.isArray(article.articleSection) ? article.articleSection[0] : article.articleSection;
+
+        return {
+            types: this.getSchemaTypes(article),
+            author: this.readPeople(article.author || article.creator),
+            publisher: this.readName(article.publisher) || this.readName(article.sourceOrganization),
+            datePublished: this.readString(article.datePublished || article.dateCreated),
+            dateModified: this.readString(article.dateModified),
+            section: this.readString(section)
+        };
+    }
+
+    /**
+     * Flatten JSON-LD arrays and @graph containers into a list of objects
+     * @param {*} value Parsed JSON-LD
+     * @param {Array<Object>} items List to add objects to
+     */
+    collectJsonLdItems(value, items) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this.collectJsonLdItems(item, items));
+        } else if (value && typeof value === 'object') {
+            items.push(value);
+            if (value['@graph']) {
+                this.collectJsonLdItems(value['@graph'], items);
+            }
+        }
+    }
+
+    /**
+     * Get the schema.org types of a JSON-LD object without any "schema:" prefix
+     * @param {Object} item JSON-LD object
+     * @returns {Array<string>} Types
+     */
+    getSchemaTypes(item) {
+        const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+        return types.filter(type => typeof type === 'string').map(type => type.replace(/^.*[/:]/, ''));
+    }
+
+    /**
+     * Read one or more people or organizations as a comma-separated list of names
+     * @param {*} value Person, organization, name or array of them
+     * @returns {string|null} Names
+     */
+    readPeople(value) {
+        const list = Array.isArray(value) ? value : [value];
+        const names = list.map(item => this.readName(item)).filter(Boolean);
+        return names.length > 0 ? Array.from(new Set(names)).join(', ') : null;
+    }
+
+    /**
+     * Read the name of a person or organization
+     * @param {*} value Object with a name, or a plain name
+     * @returns {string|null} Name
+     */
+    readName(value) {
+        if (typeof value === 'string') {
+            return this.cleanAuthor(value);
+        }
+        if (value && typeof value === 'object') {
+            return this.readString(value.name);
+        }
+        return null;
+    }
+
+    /**
+     * Read the content of the first matching meta tag, by name, property or itemprop
+     * @param {Array<string>} names Names to try in order
+     * @returns {string|null} Content
+     */
+    readMeta(names) {
+        for (const name of names) {
+            const element = this.document.querySelector(
+                `meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`
+            );
+            const content = element && this.readString(element.getAttribute('content'));
+            if (content) {
+                return content;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read the publish date from a <time> element inside the article, as a last resort
+     * @returns {string|null} Date string
+     */
+    readTimeElement() {
+        const time = this.document.querySelector('article time[datetime], time[pubdate], time[itemprop="datePublished"]');
+        return time ? this.readString(time.getAttribute('datetime')) : null;
+    }
+
+    /**
+     * Work out whether the article is news, opinion, analysis, a review or a blog post
+     * @param {Object} schema Article fields from JSON-LD
+     * @param {string|null} section Article section
+     * @returns {Object} {articleType, source}; both null when unknown
+     */
+    detectArticleType(schema, section) {
+        // Specific schema.org types are the most reliable signal
+        const schemaType = (schema.types || [])
+            .map(type => this.schemaTypes[type])
+            .find(type => type && type !== 'news');
+        if (schemaType) {
+            return { articleType: schemaType, source: 'json-ld' };
+        }
+
+        if (this.readMeta(['article:opinion']) === 'true') {
+            return { articleType: 'opinion', source: 'meta' };
+        }
+
+        // Publishers often mark opinion pieces only through the section or URL
+        const sectionType = this.matchTypeKeywords(section);
+        if (sectionType) {
+            return { articleType: sectionType, source: 'section' };
+        }
+
+        let path = '';
+        try {
+            path = new URL(this.url).pathname.replace(/[/_]+/g, ' ');
+        } catch (error) {
+            // No usable URL
+        }
+        const urlType = this.matchTypeKeywords(path);
+        if (urlType) {
+            return { articleType: urlType, source: 'url' };
+        }
+
+        if ((schema.types || []).some(type => this.schemaTypes[type] === 'news')) {
+            return { articleType: 'news', source: 'json-ld' };
+        }
+
+        return { articleType: null, source: null };
+    }
+
+    /**
+     * Find the article type named by words in a section name or path
+     * @param {string|null} value Text to search
+     * @returns {string|null} Article type
+     */
+    matchTypeKeywords(value) {
+        if (!value) return null;
+        return Object.keys(this.typeKeywords).find(type => this.typeKeywords[type].test(value)) || null;
+    }
+
+    /**
+     * Strip "By" prefixes and profile URLs from an author value
+     * @param {string|null} value Raw author
+     * @returns {string|null} Author name
+     */
+    cleanAuthor(value) {
+        if (!value) return null;
+
+        // article:author is often a profile URL; its last path segment is usually the name
+        if (/^https?:\/\//i.test(value)) {
+            const segment = value.replace(/\/+$/, '').split('/').pop();
+            value = decodeURIComponent(segment || '').replace(/[-_]+/g, ' ');
+            value = value.replace(/\b\w/g, letter => letter.toUpperCase());
+        }
+
+        const name = value.replace(/^\s*by\s+/i, '').replace(/\s+/g, ' ').trim();
+        return name || null;
+    }
+
+    /**
+     * Normalize a date to an ISO 8601 string
+     * @param {string|null} value Raw date
+     * @returns {string|null} ISO date, or null if it can't be parsed
+     */
+    normalizeDate(value) {
+        if (!value) return null;
+
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    /**
+     * Read a non-empty trimmed string
+     * @param {*} value Raw value
+     * @returns {string|null} String or null
+     */
+    readString(value) {
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+}
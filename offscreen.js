@@ -0,0 +1,56 @@
+// Offscreen document script for AI Bias Detector
+// Parses HTML fetched by the background script and extracts the article with ArticleExtractor
+
+class OffscreenParser {
+    constructor() {
+        this.setupMessageListener();
+        console.log('AI Bias Detector offscreen parser initialized');
+    }
+
+    /**
+     * Listen for parse requests addressed to the offscreen document
+     */
+    setupMessageListener() {
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (request.target !== 'offscreen') {
+                return false;
+            }
+
+            if (request.action === 'extractFromHtml') {
+                sendResponse(this.extractFromHtml(request.html, request.url, request.rule));
+            }
+
+            return false;
+        });
+    }
+
+    /**
+     * Parse an HTML string and extract its article text
+     * @param {string} html Page HTML
+     * @param {string} url URL the HTML was fetched from
+     * @param {Object|null} [rule] Site rule for the page
+     * @returns {Object} Extraction result in the same format as the content script's
+     */
+    extractFromHtml(html, url, rule = null) {
+        try {
+            // Parsed documents never run scripts or load subresources
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const extractor = new ArticleExtractor({ document: doc, url: url, rule: rule });
+            return extractor.extractArticleText();
+        } catch (error) {
+            console.error('Error parsing fetched page:', error);
+            return {
+                success: false,
+                error: 'Failed to parse page: ' + error.message,
+                errorCode: 'extraction-empty',
+                text: '',
+                wordCount: 0,
+                url: url,
+                title: ''
+            };
+        }
+    }
+}
+
+// Initialize parser when the offscreen document loads
+new OffscreenParser();
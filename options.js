@@ -0,0 +1,767 @@
+// Options page script for AI Bias Detector
+// Lets users configure analysis providers and their failover order
+
+const RATE_LIMIT_FIELD = { key: 'requestsPerMinute', label: 'Requests per minute (0 = unlimited)', type: 'number', min: 0, max: 600 };
+
+const REDACTION_FIELDS = [
+    { key: 'redactPii', label: 'Mask emails, phone numbers, street addresses and card numbers before sending', type: 'checkbox' },
+    { key: 'redactNames', label: 'Also mask person names', type: 'checkbox' }
+];
+
+const PROVIDER_DESCRIPTIONS = {
+    cloud: {
+        name: 'Cloud Service',
+        description: 'The hosted AI Bias Detector backend. No setup required.',
+        fields: [
+            { key: 'url', label: 'Service URL', type: 'url', placeholder: 'https://example.com/api/bias' },
+            RATE_LIMIT_FIELD,
+            ...REDACTION_FIELDS
+        ]
+    },
+    selfHosted: {
+        name: 'Self-Hosted Service',
+        description: 'Your own deployment of the backend. Requests are sent to <URL>/analyze.',
+        fields: [
+            { key: 'url', label: 'Service URL', type: 'url', placeholder: 'https://bias.example.org/api/bias' },
+            { key: 'apiKey', label: 'Bearer Token (optional)', type: 'password', placeholder: '' },
+            RATE_LIMIT_FIELD,
+            ...REDACTION_FIELDS
+        ]
+    },
+    perspective: {
+        name: 'Google Perspective',
+        description: 'Calls the Perspective Comment Analyzer API directly with your API key.',
+        fields: [
+            { key: 'apiKey', label: 'API Key', type: 'password', placeholder: 'AIza...' },
+            RATE_LIMIT_FIELD,
+            ...REDACTION_FIELDS
+        ]
+    },
+    openai: {
+        name: 'OpenAI Moderation',
+        description: 'Calls the OpenAI moderation endpoint directly with your API key.',
+        fields: [
+            { key: 'apiKey', label: 'API Key', type: 'password', placeholder: 'sk-...' },
+            { key: 'model', label: 'Model', type: 'text', placeholder: 'omni-moderation-latest' },
+            RATE_LIMIT_FIELD,
+            ...REDACTION_FIELDS
+        ]
+    },
+    local: {
+        name: 'Local Analyzer',
+        description: 'Offline keyword-based analysis. Runs entirely in your browser.',
+        fields: []
+    }
+};
+
+const ANALYSIS_FIELDS = [
+    { key: 'chunkSize', label: 'Chunk size (characters)', type: 'number', min: 500, max: 20000 },
+    { key: 'maxConcurrency', label: 'Parallel requests per article', type: 'number', min: 1, max: 8 },
+    { key: 'batchConcurrency', label: 'Pages analyzed at once in batch scans', type: 'number', min: 1, max: 6 },
+    { key: 'separateQuotes', label: 'Score quoted speech separately from the author\'s own words', type: 'checkbox' }
+];
+
+const EXTRACTION_FIELDS = [
+    { key: 'maxWaitMs', label: 'Longest wait for the article to load (ms)', type: 'number', min: 0, max: 15000 },
+    { key: 'quietMs', label: 'Quiet time before extracting (ms)', type: 'number', min: 100, max: 5000 },
+    { key: 'expandTruncated', label: 'Click "Read more" and "Show full article" buttons in the article', type: 'checkbox' },
+    { key: 'maxPages', label: 'Pages of a multi-page article to fetch (1 = first page only)', type: 'number', min: 1, max: 20 }
+];
+
+const NETWORK_FIELDS = [
+    { key: 'timeoutMs', label: 'Request timeout (ms)', type: 'number', min: 1000, max: 120000 },
+    { key: 'maxRetries', label: 'Retries on 429/5xx', type: 'number', min: 0, max: 5 },
+    { key: 'retryBaseDelayMs', label: 'Initial retry delay (ms)', type: 'number', min: 100, max: 10000 }
+];
+
+const AUTO_SCAN_FIELDS = [
+    { key: 'enabled', label: 'Analyze pages on these sites automatically when they load', type: 'checkbox' },
+    { key: 'domains', label: 'Sites (one domain per line, subdomains included)', type: 'list', placeholder: 'example.com' }
+];
+
+const SEND_POLICY_FIELDS = [
+    { key: 'confirmLoginWalls', label: 'Ask before sending pages that look signed-in or sit behind a login wall', type: 'checkbox' },
+    { key: 'allowDomains', label: 'Always allow (one domain per line, overrides the built-in list)', type: 'list', placeholder: 'wiki.example.org', rows: 4 },
+    { key: 'denyDomains', label: 'Never send (one domain per line)', type: 'list', placeholder: 'intranet.example.com', rows: 4 }
+];
+
+const SITE_RULE_FIELDS = [
+    { key: 'pattern', label: 'Site (domain, optionally with a path)', type: 'text', placeholder: 'example.com/opinion' },
+    { key: 'content', label: 'Article body selectors (first that matches wins)', type: 'list', placeholder: 'div.article-body', rows: 3 },
+    { key: 'exclude', label: 'Leave out (inside the article body)', type: 'list', placeholder: '.newsletter-signup', rows: 3 },
+    { key: 'title', label: 'Headline selector (optional)', type: 'text', placeholder: 'h1.headline' },
+    { key: 'pagination', label: 'Next-page link selector (optional)', type: 'text', placeholder: 'a.next-page' }
+];
+
+const HISTORY_FIELDS = [
+    { key: 'enabled', label: 'Save every analysis to the history page', type: 'checkbox' }
+];
+
+class OptionsController {
+    constructor() {
+        this.settings = null;
+        this.cache = new AnalysisCache();
+        this.outlets = new OutletReputationStore();
+        this.siteRules = new SiteRuleStore();
+
+        this.elements = {
+            providerList: document.getElementById('provider-list'),
+            analysisFields: document.getElementById('analysis-fields'),
+            extractionFields: document.getElementById('extraction-fields'),
+            networkFields: document.getElementById('network-fields'),
+            autoScanFields: document.getElementById('auto-scan-fields'),
+            historyFields: document.getElementById('history-fields'),
+            sendPolicyFields: document.getElementById('send-policy-fields'),
+            saveButton: document.getElementById('save-button'),
+            resetButton: document.getElementById('reset-button'),
+            saveStatus: document.getElementById('save-status'),
+            cacheStats: document.getElementById('cache-stats'),
+            clearCacheButton: document.getElementById('clear-cache-button'),
+            outletStats: document.getElementById('outlet-stats'),
+            importOutletsButton: document.getElementById('import-outlets-button'),
+            importOutletsInput: document.getElementById('import-outlets-input'),
+            exportOutletsButton: document.getElementById('export-outlets-button'),
+            resetOutletsButton: document.getElementById('reset-outlets-button'),
+            siteRuleList: document.getElementById('site-rule-list'),
+            siteRuleStats: document.getElementById('site-rule-stats'),
+            addSiteRuleButton: document.getElementById('add-site-rule-button'),
+            importSiteRulesButton: document.getElementById('import-site-rules-button'),
+            importSiteRulesInput: document.getElementById('import-site-rules-input'),
+            exportSiteRulesButton: document.getElementById('export-site-rules-button')
+        };
+
+        this.attachEventListeners();
+        this.loadSettings();
+    }
+
+    /**
+     * Attach event listeners to page controls
+     */
+    attachEventListeners() {
+        this.elements.saveButton?.addEventListener('click', () => this.saveSettings());
+        this.elements.resetButton?.addEventListener('click', () => this.resetSettings());
+        this.elements.clearCacheButton?.addEventListener('click', () => this.clearCache());
+        this.elements.importOutletsButton?.addEventListener('click', () => this.elements.importOutletsInput?.click());
+        this.elements.importOutletsInput?.addEventListener('change', event => this.importOutlets(event.target));
+        this.elements.exportOutletsButton?.addEventListener('click', () => this.exportOutlets());
+        this.elements.resetOutletsButton?.addEventListener('click', () => this.resetOutlets());
+        this.elements.addSiteRuleButton?.addEventListener('click', () => this.addSiteRule());
+        this.elements.importSiteRulesButton?.addEventListener('click', () => this.elements.importSiteRulesInput?.click());
+        this.elements.importSiteRulesInput?.addEventListener('change', event => this.importSiteRules(event.target));
+        this.elements.exportSiteRulesButton?.addEventListener('click', () => this.exportSiteRules());
+    }
+
+    /**
+     * Load settings and render the form
+     */
+    async loadSettings() {
+        this.settings = await SettingsStore.load();
+        this.render();
+    }
+
+    /**
+     * Render all settings sections
+     */
+    render() {
+        this.renderProviders();
+        this.renderFields(this.elements.analysisFields, this.settings.analysis, ANALYSIS_FIELDS);
+        this.renderFields(this.elements.extractionFields, this.settings.extraction, EXTRACTION_FIELDS);
+        this.renderFields(this.elements.networkFields, this.settings.network, NETWORK_FIELDS);
+        this.renderFields(this.elements.autoScanFields, this.settings.autoScan, AUTO_SCAN_FIELDS);
+        this.renderFields(this.elements.historyFields, this.settings.history, HISTORY_FIELDS);
+        this.renderFields(this.elements.sendPolicyFields, this.settings.sendPolicy, SEND_POLICY_FIELDS);
+        this.renderCacheStats();
+        this.renderOutletStats();
+        this.renderSiteRules();
+    }
+
+    /**
+     * Render a group of fields bound to a settings object
+     * @param {HTMLElement} container Container element
+     * @param {Object} config Settings object the fields edit
+     * @param {Array<Object>} fields Field descriptions
+     */
+    renderFields(container, config, fields) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        fields.forEach(field => {
+            container.appendChild(this.createFieldElement(config, field));
+        });
+    }
+
+    /**
+     * Render the provider list in failover order
+     */
+    renderProviders() {
+        const list = this.elements.providerList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        this.settings.providerOrder.forEach((id, index) => {
+            list.appendChild(this.createProviderElement(id, index));
+        });
+    }
+
+    /**
+     * Create the configuration card for a provider
+     * @param {string} id Provider identifier
+     * @param {number} index Position in the failover order
+     * @returns {HTMLElement} Provider card
+     */
+    createProviderElement(id, index) {
+        const info = PROVIDER_DESCRIPTIONS[id] || { name: id, description: '', fields: [] };
+        const config = this.settings.providers[id] || {};
+
+        const element = document.createElement('div');
+        element.className = `provider-card ${config.enabled ? 'enabled' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'provider-header';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'provider-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = Boolean(config.enabled);
+        checkbox.addEventListener('change', () => {
+            config.enabled = checkbox.checked;
+            element.classList.toggle('enabled', checkbox.checked);
+        });
+        const name = document.createElement('span');
+        name.className = 'provider-name';
+        name.textContent = `${index + 1}. ${info.name}`;
+        toggle.append(checkbox, name);
+
+        const order = document.createElement('div');
+        order.className = 'order-buttons';
+        order.append(
+            this.createOrderButton('↑', 'Move up', index, -1),
+            this.createOrderButton('↓', 'Move down', index, 1)
+        );
+
+        header.append(toggle, order);
+        element.appendChild(header);
+
+        const description = document.createElement('p');
+        description.className = 'provider-description';
+        description.textContent = info.description;
+        element.appendChild(description);
+
+        info.fields.forEach(field => {
+            element.appendChild(this.createFieldElement(config, field));
+        });
+
+        return element;
+    }
+
+    /**
+     * Create a button that moves a provider in the failover order
+     * @param {string} symbol Button label
+     * @param {string} title Accessible title
+     * @param {number} index Current provider index
+     * @param {number} direction -1 to move up, 1 to move down
+     * @returns {HTMLElement} Button element
+     */
+    createOrderButton(symbol, title, index, direction) {
+        const button = document.createElement('button');
+        button.className = 'order-btn';
+        button.textContent = symbol;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+
+        const target = index + direction;
+        button.disabled = target < 0 || target >= this.settings.providerOrder.length;
+        button.addEventListener('click', () => {
+            const order = this.settings.providerOrder;
+            [order[index], order[target]] = [order[target], order[index]];
+            this.renderProviders();
+        });
+
+        return button;
+    }
+
+    /**
+     * Create a labelled input bound to a config value
+     * @param {Object} config Provider configuration
+     * @param {Object} field Field description
+     * @returns {HTMLElement} Field element
+     */
+    createFieldElement(config, field) {
+        if (field.type === 'checkbox') {
+            return this.createCheckboxElement(config, field);
+        }
+        if (field.type === 'list') {
+            return this.createListElement(config, field);
+        }
+
+        const wrapper = document.createElement('label');
+        wrapper.className = 'field';
+
+        const label = document.createElement('span');
+        label.className = 'field-label';
+        label.textContent = field.label;
+
+        const input = document.createElement('input');
+        input.type = field.type;
+        input.placeholder = field.placeholder || '';
+        input.value = config[field.key] ?? '';
+        input.autocomplete = 'off';
+
+        if (field.type === 'number') {
+            input.min = field.min;
+            input.max = field.max;
+            input.addEventListener('input', () => {
+                config[field.key] = Number(input.value);
+            });
+        } else {
+            input.addEventListener('input', () => {
+                config[field.key] = input.value.trim();
+            });
+        }
+
+        wrapper.append(label, input);
+        return wrapper;
+    }
+
+    /**
+     * Create a checkbox bound to a boolean config value
+     * @param {Object} config Settings object
+     * @param {Object} field Field description
+     * @returns {HTMLElement} Field element
+     */
+    createCheckboxElement(config, field) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'field checkbox-field';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = Boolean(config[field.key]);
+        input.addEventListener('change', () => {
+            config[field.key] = input.checked;
+        });
+
+        const label = document.createElement('span');
+        label.className = 'field-label';
+        label.textContent = field.label;
+
+        wrapper.append(input, label);
+        return wrapper;
+    }
+
+    /**
+     * Create a textarea bound to a list of strings, one per line
+     * @param {Object} config Settings object
+     * @param {Object} field Field description
+     * @returns {HTMLElement} Field element
+     */
+    createListElement(config, field) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'field list-field';
+
+        const label = document.createElement('span');
+        label.className = 'field-label';
+        label.textContent = field.label;
+
+        const textarea = document.createElement('textarea');
+        textarea.rows = field.rows || 8;
+        textarea.placeholder = field.placeholder || '';
+        textarea.spellcheck = false;
+        textarea.value = (config[field.key] || []).join('\n');
+        textarea.addEventListener('input', () => {
+            config[field.key] = textarea.value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0);
+        });
+
+        wrapper.append(label, textarea);
+        return wrapper;
+    }
+
+    /**
+     * Show how many results are cached
+     */
+    async renderCacheStats() {
+        if (!this.elements.cacheStats) return;
+
+        try {
+            const stats = await this.cache.getStats();
+            this.elements.cacheStats.textContent = `${stats.entries} of ${stats.maxEntries} cached results`;
+        } catch (error) {
+            console.error('Error reading cache stats:', error);
+            this.elements.cacheStats.textContent = 'Cache unavailable';
+        }
+    }
+
+    /**
+     * Remove all cached analysis results
+     */
+    async clearCache() {
+        try {
+            await this.cache.clear();
+            await this.renderCacheStats();
+            this.showStatus('Analysis cache cleared.');
+        } catch (error) {
+            console.error('Error clearing cache:', error);
+            this.showStatus('Failed to clear cache: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Show how many outlets are known and how many come from the user
+     */
+    async renderOutletStats() {
+        if (!this.elements.outletStats) return;
+
+        try {
+            const outlets = await this.outlets.getAll();
+            const custom = outlets.filter(outlet => outlet.source === 'user').length;
+            this.elements.outletStats.textContent = custom > 0
+                ? `${outlets.length} outlets (${custom} imported)`
+                : `${outlets.length} outlets`;
+        } catch (error) {
+            console.error('Error reading outlet data:', error);
+            this.elements.outletStats.textContent = 'Outlet data unavailable';
+        }
+    }
+
+    /**
+     * Import outlet records from the chosen JSON or CSV file
+     * @param {HTMLInputElement} input File input
+     */
+    async importOutlets(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const { imported, skipped } = await this.outlets.importData(text, file.name);
+            await this.renderOutletStats();
+
+            const skippedText = skipped > 0 ? ` ${skipped} invalid rows skipped.` : '';
+            this.showStatus(`Imported ${imported} outlets.${skippedText}`, imported === 0);
+        } catch (error) {
+            console.error('Error importing outlet data:', error);
+            this.showStatus('Failed to import outlets: ' + error.message, true);
+        } finally {
+            // Allow re-importing the same file after editing it
+            input.value = '';
+        }
+    }
+
+    /**
+     * Download the current outlet dataset as JSON
+     */
+    async exportOutlets() {
+        try {
+            const json = await this.outlets.exportData();
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'outlets.json';
+            link.click();
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting outlet data:', error);
+            this.showStatus('Failed to export outlets: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Discard imported outlets and return to the bundled dataset
+     */
+    async resetOutlets() {
+        if (!confirm('Remove all imported outlet data and use the bundled dataset?')) {
+            return;
+        }
+
+        try {
+            await this.outlets.resetOverrides();
+            await this.renderOutletStats();
+            this.showStatus('Outlet data reset to the bundled dataset.');
+        } catch (error) {
+            console.error('Error resetting outlet data:', error);
+            this.showStatus('Failed to reset outlets: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Render an editor for each site rule
+     */
+    async renderSiteRules() {
+        const list = this.elements.siteRuleList;
+        if (!list) return;
+
+        try {
+            const rules = await this.siteRules.getAll();
+            list.innerHTML = '';
+            rules.forEach(rule => list.appendChild(this.createSiteRuleElement(rule)));
+            this.elements.siteRuleStats.textContent = rules.length === 1 ? '1 site rule' : `${rules.length} site rules`;
+        } catch (error) {
+            console.error('Error reading site rules:', error);
+            this.elements.siteRuleStats.textContent = 'Site rules unavailable';
+        }
+    }
+
+    /**
+     * Add an empty rule editor at the top of the list
+     */
+    addSiteRule() {
+        const element = this.createSiteRuleElement(null);
+        this.elements.siteRuleList?.prepend(element);
+        element.querySelector('input')?.focus();
+    }
+
+    /**
+     * Create the editor for a site rule
+     * @param {Object|null} rule Stored rule, or null for a new one
+     * @returns {HTMLElement} Rule card
+     */
+    createSiteRuleElement(rule) {
+        const draft = {
+            pattern: rule?.pattern || '',
+            content: [...(rule?.content || [])],
+            exclude: [...(rule?.exclude || [])],
+            title: rule?.title || '',
+            pagination: rule?.pagination || ''
+        };
+
+        const element = document.createElement('div');
+        element.className = 'site-rule-card';
+
+        SITE_RULE_FIELDS.forEach(field => {
+            element.appendChild(this.createFieldElement(draft, field));
+        });
+
+        const row = document.createElement('div');
+        row.className = 'inline-row';
+        const updated = document.createElement('span');
+        updated.className = 'site-rule-updated';
+        updated.textContent = rule ? `Updated ${new Date(rule.updatedAt).toLocaleDateString()}` : 'New rule';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        const save = document.createElement('button');
+        save.className = 'secondary-btn';
+        save.textContent = 'Save Rule';
+        save.addEventListener('click', () => this.saveSiteRule(draft, rule?.pattern));
+        const remove = document.createElement('button');
+        remove.className = 'secondary-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => (rule ? this.removeSiteRule(rule.pattern) : element.remove()));
+        buttons.append(save, remove);
+
+        row.append(updated, buttons);
+        element.appendChild(row);
+        return element;
+    }
+
+    /**
+     * Save an edited site rule
+     * @param {Object} draft Edited fields
+     * @param {string} [previousPattern] Pattern the rule was stored under
+     */
+    async saveSiteRule(draft, previousPattern) {
+        try {
+            const rule = await this.siteRules.save({ ...draft, updatedAt: Date.now() }, previousPattern);
+            await this.renderSiteRules();
+
+            // Invalid selectors are dropped on save rather than failing the whole rule
+            const entered = draft.content.length + draft.exclude.length + (draft.title ? 1 : 0) + (draft.pagination ? 1 : 0);
+            const kept = rule.content.length + rule.exclude.length + (rule.title ? 1 : 0) + (rule.pagination ? 1 : 0);
+            const dropped = entered - kept;
+            this.showStatus(dropped > 0
+                ? `Rule for ${rule.pattern} saved. ${dropped} invalid or duplicate selector(s) removed.`
+                : `Rule for ${rule.pattern} saved.`, dropped > 0);
+        } catch (error) {
+            console.error('Error saving site rule:', error);
+            this.showStatus('Failed to save rule: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Delete a site rule
+     * @param {string} pattern Rule pattern
+     */
+    async removeSiteRule(pattern) {
+        if (!confirm(`Delete the extraction rule for ${pattern}?`)) {
+            return;
+        }
+
+        try {
+            await this.siteRules.remove(pattern);
+            await this.renderSiteRules();
+            this.showStatus(`Rule for ${pattern} deleted.`);
+        } catch (error) {
+            console.error('Error deleting site rule:', error);
+            this.showStatus('Failed to delete rule: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Import a JSON rule pack from the chosen file
+     * @param {HTMLInputElement} input File input
+     */
+    async importSiteRules(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const { imported, skipped } = await this.siteRules.importData(text);
+            await this.renderSiteRules();
+
+            const skippedText = skipped > 0 ? ` ${skipped} invalid rules skipped.` : '';
+            this.showStatus(`Imported ${imported} site rules.${skippedText}`, imported === 0);
+        } catch (error) {
+            console.error('Error importing site rules:', error);
+            this.showStatus('Failed to import site rules: ' + error.message, true);
+        } finally {
+            // Allow re-importing the same file after editing it
+            input.value = '';
+        }
+    }
+
+    /**
+     * Download all site rules as a JSON rule pack
+     */
+    async exportSiteRules() {
+        try {
+            const json = await this.siteRules.exportData();
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'site-rules.json';
+            link.click();
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting site rules:', error);
+            this.showStatus('Failed to export site rules: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Validate and persist settings
+     */
+    async saveSettings() {
+        const error = this.validate();
+        if (error) {
+            this.showStatus(error, true);
+            return;
+        }
+
+        try {
+            await SettingsStore.save(this.settings);
+            this.showStatus('Settings saved.');
+        } catch (err) {
+            console.error('Error saving settings:', err);
+            this.showStatus('Failed to save settings: ' + err.message, true);
+        }
+    }
+
+    /**
+     * Restore default settings
+     */
+    async resetSettings() {
+        this.settings = SettingsStore.merge(DEFAULT_SETTINGS, {});
+        this.render();
+        await this.saveSettings();
+    }
+
+    /**
+     * Validate the current settings
+     * @returns {string|null} Error message or null if valid
+     */
+    validate() {
+        const providers = this.settings.providers;
+
+        for (const id of ['cloud', 'selfHosted']) {
+            const config = providers[id];
+            if (config.enabled && !this.isValidUrl(config.url)) {
+                return `${PROVIDER_DESCRIPTIONS[id].name} needs a valid http(s) URL.`;
+            }
+        }
+
+        if (!this.settings.providerOrder.some(id => providers[id] && providers[id].enabled)) {
+            return 'Enable at least one analysis provider.';
+        }
+
+        for (const id of this.settings.providerOrder) {
+            const info = PROVIDER_DESCRIPTIONS[id];
+            const providerError = info && this.validateRanges(providers[id], info.fields);
+            if (providerError) {
+                return `${info.name}: ${providerError}`;
+            }
+        }
+
+        const rangeError = this.validateRanges(this.settings.analysis, ANALYSIS_FIELDS) ||
+            this.validateRanges(this.settings.extraction, EXTRACTION_FIELDS) ||
+            this.validateRanges(this.settings.network, NETWORK_FIELDS);
+        if (rangeError) {
+            return rangeError;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check numeric fields are integers within their allowed range
+     * @param {Object} config Settings object
+     * @param {Array<Object>} fields Field descriptions
+     * @returns {string|null} Error message or null if valid
+     */
+    validateRanges(config, fields) {
+        for (const field of fields) {
+            if (field.type !== 'number') continue;
+
+            const value = config[field.key];
+            if (!Number.isInteger(value) || value < field.min || value > field.max) {
+                return `${field.label} must be a whole number between ${field.min} and ${field.max}.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a string is an http(s) URL
+     * @param {string} value Value to check
+     * @returns {boolean} True if valid
+     */
+    isValidUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Show a status message next to the save button
+     * @param {string} message Message to show
+     * @param {boolean} [isError] Whether the message is an error
+     */
+    showStatus(message, isError = false) {
+        const status = this.elements.saveStatus;
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `save-status ${isError ? 'error' : 'success'}`;
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            status.textContent = '';
+        }, 4000);
+    }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+});
@@ -0,0 +1,254 @@
+// Outlet reputation data for AI Bias Detector
+// Maps domains to ownership, editorial lean and factual-reporting ratings
+
+const OUTLET_LEANS = ['left', 'lean-left', 'center', 'lean-right', 'right', 'unknown'];
+const OUTLET_FACTUAL_RATINGS = ['very-high', 'high', 'mostly-factual', 'mixed', 'low', 'very-low', 'unknown'];
+
+class OutletReputationStore {
+    constructor() {
+        this.bundledUrl = chrome.runtime.getURL('outlets.json');
+        this.overridesKey = 'outletOverrides';
+        this.bundled = null;
+    }
+
+    /**
+     * Find outlet metadata for a URL, preferring the most specific domain
+     * @param {string} url Article URL
+     * @returns {Promise<Object|null>} Outlet record or null
+     */
+    async lookup(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+
+        const outlets = await this.getAll();
+        const matches = outlets.filter(outlet =>
+            hostname === outlet.domain || hostname.endsWith('.' + outlet.domain)
+        );
+
+        if (matches.length === 0) return null;
+        return matches.sort((a, b) => b.domain.length - a.domain.length)[0];
+    }
+
+    /**
+     * Get the bundled dataset merged with the user's edits
+     * @returns {Promise<Array<Object>>} Outlet records
+     */
+    async getAll() {
+        const bundled = await this.loadBundled();
+        const overrides = await this.loadOverrides();
+        const byDomain = new Map();
+
+        bundled.forEach(outlet => byDomain.set(outlet.domain, { ...outlet, source: 'bundled' }));
+        Object.values(overrides).forEach(outlet => byDomain.set(outlet.domain, { ...outlet, source: 'user' }));
+
+        return Array.from(byDomain.values()).sort((a, b) => a.domain.localeCompare(b.domain));
+    }
+
+    /**
+     * Import outlet records from JSON or CSV text, replacing existing entries for the same domains
+     * @param {string} text File contents
+     * @param {string} [filename] File name, used to detect the format
+     * @returns {Promise<Object>} Counts of imported and skipped records
+     */
+    async importData(text, filename = '') {
+        const isJson = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+        const records = isJson ? this.parseJson(text) : this.parseCsv(text);
+
+        const overrides = await this.loadOverrides();
+        let imported = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            const outlet = this.normalizeRecord(record);
+            if (outlet) {
+                overrides[outlet.domain] = outlet;
+                imported++;
+            } else {
+                skipped++;
+            }
+        });
+
+        await chrome.storage.local.set({ [this.overridesKey]: overrides });
+        console.log('Imported outlet data:', { imported, skipped });
+
+        return { imported, skipped };
+    }
+
+    /**
+     * Export the merged dataset as JSON in the same format as the bundled file
+     * @returns {Promise<string>} JSON text
+     */
+    async exportData() {
+        const outlets = await this.getAll();
+        return JSON.stringify({
+            version: 1,
+            outlets: outlets.map(({ source, ...outlet }) => outlet)
+        }, null, 2);
+    }
+
+    /**
+     * Discard the user's edits and go back to the bundled dataset
+     */
+    async resetOverrides() {
+        await chrome.storage.local.remove(this.overridesKey);
+    }
+
+    /**
+     * Parse outlet records from JSON: an array or an object with an "outlets" array
+     * @param {string} text JSON text
+     * @returns {Array<Object>} Raw records
+     */
+    parseJson(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.outlets;
+
+        if (!Array.isArray(records)) {
+            throw new Error('JSON must be an array of outlets or an object with an "outlets" array');
+        }
+        return records;
+    }
+
+    /**
+     * Parse outlet records from CSV with a header row
+     * (domain, name, ownership, lean, factualReporting)
+     * @param {string} text CSV text
+     * @returns {Array<Object>} Raw records
+     */
+    parseCsv(text) {
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim().length > 0));
+        if (rows.length < 2) {
+            throw new Error('CSV must have a header row and at least one outlet');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        if (!headers.includes('domain')) {
+            throw new Error('CSV header must include a "domain" column');
+        }
+
+        return rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, i) => {
+                record[header] = (row[i] || '').trim();
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Split CSV text into rows of cells, honouring quoted fields
+     * @param {string} text CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell.length > 0 || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Validate and normalize a raw record
+     * @param {Object} record Raw record
+     * @returns {Object|null} Outlet record or null if invalid
+     */
+    normalizeRecord(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const domain = String(record.domain || '')
+            .trim()
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/\/.*$/, '');
+
+        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) return null;
+
+        const lean = this.normalizeValue(record.lean, OUTLET_LEANS);
+        const factualReporting = this.normalizeValue(record.factualReporting ?? record.factual, OUTLET_FACTUAL_RATINGS);
+
+        return {
+            domain: domain,
+            name: String(record.name || domain).trim(),
+            ownership: String(record.ownership || '').trim(),
+            lean: lean,
+            factualReporting: factualReporting
+        };
+    }
+
+    /**
+     * Map free-form values such as "Lean Right" onto an allowed value
+     * @param {string} value Raw value
+     * @param {Array<string>} allowed Allowed values
+     * @returns {string} Allowed value, or "unknown"
+     */
+    normalizeValue(value, allowed) {
+        const normalized = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+        return allowed.includes(normalized) ? normalized : 'unknown';
+    }
+
+    /**
+     * Load the bundled dataset once
+     * @returns {Promise<Array<Object>>} Bundled outlet records
+     */
+    async loadBundled() {
+        if (!this.bundled) {
+            try {
+                const response = await fetch(this.bundledUrl);
+                const data = await response.json();
+                this.bundled = (data.outlets || []).map(record => this.normalizeRecord(record)).filter(Boolean);
+            } catch (error) {
+                console.error('Error loading bundled outlet data:', error);
+                return [];
+            }
+        }
+        return this.bundled;
+    }
+
+    /**
+     * Load the user's imported and edited records
+     * @returns {Promise<Object>} Map of domain to outlet record
+     */
+    async loadOverrides() {
+        const stored = await chrome.storage.local.get(this.overridesKey);
+        return stored[this.overridesKey] || {};
+    }
+}
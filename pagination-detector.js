@@ -0,0 +1,259 @@
+// Pagination detection for AI Bias Detector
+// Finds the link to the next page of an article that is split across several pages
+
+class PaginationDetector {
+    /**
+     * @param {Document} doc Document to search
+     * @param {string} url URL of the document
+     * @param {Object} [options] Detector options
+     * @param {string|null} [options.nextSelector] Selector for the next-page link from a site rule
+     */
+    constructor(doc, url, options = {}) {
+        this.document = doc;
+        this.url = url;
+        this.nextSelector = options.nextSelector || null;
+
+        this.pagerSelectors = [
+            '.pagination',
+            '.pager',
+            '.page-numbers',
+            '.paging',
+            '[class*="pagination"]',
+            '[class*="pager"]',
+            'nav[aria-label*="page" i]',
+            'nav[aria-label*="pagination" i]'
+        ];
+
+        // Link text and labels that mean "next page"; "Next article" and "Next story" go elsewhere
+        this.nextPattern = /^(next( page)?|next\s*[›»>→]|[›»→]|continue to (the )?next page|continue to page \d+)\W*$/i;
+
+        // Query parameters and path forms that carry a page number. "p" is left out because
+        // WordPress uses it for post IDs.
+        this.pageParams = ['page', 'pg', 'pagenum', 'pageNumber', 'currentPage'];
+        this.pagePathPatterns = [/\/page\/?(\d+)\/?$/i, /[-_]page[-_]?(\d+)\/?$/i];
+        // A bare trailing number such as "/story/2" is also how dates end ("/2024/05/12"), so it only
+        // counts as a page number for links a pager or rel="next" vouches for, and never after a year
+        this.trailingPagePattern = /(?<!\/\d{4}(?:\/\d{1,2})?)\/(\d{1,2})\/?$/;
+    }
+
+    /**
+     * Find the URL of the next page of the article
+     * @returns {Object|null} {url, source: 'site-rule'|'rel-next'|'next-link'|'numbered-pager'}, or null on the last page
+     */
+    findNextPage() {
+        // A site rule's link is trusted to be the next page even without a page number in its URL
+        const ruleUrl = this.resolve(this.findRuleNext());
+        if (ruleUrl && this.isSameSite(ruleUrl)) {
+            console.log('Next page found via site rule:', ruleUrl);
+            return { url: ruleUrl, source: 'site-rule' };
+        }
+
+        const inPager = this.findPagers().length > 0;
+        const candidates = [
+            { source: 'rel-next', href: this.findRelNext(), confirmed: true },
+            { source: 'next-link', href: this.findNextLink(), confirmed: inPager },
+            { source: 'numbered-pager', href: this.findNumberedPage(), confirmed: true }
+        ];
+
+        for (const candidate of candidates) {
+            const url = this.resolve(candidate.href);
+            if (url && this.isSameArticle(url, candidate.confirmed)) {
+                console.log(`Next page found via ${candidate.source}:`, url);
+                return { url, source: candidate.source };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read the next-page link named by a site rule: the matched link, or the first link inside the match
+     * @returns {string|null} href
+     */
+    findRuleNext() {
+        if (!this.nextSelector) {
+            return null;
+        }
+
+        try {
+            const element = this.document.querySelector(this.nextSelector);
+            const link = element && (element.matches('a[href], link[href]') ? element : element.querySelector('a[href]'));
+            return link ? link.getAttribute('href') : null;
+        } catch (error) {
+            console.warn('Invalid pagination selector in site rule:', this.nextSelector);
+            return null;
+        }
+    }
+
+    /**
+     * Read <link rel="next"> or <a rel="next">
+     * @returns {string|null} href
+     */
+    findRelNext() {
+        const element = this.document.querySelector('link[rel~="next" i][href], a[rel~="next" i][href]');
+        return element ? element.getAttribute('href') : null;
+    }
+
+    /**
+     * Find a "Next page" link, preferring links inside a pager
+     * @returns {string|null} href
+     */
+    findNextLink() {
+        const pagers = this.findPagers();
+        const scopes = pagers.length > 0 ? pagers : [this.document];
+
+        for (const scope of scopes) {
+            for (const link of scope.querySelectorAll('a[href]')) {
+                const label = (link.textContent || '').replace(/\s+/g, ' ').trim() ||
+                    link.getAttribute('aria-label') || link.getAttribute('title') || '';
+                const ariaLabel = link.getAttribute('aria-label') || '';
+                if (this.nextPattern.test(label) || /^next page$/i.test(ariaLabel)) {
+                    return link.getAttribute('href');
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the link to the page after the current one in a numbered pager
+     * @returns {string|null} href
+     */
+    findNumberedPage() {
+        for (const pager of this.findPagers()) {
+            const current = pager.querySelector('[aria-current="page"], .current, .active, .is-active');
+            const currentNumber = current ? parseInt(current.textContent.trim(), 10) : this.getPageNumber(this.url, true);
+            if (!Number.isFinite(currentNumber)) continue;
+
+            const next = Array.from(pager.querySelectorAll('a[href]'))
+                .find(link => link.textContent.trim() === String(currentNumber + 1));
+            if (next) {
+                return next.getAttribute('href');
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find pager containers on the page
+     * @returns {Array<Element>} Pagers
+     */
+    findPagers() {
+        const pagers = new Set();
+        this.pagerSelectors.forEach(selector => {
+            try {
+                this.document.querySelectorAll(selector).forEach(element => pagers.add(element));
+            } catch (error) {
+                // Ignore selectors the browser doesn't support
+            }
+        });
+        return Array.from(pagers);
+    }
+
+    /**
+     * Read the page number from a URL; pages without one are page 1
+     * @param {string} url URL
+     * @param {boolean} [confirmed] A pager or rel="next" vouches for the link, so a bare trailing number counts
+     * @returns {number} Page number
+     */
+    getPageNumber(url, confirmed = false) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 1;
+        }
+
+        for (const param of this.pageParams) {
+            const value = parseInt(parsed.searchParams.get(param), 10);
+            if (Number.isFinite(value)) return value;
+        }
+        for (const pattern of this.getPathPatterns(confirmed)) {
+            const match = parsed.pathname.match(pattern);
+            if (match) return parseInt(match[1], 10);
+        }
+        return 1;
+    }
+
+    /**
+     * Resolve an href against the page URL
+     * @param {string|null} href Link target
+     * @returns {string|null} Absolute http(s) URL without a fragment
+     */
+    resolve(href) {
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+            return null;
+        }
+
+        try {
+            const url = new URL(href, this.url);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return null;
+            }
+            url.hash = '';
+            return url.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Path patterns that carry a page number
+     * @param {boolean} confirmed Include the bare trailing number
+     * @returns {Array<RegExp>} Patterns
+     */
+    getPathPatterns(confirmed) {
+        return confirmed ? [...this.pagePathPatterns, this.trailingPagePattern] : this.pagePathPatterns;
+    }
+
+    /**
+     * Check that a link leads to another page of the same article, not to another article or section
+     * @param {string} url Candidate URL
+     * @param {boolean} [confirmed] A pager or rel="next" vouches for the link
+     * @returns {boolean} True if it is a later page of this article
+     */
+    isSameArticle(url, confirmed = false) {
+        const current = this.getArticleKey(this.url, confirmed);
+        const next = this.getArticleKey(url, confirmed);
+        return Boolean(current && next) && current === next && url !== this.url &&
+            this.getPageNumber(url, confirmed) > this.getPageNumber(this.url, confirmed);
+    }
+
+    /**
+     * Check that a link stays on the same site and leads to another page
+     * @param {string} url Candidate URL
+     * @returns {boolean} True if on the same host and not the current page
+     */
+    isSameSite(url) {
+        try {
+            return new URL(url).hostname === new URL(this.url).hostname && url !== this.url;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Identify an article independent of its page number
+     * @param {string} url URL
+     * @param {boolean} [confirmed] Also remove a bare trailing page number
+     * @returns {string|null} Host, path and query without page markers
+     */
+    getArticleKey(url, confirmed = false) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        this.pageParams.forEach(param => parsed.searchParams.delete(param));
+        parsed.searchParams.sort();
+
+        let path = parsed.pathname;
+        for (const pattern of this.getPathPatterns(confirmed)) {
+            path = path.replace(pattern, '');
+        }
+        path = path.replace(/\/+$/, '');
+
+        return `${parsed.hostname}${path}?${parsed.searchParams.toString()}`;
+    }
+}
@@ -0,0 +1,447 @@
+// Passage highlighting for AI Bias Detector
+// Maps flagged passages from an analysis back onto the live page and explains them in hover tooltips
+
+class PassageHighlighter {
+    /**
+     * @param {Document} [doc] Document to highlight
+     */
+    constructor(doc) {
+        this.document = doc || document;
+
+        // Highlights are painted with the CSS Custom Highlight API, so the page's own nodes are
+        // never split or wrapped and frameworks that own the DOM don't see any change
+        this.highlightPrefix = 'aibd-highlight';
+        this.styleSheet = null;
+
+        // Colors per category; other categories get one from the fallback palette
+        this.colors = {
+            'loaded language': '#f59e0b',
+            hedging: '#8b5cf6',
+            absolutist: '#ec4899',
+            insult: '#ef4444',
+            'partisan (left)': '#3b82f6',
+            'partisan (right)': '#dc2626',
+            'political bias': '#6366f1',
+            toxicity: '#ef4444',
+            'severe toxicity': '#b91c1c',
+            'identity attack': '#be185d',
+            profanity: '#f97316',
+            threat: '#991b1b'
+        };
+        this.fallbackColors = ['#14b8a6', '#84cc16', '#0ea5e9', '#a855f7', '#f43f5e'];
+
+        // Text inside these elements is never highlighted
+        this.skippedTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'TEMPLATE', 'SVG', 'IFRAME']);
+
+        // Highlighted passages {range, finding, color} and the registered highlight names
+        this.highlights = [];
+        this.highlightNames = [];
+        this.passageCount = 0;
+        this.hovered = null;
+        this.tooltipHost = null;
+        this.tooltip = null;
+
+        this.pointerFrame = null;
+        this.handlePointerMove = (event) => this.onPointerMove(event);
+    }
+
+    /**
+     * Highlight findings on the page, replacing any earlier highlights
+     * @param {Array<Object>} findings Findings {text, category, score, reason}
+     * @returns {Object} {highlighted, missing}, with error when the browser can't paint highlights
+     */
+    highlight(findings) {
+        this.clear();
+
+        const view = this.document.defaultView;
+        if (!view?.CSS?.highlights || typeof view.Highlight !== 'function') {
+            return { highlighted: 0, missing: 0, error: 'This browser version can\'t highlight passages on the page.' };
+        }
+
+        const index = this.buildTextIndex(this.document.body);
+        const ranges = [];
+
+        // Strongest findings claim their text first; weaker overlapping ones are skipped
+        const ordered = (findings || [])
+            .filter(finding => finding && typeof finding.text === 'string' && finding.text.trim())
+            .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+        let missing = 0;
+        ordered.forEach(finding => {
+            const range = this.findRange(index, finding.text, ranges);
+            if (range) {
+                ranges.push({ ...range, finding });
+            } else {
+                missing++;
+            }
+        });
+
+        if (ranges.length === 0) {
+            console.log(`No flagged passages found on the page (${missing} missing)`);
+            return { highlighted: 0, missing };
+        }
+
+        this.highlights = ranges.map(range => ({
+            range: this.createRange(index, range.start, range.end),
+            finding: range.finding,
+            color: this.getColor(range.finding.category)
+        }));
+        this.paintHighlights();
+        this.createTooltip();
+        this.document.addEventListener('mousemove', this.handlePointerMove, { capture: true, passive: true });
+
+        this.passageCount = ranges.length;
+        console.log(`Highlighted ${ranges.length} passage(s), ${missing} not found on the page`);
+        return { highlighted: ranges.length, missing };
+    }
+
+    /**
+     * Remove all highlights, tooltips and styles
+     * @returns {number} Number of passages that were highlighted
+     */
+    clear() {
+        const count = this.highlights.length;
+        const view = this.document.defaultView;
+
+        this.highlightNames.forEach(name => view?.CSS?.highlights?.delete(name));
+        if (this.styleSheet) {
+            this.document.adoptedStyleSheets = this.document.adoptedStyleSheets.filter(sheet => sheet !== this.styleSheet);
+            this.styleSheet = null;
+        }
+
+        this.document.removeEventListener('mousemove', this.handlePointerMove, { capture: true });
+        if (this.pointerFrame !== null) {
+            view?.cancelAnimationFrame(this.pointerFrame);
+            this.pointerFrame = null;
+        }
+
+        this.tooltipHost?.remove();
+        this.tooltipHost = null;
+        this.tooltip = null;
+        this.hovered = null;
+
+        this.highlights = [];
+        this.highlightNames = [];
+        this.passageCount = 0;
+        return count;
+    }
+
+    /**
+     * Whether highlights are currently shown
+     * @returns {Object} {active, count}
+     */
+    getState() {
+        return { active: this.highlights.length > 0, count: this.passageCount };
+    }
+
+    /**
+     * Concatenate the page's text without whitespace, remembering where each text node's
+     * characters start. Extracted text and the DOM often disagree on whitespace between
+     * blocks, so it is ignored when matching.
+     * @param {Element} root Element to index
+     * @returns {Object} {text, nodes: [{node, start}]}, nodes in document order
+     */
+    buildTextIndex(root) {
+        const parts = [];
+        const nodes = [];
+        if (!root) {
+            return { text: '', nodes };
+        }
+
+        const walker = this.document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => this.isSkipped(node.parentElement) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        let length = 0;
+        let node;
+        while ((node = walker.nextNode())) {
+            const compact = node.nodeValue.replace(/\s+/g, '');
+            if (compact) {
+                nodes.push({ node, start: length });
+                parts.push(compact);
+                length += compact.length;
+            }
+        }
+
+        return { text: parts.join(''), nodes };
+    }
+
+    /**
+     * Find a finding's text in the index, skipping text already claimed
+     * @param {Object} index Text index from buildTextIndex
+     * @param {string} passage Finding text
+     * @param {Array<Object>} claimed Ranges already taken
+     * @returns {Object|null} {start, end} indexes into the text, or null if not found
+     */
+    findRange(index, passage, claimed) {
+        const pattern = this.createPassagePattern(passage);
+        if (!pattern) return null;
+
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(index.text))) {
+            const start = match.index;
+            const end = start + match[0].length;
+            const overlaps = claimed.some(range => start < range.end && end > range.start);
+            if (!overlaps) {
+                return { start, end };
+            }
+            pattern.lastIndex = start + 1;
+        }
+        return null;
+    }
+
+    /**
+     * Build a pattern for a passage without its whitespace, matching the masks left by PII redaction
+     * @param {string} passage Finding text
+     * @returns {RegExp|null} Global pattern
+     */
+    createPassagePattern(passage) {
+        const compact = passage.replace(/\s+/g, '');
+        if (compact.length < 3) return null;
+
+        const source = compact
+            .split(/(\[[A-Z]+\])/)
+            .map(part => /^\[[A-Z]+\]$/.test(part) ? '.{1,80}?' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        return new RegExp(source, 'g');
+    }
+
+    /**
+     * Create a DOM range over a matched span of the index, which may cover several text nodes
+     * @param {Object} index Text index from buildTextIndex
+     * @param {number} start First matched index
+     * @param {number} end Index after the last match
+     * @returns {Range} Range over the page's text
+     */
+    createRange(index, start, end) {
+        const first = this.locate(index, start);
+        const last = this.locate(index, end - 1);
+
+        const range = this.document.createRange();
+        range.setStart(first.node, first.offset);
+        range.setEnd(last.node, last.offset + 1);
+        return range;
+    }
+
+    /**
+     * Map an index into the compact text back to a text node and offset
+     * @param {Object} index Text index from buildTextIndex
+     * @param {number} position Index into the compact text
+     * @returns {Object} {node, offset}
+     */
+    locate(index, position) {
+        // Last node starting at or before the position
+        let low = 0;
+        let high = index.nodes.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (index.nodes[middle].start <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        const { node, start } = index.nodes[low];
+        const value = node.nodeValue;
+        let remaining = position - start;
+        for (let offset = 0; offset < value.length; offset++) {
+            if (!/\s/.test(value[offset]) && remaining-- === 0) {
+                return { node, offset };
+            }
+        }
+        return { node, offset: value.length - 1 };
+    }
+
+    /**
+     * Register one highlight per color and the stylesheet that paints them. ::highlight() can
+     * only set colors and decorations, so the page's fonts, spacing and layout are unchanged.
+     */
+    paintHighlights() {
+        const view = this.document.defaultView;
+        const byColor = new Map();
+        this.highlights.forEach(({ range, color }) => {
+            if (!byColor.has(color)) {
+                byColor.set(color, []);
+            }
+            byColor.get(color).push(range);
+        });
+
+        const rules = [];
+        Array.from(byColor.entries()).forEach(([color, ranges], i) => {
+            const name = `${this.highlightPrefix}-${i}`;
+            view.CSS.highlights.set(name, new view.Highlight(...ranges));
+            this.highlightNames.push(name);
+            rules.push(`::highlight(${name}) {
+                background-color: color-mix(in srgb, ${color} 22%, transparent);
+                text-decoration: underline 2px ${color};
+            }`);
+        });
+
+        // An adopted sheet adds no element to the page
+        this.styleSheet = new view.CSSStyleSheet();
+        this.styleSheet.replaceSync(rules.join('\n'));
+        this.document.adoptedStyleSheets = [...this.document.adoptedStyleSheets, this.styleSheet];
+    }
+
+    /**
+     * Show the tooltip for the passage under the pointer, at most once per frame
+     * @param {MouseEvent} event Mouse event
+     */
+    onPointerMove(event) {
+        if (this.pointerFrame !== null) return;
+
+        const { clientX, clientY } = event;
+        this.pointerFrame = this.document.defaultView.requestAnimationFrame(() => {
+            this.pointerFrame = null;
+            const hit = this.findHighlightAt(clientX, clientY);
+            if (hit?.highlight === this.hovered) return;
+
+            this.hovered = hit?.highlight || null;
+            if (hit) {
+                this.showTooltip(hit.rect, hit.highlight.finding, hit.highlight.color);
+            } else {
+                this.hideTooltip();
+            }
+        });
+    }
+
+    /**
+     * Find the highlighted passage at a point in the viewport
+     * @param {number} x Client X
+     * @param {number} y Client Y
+     * @returns {Object|null} {highlight, rect} with the line box under the point
+     */
+    findHighlightAt(x, y) {
+        for (const highlight of this.highlights) {
+            if (highlight.range.collapsed) continue;
+
+            const rect = Array.from(highlight.range.getClientRects())
+                .find(box => x >= box.left && x <= box.right && y >= box.top && y <= box.bottom);
+            if (rect) {
+                return { highlight, rect };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create the tooltip in a shadow root so page styles can't reach it
+     */
+    createTooltip() {
+        if (this.tooltipHost) return;
+
+        this.tooltipHost = this.document.createElement('aibd-tooltip');
+        this.tooltipHost.style.cssText = 'position: fixed; top: 0; left: 0; z-index: 2147483647; pointer-events: none;';
+        const shadow = this.tooltipHost.attachShadow({ mode: 'closed' });
+
+        const style = this.document.createElement('style');
+        style.textContent = `
+            .tooltip {
+                display: none;
+                position: fixed;
+                max-width: 320px;
+                padding: 10px 12px;
+                border-radius: 8px;
+                border-top: 3px solid var(--aibd-color, #667eea);
+                background: #1a1a2e;
+                color: #e2e8f0;
+                font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+            }
+            .tooltip.visible { display: block; }
+            .category { font-weight: 600; color: #ffffff; text-transform: capitalize; }
+            .score { float: right; color: #a0aec0; margin-left: 12px; }
+            .reason { margin-top: 4px; }
+        `;
+
+        this.tooltip = this.document.createElement('div');
+        this.tooltip.className = 'tooltip';
+        shadow.append(style, this.tooltip);
+        this.document.documentElement.appendChild(this.tooltipHost);
+    }
+
+    /**
+     * Show the tooltip for a highlighted passage
+     * @param {DOMRect} rect Line box of the passage under the pointer
+     * @param {Object} finding Finding the passage came from
+     * @param {string} color Category color
+     */
+    showTooltip(rect, finding, color) {
+        if (!this.tooltip) return;
+
+        this.tooltip.textContent = '';
+        this.tooltip.style.setProperty('--aibd-color', color);
+
+        const header = this.document.createElement('div');
+        const category = this.document.createElement('span');
+        category.className = 'category';
+        category.textContent = finding.category || 'Flagged passage';
+        header.appendChild(category);
+        if (typeof finding.score === 'number') {
+            const score = this.document.createElement('span');
+            score.className = 'score';
+            score.textContent = `${Math.round(finding.score * 100)}%`;
+            header.appendChild(score);
+        }
+
+        const reason = this.document.createElement('div');
+        reason.className = 'reason';
+        reason.textContent = finding.reason || 'Flagged by the bias analysis.';
+
+        this.tooltip.append(header, reason);
+        this.tooltip.classList.add('visible');
+
+        // Below the passage, or above it when there is no room
+        const view = this.document.defaultView;
+        const tooltipRect = this.tooltip.getBoundingClientRect();
+        const top = rect.bottom + 6 + tooltipRect.height > view.innerHeight
+            ? Math.max(4, rect.top - tooltipRect.height - 6)
+            : rect.bottom + 6;
+        const left = Math.min(Math.max(4, rect.left), Math.max(4, view.innerWidth - tooltipRect.width - 4));
+        this.tooltip.style.top = `${top}px`;
+        this.tooltip.style.left = `${left}px`;
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    hideTooltip() {
+        this.tooltip?.classList.remove('visible');
+    }
+
+    /**
+     * Pick the color for a category
+     * @param {string} category Category name
+     * @returns {string} CSS color
+     */
+    getColor(category) {
+        if (this.colors[category]) {
+            return this.colors[category];
+        }
+
+        let hash = 0;
+        for (const char of String(category || '')) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return this.fallbackColors[hash % this.fallbackColors.length];
+    }
+
+    /**
+     * Whether text inside an element must be left alone: hidden, editable, or not page text
+     * @param {Element|null} element Parent element of a text node
+     * @returns {boolean} True if skipped
+     */
+    isSkipped(element) {
+        for (let current = element; current; current = current.parentElement) {
+            if (this.skippedTags.has(current.tagName.toUpperCase()) || current.isContentEditable || current.hidden) {
+                return true;
+            }
+            if (current.tagName.toLowerCase() === 'aibd-tooltip') {
+                return true;
+            }
+        }
+        return false;
+    }
+}
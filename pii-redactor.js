@@ -0,0 +1,136 @@
+// PII redaction for AI Bias Detector
+// Masks personal details in article text before it is sent to a remote provider
+
+const REDACTION_TYPES = ['email', 'card', 'phone', 'address', 'name'];
+
+class PiiRedactor {
+    constructor() {
+        this.masks = {
+            email: '[EMAIL]',
+            card: '[CARD]',
+            phone: '[PHONE]',
+            address: '[ADDRESS]',
+            name: '[NAME]'
+        };
+
+        this.patterns = {
+            email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+            // 13-19 digits, optionally grouped with spaces or dashes; confirmed with a Luhn check
+            card: /\b\d(?:[ -]?\d){12,18}\b/g,
+            // International or North American numbers with at least 7 digits, e.g. +44 20 7946 0958, (555) 123-4567
+            phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,3}\b/g,
+            // House number, one to four capitalized words and a street suffix, with an optional unit
+            address: /\b\d{1,6}\s+(?:[A-Z][A-Za-z'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy|Square|Sq)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|#)\.?\s*[A-Za-z0-9-]+)?/g,
+            // A title followed by one to three capitalized words, e.g. "Mrs. Jane Doe"
+            titledName: /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Prof)\.?\s+(?:[A-Z][a-z'-]+)(?:\s+[A-Z][a-z'-]+){0,2}/g,
+            // Two or three capitalized words, checked against the common first names below
+            fullName: /\b([A-Z][a-z'-]+)(?:\s+[A-Z]\.)?\s+[A-Z][a-z'-]+(?:-[A-Z][a-z'-]+)?\b/g
+        };
+
+        // Name detection only fires on a known first name, so place names such as
+        // "New York" or "White House" are left alone
+        this.firstNames = new Set([
+            'aaron', 'adam', 'alex', 'alice', 'amanda', 'amy', 'andrew', 'angela', 'anna', 'anne', 'anthony',
+            'ashley', 'barbara', 'ben', 'benjamin', 'betty', 'bob', 'brian', 'carol', 'carlos', 'catherine',
+            'charles', 'chris', 'christopher', 'daniel', 'david', 'deborah', 'dennis', 'donald', 'donna',
+            'dorothy', 'edward', 'elizabeth', 'emily', 'emma', 'eric', 'frank', 'gary', 'george', 'grace',
+            'gregory', 'hannah', 'helen', 'henry', 'jack', 'james', 'jane', 'jason', 'jeffrey', 'jennifer',
+            'jessica', 'john', 'jonathan', 'jose', 'joseph', 'joshua', 'juan', 'julia', 'karen', 'kate',
+            'kenneth', 'kevin', 'kimberly', 'laura', 'linda', 'lisa', 'mark', 'mary', 'matthew', 'maria',
+            'melissa', 'michael', 'michelle', 'mike', 'nancy', 'nicholas', 'olivia', 'patricia', 'paul',
+            'peter', 'rachel', 'rebecca', 'richard', 'robert', 'ronald', 'ryan', 'sam', 'samuel', 'sandra',
+            'sarah', 'scott', 'sharon', 'sophia', 'stephen', 'steven', 'susan', 'thomas', 'timothy', 'tom',
+            'william'
+        ]);
+    }
+
+    /**
+     * Mask personal details in text
+     * @param {string} text Text to redact
+     * @param {Object} [options] Redaction options
+     * @param {boolean} [options.names] Also mask person names
+     * @returns {Object} {text, counts: {type: number}, total}
+     */
+    redact(text, options = {}) {
+        const counts = {};
+        REDACTION_TYPES.forEach(type => {
+            counts[type] = 0;
+        });
+
+        let redacted = String(text || '');
+
+        // Emails first so their digits are never read as phone numbers
+        redacted = this.replace(redacted, this.patterns.email, 'email', counts);
+        redacted = this.replace(redacted, this.patterns.card, 'card', counts, (match) => this.isCardNumber(match));
+        redacted = this.replace(redacted, this.patterns.phone, 'phone', counts, (match) => this.isPhoneNumber(match));
+        redacted = this.replace(redacted, this.patterns.address, 'address', counts);
+
+        if (options.names) {
+            redacted = this.replace(redacted, this.patterns.titledName, 'name', counts);
+            redacted = this.replace(redacted, this.patterns.fullName, 'name', counts,
+                (match, firstName) => this.firstNames.has(firstName.toLowerCase()));
+        }
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return { text: redacted, counts, total };
+    }
+
+    /**
+     * Replace matches of a pattern with a type's mask
+     * @param {string} text Text to search
+     * @param {RegExp} pattern Global pattern
+     * @param {string} type Redaction type
+     * @param {Object} counts Counts to update
+     * @param {Function} [accept] Called with the match and its groups; returns false to keep the match
+     * @returns {string} Text with matches masked
+     */
+    replace(text, pattern, type, counts, accept) {
+        return text.replace(pattern, (match, ...groups) => {
+            if (accept && !accept(match, ...groups)) {
+                return match;
+            }
+            counts[type]++;
+            return this.masks[type];
+        });
+    }
+
+    /**
+     * Check whether a digit run is a plausible payment card number
+     * @param {string} value Candidate with optional separators
+     * @returns {boolean} True if it passes the Luhn check
+     */
+    isCardNumber(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Check whether a candidate looks like a phone number rather than a year range or statistic
+     * @param {string} value Candidate
+     * @returns {boolean} True if it should be masked
+     */
+    isPhoneNumber(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 7 || digits.length > 15) {
+            return false;
+        }
+
+        // Plain groups of digits such as "2019 2020 2021" need a phone-like shape to count
+        const hasPrefix = /^\+|\(/.test(value.trim());
+        const hasPhoneGrouping = /(?:^|\D)\d{3}[\s.-]\d{4}$/.test(value.trim());
+        return hasPrefix || hasPhoneGrouping;
+    }
+}
@@ -5,6 +5,13 @@ class PopupController {
     constructor() {
         this.currentState = 'initial';
         this.analysisResult = null;
+        // Port of the running analysis; messages from older ports are never received
+        this.port = null;
+        this.progress = null;
+        // Action offered by the error view for the last error ('settings', 'reload' or null)
+        this.errorAction = null;
+        // Whether the active tab shows this result's highlighted passages
+        this.highlightsActive = false;
         
         // Google Custom Search API configuration
         // Insert API Key
@@ -13,6 +20,7 @@ class PopupController {
         this.initializeElements();
         this.attachEventListeners();
         this.showServiceInfo();
+        this.loadTabState();
     }
 
     /**
@@ -30,26 +38,66 @@ class PopupController {
         // Buttons
         this.buttons = {
             scan: document.getElementById('scan-button'),
+            scanTabs: document.getElementById('scan-tabs-button'),
+            pickRule: document.getElementById('pick-rule-button'),
             cancel: document.getElementById('cancel-button'),
             newScan: document.getElementById('new-scan-button'),
-            retry: document.getElementById('retry-button')
+            autoScan: document.getElementById('auto-scan-checkbox'),
+            retry: document.getElementById('retry-button'),
+            errorAction: document.getElementById('error-action-button'),
+            highlight: document.getElementById('highlight-button')
         };
 
         // Result elements
         this.resultElements = {
             overallScore: document.getElementById('overall-score'),
+            analysisSource: document.getElementById('analysis-source'),
+            redactionNotice: document.getElementById('redaction-notice'),
+            highlightControls: document.getElementById('highlight-controls'),
+            highlightStatus: document.getElementById('highlight-status'),
             categoriesList: document.getElementById('categories-list'),
             explanationText: document.getElementById('explanation-text'),
             confidenceLevel: document.getElementById('confidence-level'),
             errorMessage: document.getElementById('error-message'),
+            errorIcon: document.getElementById('error-icon'),
+            errorTitle: document.getElementById('error-title'),
+            errorRemediation: document.getElementById('error-remediation'),
+            autoScanToggle: document.getElementById('auto-scan-toggle'),
+            autoScanLabel: document.getElementById('auto-scan-label'),
+            loadingText: document.getElementById('loading-text'),
+            loadingStatus: document.getElementById('loading-status'),
+            progressSteps: document.getElementById('progress-steps'),
+            errorStep: document.getElementById('error-step'),
             biasScoreNumber: document.getElementById('bias-score-number'),
             progressCircle: document.getElementById('progress-circle'),
+            voiceBreakdown: document.getElementById('voice-breakdown'),
+            voiceAuthorialScore: document.getElementById('voice-authorial-score'),
+            voiceAuthorialDetail: document.getElementById('voice-authorial-detail'),
+            voiceQuotedScore: document.getElementById('voice-quoted-score'),
+            voiceQuotedDetail: document.getElementById('voice-quoted-detail'),
+            articleInfo: document.getElementById('article-info'),
+            articleType: document.getElementById('article-type'),
+            articleSection: document.getElementById('article-section'),
+            articleByline: document.getElementById('article-byline'),
+            articleDates: document.getElementById('article-dates'),
+            articleTypeNote: document.getElementById('article-type-note'),
+            outletInfo: document.getElementById('outlet-info'),
+            outletName: document.getElementById('outlet-name'),
+            outletLean: document.getElementById('outlet-lean'),
+            outletFactual: document.getElementById('outlet-factual'),
+            outletOwnership: document.getElementById('outlet-ownership'),
+            sectionBreakdown: document.getElementById('section-breakdown'),
+            sectionSummary: document.getElementById('section-summary'),
+            sectionList: document.getElementById('section-list'),
             alternativeArticles: document.getElementById('alternative-articles'),
             alternativeArticlesList: document.getElementById('alternative-articles-list')
         };
 
         // Footer links
         this.footerLinks = {
+            history: document.getElementById('history-link'),
+            urls: document.getElementById('urls-link'),
+            settings: document.getElementById('settings-link'),
             help: document.getElementById('help-link'),
             about: document.getElementById('about-link')
         };
@@ -61,11 +109,33 @@ class PopupController {
     attachEventListeners() {
         // Main action buttons
         this.buttons.scan?.addEventListener('click', () => this.startAnalysis());
+        this.buttons.scanTabs?.addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('batch.html?scan=tabs') });
+        });
+        this.buttons.pickRule?.addEventListener('click', () => this.startSitePicker());
         this.buttons.cancel?.addEventListener('click', () => this.cancelAnalysis());
         this.buttons.newScan?.addEventListener('click', () => this.resetToInitial());
         this.buttons.retry?.addEventListener('click', () => this.startAnalysis());
+        this.buttons.errorAction?.addEventListener('click', () => this.runErrorAction());
+        this.buttons.highlight?.addEventListener('click', () => this.toggleHighlights());
+        this.buttons.autoScan?.addEventListener('change', () => this.toggleAutoScanDomain(this.buttons.autoScan.checked));
 
         // Footer links
+        this.footerLinks.history?.addEventListener('click', (e) => {
+            e.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+        });
+
+        this.footerLinks.urls?.addEventListener('click', (e) => {
+            e.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+        });
+
+        this.footerLinks.settings?.addEventListener('click', (e) => {
+            e.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+
         this.footerLinks.help?.addEventListener('click', (e) => {
             e.preventDefault();
             this.openHelp();
@@ -102,40 +172,381 @@ class PopupController {
     }
 
     /**
-     * Start bias analysis
+     * Show the active tab's existing result and auto-scan state
      */
-    async startAnalysis() {
+    async loadTabState() {
         try {
-            this.setState('loading');
-            
-            // Send message to background script to extract and analyze
-            const result = await this.sendMessage({
-                action: 'extractAndAnalyze'
-            });
+            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+            const tab = tabs && tabs[0];
+            if (!tab || !tab.url) return;
 
-            if (result.success) {
-                this.analysisResult = result;
-                this.displayResults(result);
+            this.activeTab = tab;
+            this.settings = await SettingsStore.load();
+            this.updateAutoScanToggle();
+
+            // Show a result from auto-scan or an earlier scan of this page
+            const response = await this.sendMessage({ action: 'getTabResult', tabId: tab.id, url: tab.url });
+            if (response && response.result && this.currentState === 'initial') {
+                this.analysisResult = response.result;
+                this.displayResults(response.result);
                 this.setState('results');
+            }
+        } catch (error) {
+            console.error('Error loading tab state:', error);
+        }
+    }
+
+    /**
+     * Show the per-site auto-scan toggle when auto-scan is enabled
+     */
+    updateAutoScanToggle() {
+        const toggle = this.resultElements.autoScanToggle;
+        if (!toggle || !this.buttons.autoScan) return;
+
+        let hostname = '';
+        try {
+            const url = new URL(this.activeTab.url);
+            if (url.protocol === 'http:' || url.protocol === 'https:') {
+                hostname = url.hostname.replace(/^www\./, '');
+            }
+        } catch (error) {
+            // Not a web page
+        }
+
+        if (!this.settings.autoScan.enabled || !hostname) {
+            toggle.style.display = 'none';
+            return;
+        }
+
+        this.buttons.autoScan.checked = matchesDomain(this.activeTab.url, this.settings.autoScan.domains);
+        if (this.resultElements.autoScanLabel) {
+            this.resultElements.autoScanLabel.textContent = `Auto-scan articles on ${hostname}`;
+        }
+        toggle.style.display = 'flex';
+    }
+
+    /**
+     * Enable or disable auto-scan for the active tab's site
+     * @param {boolean} enabled Whether auto-scan should run on this site
+     */
+    async toggleAutoScanDomain(enabled) {
+        try {
+            const settings = await SettingsStore.load();
+            const url = this.activeTab.url;
+
+            if (enabled) {
+                settings.autoScan.domains.push(new URL(url).hostname.replace(/^www\./, ''));
             } else {
-                this.displayError(result.error || 'Analysis failed');
-                this.setState('error');
+                // Remove every entry that covers this site, including parent domains
+                const matching = findMatchingDomains(url, settings.autoScan.domains);
+                settings.autoScan.domains = settings.autoScan.domains.filter(domain => !matching.includes(domain));
             }
 
+            await SettingsStore.save(settings);
+            this.settings = settings;
+        } catch (error) {
+            console.error('Error updating auto-scan domains:', error);
+            // Show the setting as it still is
+            this.buttons.autoScan.checked = !enabled;
+        }
+    }
+
+    /**
+     * Open the site rule picker on the active tab; the popup closes so the page can be clicked
+     */
+    async startSitePicker() {
+        if (!this.activeTab) return;
+
+        try {
+            const response = await this.sendMessage({ action: 'startSitePicker', tabId: this.activeTab.id });
+            if (!response || !response.started) {
+                this.failAnalysis(response?.error || 'The picker could not be opened on this page.', response?.errorCode);
+                return;
+            }
+            window.close();
         } catch (error) {
-            console.error('Analysis error:', error);
-            this.displayError('Failed to analyze article: ' + error.message);
-            this.setState('error');
+            console.error('Error starting site rule picker:', error);
+            this.failAnalysis('The picker could not be opened on this page.', ERROR_CODES.UNKNOWN);
         }
     }
 
+    /**
+     * Start bias analysis over a port that streams progress from the background script
+     * @param {Object} [options] Analysis options
+     * @param {boolean} [options.confirmed] Send the page even though it looks signed-in
+     */
+    startAnalysis(options = {}) {
+        this.disconnectPort();
+        this.resetProgress();
+        this.setState('loading');
+
+        const port = chrome.runtime.connect({ name: 'analysis' });
+        this.port = port;
+
+        port.onMessage.addListener((message) => this.handleProgress(message));
+        port.onDisconnect.addListener(() => {
+            // The background script went away before sending a result
+            if (this.port === port) {
+                this.port = null;
+                this.failAnalysis('Lost connection to the background service. Please try again.', ERROR_CODES.UNKNOWN);
+            }
+        });
+
+        port.postMessage({ action: 'start', confirmed: Boolean(options.confirmed) });
+    }
+
     /**
      * Cancel ongoing analysis
      */
     cancelAnalysis() {
+        if (this.port) {
+            this.port.postMessage({ action: 'cancel' });
+            this.disconnectPort();
+        }
+
         this.setState('initial');
     }
 
+    /**
+     * Close the port of the running analysis, if any
+     */
+    disconnectPort() {
+        if (this.port) {
+            const port = this.port;
+            this.port = null;
+            port.disconnect();
+        }
+    }
+
+    /**
+     * Update the progress view for a stage event from the background script
+     * @param {Object} message Stage event: {stage, ...details}
+     */
+    handleProgress(message) {
+        switch (message.stage) {
+            case 'injecting':
+                this.setStepState('injecting', 'active');
+                break;
+            case 'extracting':
+                this.setStepState('injecting', 'complete');
+                this.setStepState('extracting', 'active');
+                break;
+            case 'paginating':
+                this.setStepState('extracting', 'active', `Fetching page ${message.page}…`);
+                break;
+            case 'extracted':
+                this.setStepState('extracting', 'complete', this.describeExtraction(message));
+                break;
+            case 'analyzing':
+                this.progress.completed = message.completed;
+                this.progress.total = message.total;
+                this.setStepState('analyzing', 'active', this.describeAnalysisProgress());
+                break;
+            case 'cached':
+                this.progress.cached++;
+                this.setStepState('analyzing', 'active', this.describeAnalysisProgress());
+                break;
+            case 'retrying':
+            case 'queued':
+            case 'dequeued':
+                this.displayStatus(message);
+                break;
+            case 'done':
+                this.finishAnalysis(message.result);
+                break;
+            default:
+                console.warn('Unknown progress stage:', message.stage);
+        }
+    }
+
+    /**
+     * Show the final result of the running analysis
+     * @param {Object} result Analysis result
+     */
+    finishAnalysis(result) {
+        this.disconnectPort();
+
+        if (result.success) {
+            this.setStepState('analyzing', 'complete');
+            this.analysisResult = result;
+            this.displayResults(result);
+            this.setState('results');
+        } else {
+            this.failAnalysis(result.error || 'Analysis failed', result.errorCode);
+        }
+    }
+
+    /**
+     * Show an error, noting the step that was running when it happened
+     * @param {string} message Error message
+     * @param {string} [code] Error code from ERROR_CODES
+     */
+    failAnalysis(message, code) {
+        const step = this.progress && this.progress.activeStep;
+        const label = step ? this.getStepElement(step)?.querySelector('.step-label')?.textContent : '';
+
+        if (step) {
+            this.setStepState(step, 'failed');
+        }
+
+        this.displayError(message, code);
+        if (this.resultElements.errorStep) {
+            this.resultElements.errorStep.textContent = label ? `Failed while: ${label.toLowerCase()}` : '';
+        }
+        this.setState('error');
+    }
+
+    /**
+     * Mark a progress step as active, complete or failed
+     * @param {string} step Step name (injecting, extracting or analyzing)
+     * @param {string} state Step state
+     * @param {string} [detail] Detail shown next to the step
+     */
+    setStepState(step, state, detail) {
+        const element = this.getStepElement(step);
+        if (!element) return;
+
+        element.className = `progress-step ${state}`;
+        if (detail !== undefined) {
+            element.querySelector('.step-detail').textContent = detail;
+        }
+
+        if (state === 'active') {
+            this.progress.activeStep = step;
+        } else if (this.progress.activeStep === step) {
+            this.progress.activeStep = null;
+        }
+    }
+
+    /**
+     * Get the list item for a progress step
+     * @param {string} step Step name
+     * @returns {HTMLElement|null} Step element
+     */
+    getStepElement(step) {
+        return this.resultElements.progressSteps?.querySelector(`[data-step="${step}"]`) || null;
+    }
+
+    /**
+     * Describe the extracted text for the extraction step
+     * @param {Object} message Extraction event
+     * @returns {string} Detail text
+     */
+    describeExtraction(message) {
+        const method = message.extractionMethod ? ` · ${message.extractionMethod}` : '';
+        return `${message.wordCount || 0} words${method}${this.describePages(message.pageCount)}` +
+            this.describeContentSource(message.contentSource) + this.describeStabilization(message.stabilization);
+    }
+
+    /**
+     * Describe where on the page the article text was found, when it wasn't the page's own DOM
+     * @param {Object|null} source Content source from ArticleExtractor
+     * @returns {string} Detail text, empty for ordinary pages
+     */
+    describeContentSource(source) {
+        if (!source) return '';
+
+        const parts = [];
+        if (source.frame && source.frame !== 'top') {
+            let host = '';
+            try {
+                host = source.frameUrl ? ` (${new URL(source.frameUrl).hostname})` : '';
+            } catch (error) {
+                // Frames without a usable URL are described without a host
+            }
+            parts.push(`embedded frame${host}`);
+        }
+        if (source.shadowHost) {
+            parts.push(`<${source.shadowHost.split(' > ').pop()}>`);
+        }
+        if (source.amp) {
+            parts.push('AMP');
+        }
+        return parts.length > 0 ? ` · from ${parts.join(', ')}` : '';
+    }
+
+    /**
+     * Describe how many pages a paginated article was stitched from
+     * @param {number} [pageCount] Pages stitched together
+     * @returns {string} Detail text, empty for single-page articles
+     */
+    describePages(pageCount) {
+        return pageCount > 1 ? ` · ${pageCount} pages` : '';
+    }
+
+    /**
+     * Describe how long extraction waited for the page to finish rendering
+     * @param {Object|null} stabilization Outcome from ContentStabilizer
+     * @returns {string} Detail text, empty when the page was ready at once
+     */
+    describeStabilization(stabilization) {
+        if (!stabilization || stabilization.waitedMs < 1000) {
+            return '';
+        }
+
+        const seconds = (stabilization.waitedMs / 1000).toFixed(1);
+        const expanded = stabilization.expanded > 0 ? ', expanded' : '';
+        const timedOut = stabilization.reason === 'timeout' ? ', still changing' : '';
+        return ` · waited ${seconds}s${expanded}${timedOut}`;
+    }
+
+    /**
+     * Describe chunk progress and cache hits for the analysis step
+     * @returns {string} Detail text
+     */
+    describeAnalysisProgress() {
+        const { completed, total, cached } = this.progress;
+        const parts = [];
+
+        if (total > 1) {
+            parts.push(`${completed} of ${total} sections`);
+        }
+        if (cached > 0) {
+            parts.push(total > 1 ? `${cached} cached` : 'cached result');
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Show a status update for the running analysis
+     * @param {Object} status Status message from the background script
+     */
+    displayStatus(status) {
+        if (!this.resultElements.loadingStatus) return;
+
+        if (status.stage === 'retrying') {
+            const seconds = Math.max(1, Math.round(status.delayMs / 1000));
+            const reason = status.httpStatus === 429 ? 'is rate limiting requests' : `returned an error (${status.httpStatus})`;
+            this.resultElements.loadingStatus.textContent =
+                `${status.label} ${reason}. Retrying in ${seconds}s (attempt ${status.attempt} of ${status.maxRetries})…`;
+        } else if (status.stage === 'queued') {
+            const seconds = Math.max(1, Math.round(status.waitMs / 1000));
+            this.resultElements.loadingStatus.textContent =
+                `${status.label} request limit reached. Waiting in queue (position ${status.position}, about ${seconds}s)…`;
+        } else if (status.stage === 'dequeued') {
+            this.resultElements.loadingStatus.textContent = '';
+        }
+    }
+
+    /**
+     * Reset the progress view before a new analysis
+     */
+    resetProgress() {
+        this.progress = { activeStep: null, completed: 0, total: 0, cached: 0 };
+
+        if (this.resultElements.loadingText) {
+            this.resultElements.loadingText.textContent = 'Analyzing article for bias...';
+        }
+        if (this.resultElements.loadingStatus) {
+            this.resultElements.loadingStatus.textContent = '';
+        }
+        this.resultElements.progressSteps?.querySelectorAll('.progress-step').forEach(element => {
+            element.className = 'progress-step';
+            element.querySelector('.step-detail').textContent = '';
+        });
+    }
+
     /**
      * Reset to initial state
      */
@@ -171,6 +582,10 @@ class PopupController {
         
         // Update circular bias score
         this.updateCircularScore(biasScore);
+
+        // What was analyzed
+        this.displaySource(result);
+        this.displayRedaction(result.redaction);
         
         // Overall score
         if (this.resultElements.overallScore) {
@@ -178,6 +593,15 @@ class PopupController {
             this.resultElements.overallScore.className = `score-value ${result.overallScore}`;
         }
 
+        // The author's words and quoted speech are scored separately
+        this.displayVoices(result.voices);
+
+        // Who wrote the article, when, and what kind of piece it is
+        this.displayArticleMetadata(result.extractionInfo?.metadata);
+
+        // Publisher reputation alongside the text-based score
+        this.displayOutlet(result.outlet);
+
         // Categories
         if (this.resultElements.categoriesList) {
             this.resultElements.categoriesList.innerHTML = '';
@@ -192,6 +616,12 @@ class PopupController {
             }
         }
 
+        // Sections that drove the score for chunked articles
+        this.displaySections(result);
+
+        // Flagged passages can be shown on the page itself
+        this.displayHighlightControls(result);
+
         // Explanation
         if (this.resultElements.explanationText) {
             this.resultElements.explanationText.textContent = result.explanation || 'No explanation available.';
@@ -237,6 +667,347 @@ class PopupController {
         return element;
     }
 
+    /**
+     * Describe what was analyzed: the article or a selection
+     * @param {Object} result Analysis result
+     */
+    displaySource(result) {
+        const element = this.resultElements.analysisSource;
+        if (!element) return;
+
+        const info = result.extractionInfo;
+        if (!info) {
+            element.textContent = '';
+            return;
+        }
+
+        const kind = info.extractionMethod === 'selection' ? 'Selected text' : 'Article';
+        const words = info.wordCount ? ` · ${info.wordCount} words` : '';
+        element.textContent = `${kind}${words}${this.describePages(info.pageCount)}` +
+            this.describeContentSource(info.contentSource) + this.describeStabilization(info.stabilization);
+        element.title = info.title || info.url || '';
+    }
+
+    /**
+     * Offer in-page highlighting when the result has flagged passages from the active tab
+     * @param {Object} result Analysis result
+     */
+    async displayHighlightControls(result) {
+        const container = this.resultElements.highlightControls;
+        if (!container) return;
+
+        const findings = result.findings || [];
+        const url = result.extractionInfo?.url;
+        if (findings.length === 0 || !this.activeTab || url !== this.activeTab.url) {
+            container.style.display = 'none';
+            return;
+        }
+
+        this.resultElements.highlightStatus.textContent = '';
+        container.style.display = 'block';
+
+        try {
+            const state = await this.sendMessage({ action: 'getHighlightState', tabId: this.activeTab.id });
+            this.highlightsActive = Boolean(state && state.active);
+        } catch (error) {
+            this.highlightsActive = false;
+        }
+        this.updateHighlightButton();
+    }
+
+    /**
+     * Highlight the result's flagged passages on the page, or remove the highlights
+     */
+    async toggleHighlights() {
+        const findings = this.analysisResult?.findings || [];
+        if (!this.activeTab || findings.length === 0) return;
+
+        const action = this.highlightsActive ? 'clearHighlights' : 'highlightFindings';
+        const status = this.resultElements.highlightStatus;
+        this.buttons.highlight.disabled = true;
+
+        try {
+            const response = await this.sendMessage({ action, tabId: this.activeTab.id, findings });
+            if (!response || response.error) {
+                status.textContent = response?.error || 'The page could not be updated.';
+                return;
+            }
+
+            this.highlightsActive = response.active;
+            if (response.active) {
+                const passages = response.highlighted === 1 ? 'passage' : 'passages';
+                const missing = response.missing > 0 ? `; ${response.missing} not found on the page` : '';
+                status.textContent = `${response.highlighted} ${passages} highlighted${missing}. Hover one to see why.`;
+            } else {
+                status.textContent = '';
+            }
+        } catch (error) {
+            console.error('Error toggling highlights:', error);
+            status.textContent = 'The page could not be updated.';
+        } finally {
+            this.buttons.highlight.disabled = false;
+            this.updateHighlightButton();
+        }
+    }
+
+    /**
+     * Label the highlight button for the current state
+     */
+    updateHighlightButton() {
+        if (!this.buttons.highlight) return;
+
+        const count = this.analysisResult?.findings?.length || 0;
+        this.buttons.highlight.textContent = this.highlightsActive
+            ? 'Remove highlights'
+            : `Highlight ${count} flagged ${count === 1 ? 'passage' : 'passages'} on page`;
+    }
+
+    /**
+     * Show how many personal details were masked before the text was sent
+     * @param {Object|null} redaction Redaction summary: {total, counts}
+     */
+    displayRedaction(redaction) {
+        const element = this.resultElements.redactionNotice;
+        if (!element) return;
+
+        if (!redaction || redaction.total === 0) {
+            element.textContent = '';
+            return;
+        }
+
+        const labels = {
+            email: ['email', 'emails'],
+            phone: ['phone number', 'phone numbers'],
+            address: ['address', 'addresses'],
+            card: ['card number', 'card numbers'],
+            name: ['name', 'names']
+        };
+        const details = Object.entries(redaction.counts)
+            .filter(([type, count]) => count > 0 && labels[type])
+            .map(([type, count]) => `${count} ${labels[type][count === 1 ? 0 : 1]}`);
+
+        const items = redaction.total === 1 ? 'item' : 'items';
+        element.textContent = `🛡️ ${redaction.total} ${items} redacted before sending (${details.join(', ')})`;
+    }
+
+    /**
+     * Display the separate scores of the author's own words and of quoted speech
+     * @param {Object|null} voices Voice summaries: {authorial, quoted}
+     */
+    displayVoices(voices) {
+        const container = this.resultElements.voiceBreakdown;
+        if (!container) return;
+
+        if (!voices) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const { authorial, quoted } = voices;
+        this.setVoiceScore(this.resultElements.voiceAuthorialScore, authorial);
+        this.resultElements.voiceAuthorialDetail.textContent = this.describeVoice(authorial, `${authorial.wordCount} words`);
+
+        this.setVoiceScore(this.resultElements.voiceQuotedScore, quoted);
+        const quotations = `${quoted.quoteCount} ${quoted.quoteCount === 1 ? 'quotation' : 'quotations'}`;
+        const speakers = (quoted.speakers || []).slice(0, 3).map(speaker => speaker.name);
+        const more = (quoted.speakers || []).length - speakers.length;
+        const from = speakers.length > 0 ? ` from ${speakers.join(', ')}${more > 0 ? ` and ${more} more` : ''}` : '';
+        this.resultElements.voiceQuotedDetail.textContent = quoted.analyzed
+            ? this.describeVoice(quoted, `${quotations}${from}`)
+            : `${quotations}${from}; too little quoted text to score on its own`;
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Show a voice's bias level as a colored tag
+     * @param {Element} element Score element
+     * @param {Object} voice Voice summary
+     */
+    setVoiceScore(element, voice) {
+        const level = voice.analyzed ? voice.overallScore : 'unknown';
+        element.textContent = voice.analyzed ? this.capitalizeFirst(level) : 'Not scored';
+        element.className = `voice-score ${level}`;
+    }
+
+    /**
+     * Describe a voice: its size and top categories
+     * @param {Object} voice Voice summary
+     * @param {string} size Size description
+     * @returns {string} Description
+     */
+    describeVoice(voice, size) {
+        const categories = voice.topCategories.length > 0 ? ` · ${voice.topCategories.join(', ')}` : '';
+        return `${size}${categories}`;
+    }
+
+    /**
+     * Display the article's author, dates, section and type
+     * @param {Object|null} metadata Metadata from ArticleMetadataExtractor
+     */
+    displayArticleMetadata(metadata) {
+        const container = this.resultElements.articleInfo;
+        if (!container) return;
+
+        const hasDetails = metadata && (metadata.articleType || metadata.author || metadata.datePublished || metadata.section);
+        if (!hasDetails) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const typeLabels = {
+            news: 'News',
+            opinion: 'Opinion',
+            analysis: 'Analysis',
+            review: 'Review',
+            blog: 'Blog post'
+        };
+        this.resultElements.articleType.textContent = typeLabels[metadata.articleType] || 'Article';
+        this.resultElements.articleType.className = `article-type ${metadata.articleType || 'unknown'}`;
+        this.resultElements.articleSection.textContent = metadata.section || '';
+
+        const byline = [metadata.author && `By ${metadata.author}`, metadata.publisher].filter(Boolean);
+        this.resultElements.articleByline.textContent = byline.join(' · ');
+
+        const dates = [];
+        if (metadata.datePublished) {
+            dates.push(`Published ${this.formatDate(metadata.datePublished)}`);
+        }
+        if (metadata.dateModified && metadata.dateModified !== metadata.datePublished) {
+            dates.push(`Updated ${this.formatDate(metadata.dateModified)}`);
+        }
+        this.resultElements.articleDates.textContent = dates.join(' · ');
+
+        // Opinion and review pieces argue a position by design, which changes how the score reads
+        const notes = {
+            opinion: 'Opinion pieces argue a point of view, so one-sided language is expected.',
+            review: 'Reviews give the author\'s judgement, so subjective language is expected.',
+            analysis: 'Analysis pieces interpret the news and may include the author\'s assessment.'
+        };
+        this.resultElements.articleTypeNote.textContent = notes[metadata.articleType] || '';
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} value ISO date
+     * @returns {string} Display date
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return value;
+        }
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Display outlet reputation metadata for the page's publisher
+     * @param {Object|null} outlet Outlet record
+     */
+    displayOutlet(outlet) {
+        const container = this.resultElements.outletInfo;
+        if (!container) return;
+
+        if (!outlet) {
+            container.style.display = 'none';
+            return;
+        }
+
+        this.resultElements.outletName.textContent = outlet.name || outlet.domain;
+
+        this.resultElements.outletLean.textContent = `Lean: ${this.formatRating(outlet.lean)}`;
+        this.resultElements.outletLean.className = `outlet-tag lean-${outlet.lean}`;
+
+        this.resultElements.outletFactual.textContent = `Factual: ${this.formatRating(outlet.factualReporting)}`;
+        this.resultElements.outletFactual.className = `outlet-tag factual-${outlet.factualReporting}`;
+
+        this.resultElements.outletOwnership.textContent = outlet.ownership ? `Owned by ${outlet.ownership}` : '';
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Format a rating value such as "lean-left" for display
+     * @param {string} value Rating value
+     * @returns {string} Display text
+     */
+    formatRating(value) {
+        return this.capitalizeFirst((value || 'unknown').replace(/-/g, ' '));
+    }
+
+    /**
+     * Display the sections of a long article that drove its score
+     * @param {Object} result Analysis result
+     */
+    displaySections(result) {
+        const container = this.resultElements.sectionBreakdown;
+        const list = this.resultElements.sectionList;
+        if (!container || !list) return;
+
+        const sections = result.sections || [];
+        if (sections.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+
+        list.innerHTML = '';
+
+        const drivers = sections.filter(section => section.driver);
+
+        if (this.resultElements.sectionSummary) {
+            this.resultElements.sectionSummary.textContent = drivers.length > 0
+                ? `Article split into ${sections.length} sections. These contributed most to the score:`
+                : `Article split into ${sections.length} sections. No single section stood out.`;
+        }
+
+        drivers.forEach(section => {
+            list.appendChild(this.createSectionElement(section, sections.length));
+        });
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Create section element for display
+     * @param {Object} section Section summary
+     * @param {number} total Total number of sections
+     * @returns {HTMLElement} Section element
+     */
+    createSectionElement(section, total) {
+        const element = document.createElement('div');
+        element.className = `section-item ${section.overallScore}`;
+
+        const header = document.createElement('div');
+        header.className = 'section-header';
+
+        const name = document.createElement('span');
+        name.className = 'section-name';
+        name.textContent = `Section ${section.index + 1} of ${total}`;
+
+        const score = document.createElement('span');
+        score.className = 'section-score';
+        score.textContent = `${Math.round(section.score * 100)}%`;
+
+        header.append(name, score);
+
+        const preview = document.createElement('p');
+        preview.className = 'section-preview';
+        preview.textContent = section.preview;
+
+        element.append(header, preview);
+
+        if (section.topCategories && section.topCategories.length > 0) {
+            const categories = document.createElement('div');
+            categories.className = 'section-categories';
+            categories.textContent = section.topCategories.map(name => this.capitalizeFirst(name)).join(' • ');
+            element.appendChild(categories);
+        }
+
+        return element;
+    }
+
     /**
      * Add API usage information to results
      * @param {Object} result Analysis result
@@ -252,9 +1023,19 @@ class PopupController {
             apiText = '✓ Analysis powered by Google Perspective AI';
         } else if (apiUsed.includes('backend')) {
             apiText = '✓ Analysis powered by cloud service';
+        } else if (apiUsed.includes('openai')) {
+            apiText = '✓ Analysis powered by OpenAI Moderation';
+        } else if (apiUsed.includes('self-hosted')) {
+            apiText = '✓ Analysis powered by your self-hosted service';
+        } else if (apiUsed.includes('local')) {
+            apiText = '✓ Offline analysis by the built-in keyword engine';
         } else if (apiUsed.length > 0) {
             apiText = `Analysis powered by: ${apiUsed.join(', ').toUpperCase()}`;
         }
+
+        if (result.fromCache) {
+            apiText += ' (cached result)';
+        }
             
         apiInfo.innerHTML = `<small style="color: #4a90e2;">${apiText}</small>`;
         
@@ -271,35 +1052,7 @@ class PopupController {
      * @returns {number} Bias score (0-100)
      */
     calculateBiasScore(result) {
-        let score = 0;
-        
-        // Base score on overall bias level
-        switch (result.overallScore) {
-            case 'low':
-                score = 15;
-                break;
-            case 'medium':
-                score = 50;
-                break;
-            case 'high':
-                score = 85;
-                break;
-            default:
-                score = 25;
-        }
-        
-        // Adjust based on detected categories
-        if (result.categories && result.categories.length > 0) {
-            const detectedCategories = result.categories.filter(cat => cat.detected);
-            const avgCategoryScore = detectedCategories.reduce((sum, cat) => sum + (cat.score * 100), 0) / detectedCategories.length;
-            
-            if (avgCategoryScore > 0) {
-                score = Math.max(score, avgCategoryScore);
-            }
-        }
-        
-        // Ensure score is within bounds
-        return Math.min(100, Math.max(0, Math.round(score)));
+        return calculateBiasScore(result);
     }
 
     /**
@@ -326,13 +1079,7 @@ class PopupController {
             this.resultElements.progressCircle.style.strokeDashoffset = offset;
             
             // Change color based on score
-            if (score < 30) {
-                this.resultElements.progressCircle.style.stroke = '#10b981'; // Green
-            } else if (score < 70) {
-                this.resultElements.progressCircle.style.stroke = '#f59e0b'; // Yellow
-            } else {
-                this.resultElements.progressCircle.style.stroke = '#ef4444'; // Red
-            }
+            this.resultElements.progressCircle.style.stroke = getBiasScoreColor(score);
         }, 100);
     }
 
@@ -477,13 +1224,51 @@ class PopupController {
     }
 
     /**
-     * Display error message
+     * Display an error with the title, remediation and actions for its code
      * @param {string} message Error message
+     * @param {string} [code] Error code from ERROR_CODES
      */
-    displayError(message) {
+    displayError(message, code) {
+        const details = getErrorDetails(code);
+        this.errorAction = details.action;
+
+        if (this.resultElements.errorIcon) {
+            this.resultElements.errorIcon.textContent = details.icon;
+        }
+        if (this.resultElements.errorTitle) {
+            this.resultElements.errorTitle.textContent = details.title;
+        }
         if (this.resultElements.errorMessage) {
             this.resultElements.errorMessage.textContent = message;
         }
+        if (this.resultElements.errorRemediation) {
+            this.resultElements.errorRemediation.textContent = details.remediation;
+        }
+        if (this.buttons.retry) {
+            this.buttons.retry.style.display = details.retryable ? '' : 'none';
+        }
+        if (this.buttons.errorAction) {
+            const labels = { settings: 'Open Settings', reload: 'Reload Page', confirm: 'Send Anyway' };
+            this.buttons.errorAction.textContent = labels[details.action] || '';
+            this.buttons.errorAction.style.display = labels[details.action] ? '' : 'none';
+        }
+    }
+
+    /**
+     * Run the action offered for the current error: open the settings, reload the page or send anyway
+     */
+    async runErrorAction() {
+        if (this.errorAction === 'confirm') {
+            this.startAnalysis({ confirmed: true });
+        } else if (this.errorAction === 'settings') {
+            chrome.runtime.openOptionsPage();
+        } else if (this.errorAction === 'reload') {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab) {
+                await chrome.tabs.reload(tab.id);
+            }
+            this.setState('initial');
+        }
     }
 
     /**
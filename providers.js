@@ -0,0 +1,548 @@
+// Analysis providers for AI Bias Detector
+// Each provider turns text into the common {overallScore, confidence, categories, explanation, apiUsed} result
+
+class AnalysisProvider {
+    /**
+     * @param {string} id Provider identifier
+     * @param {Object} config Provider configuration from settings
+     */
+    constructor(id, config) {
+        this.id = id;
+        this.config = config || {};
+        this.label = id;
+        this.cacheable = true;
+    }
+
+    /**
+     * Identifier for the model or endpoint behind this provider, used in cache keys
+     * so results from a different backend or model are never reused
+     * @returns {string} Model version
+     */
+    getModelVersion() {
+        return 'default';
+    }
+
+    /**
+     * Requests this provider may receive per minute before further requests are queued
+     * @returns {number} Budget per minute; 0 means unlimited
+     */
+    getRequestsPerMinute() {
+        return Math.max(0, Number(this.config.requestsPerMinute) || 0);
+    }
+
+    /**
+     * How personal details are masked before text is sent to this provider
+     * @returns {Object|null} Options for PiiRedactor.redact(), or null when redaction is off
+     */
+    getRedactionOptions() {
+        return this.config.redactPii ? { names: Boolean(this.config.redactNames) } : null;
+    }
+
+    /**
+     * Article metadata sent to this provider alongside the text
+     * @param {Object|null} metadata Metadata from ArticleMetadataExtractor
+     * @returns {Object|null} Metadata to send, or null for providers that only take text
+     */
+    prepareMetadata(metadata) {
+        return null;
+    }
+
+    /**
+     * Whether the provider has everything it needs to run
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Analyze text for bias
+     * @param {string} text Text to analyze
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the request
+     * @param {RequestPolicy} [options.policy] Timeout and retry policy
+     * @param {Function} [options.onRetry] Called when a request is retried
+     * @param {Function} [options.beforeRetry] Awaited before each retry; the scheduler uses it to count retries against the rate limit
+     * @param {Object} [options.metadata] Article metadata from prepareMetadata()
+     * @returns {Promise<Object>} Analysis result
+     */
+    async analyze(text, options = {}) {
+        throw new Error(`Provider ${this.id} does not implement analyze()`);
+    }
+
+    /**
+     * POST JSON and return the parsed response, throwing on HTTP errors
+     * @param {string} url Request URL
+     * @param {Object} body Request body
+     * @param {Object} [headers] Extra request headers
+     * @param {Object} [options] Request options passed to analyze()
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async postJson(url, body, headers = {}, options = {}) {
+        const policy = options.policy || new RequestPolicy();
+        const response = await policy.fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body)
+        }, {
+            signal: options.signal,
+            onRetry: options.onRetry,
+            beforeRetry: options.beforeRetry,
+            label: this.label
+        });
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new AnalysisError(ERROR_CODES.MALFORMED_RESPONSE, `Malformed response from ${this.label}: body is not valid JSON`);
+        }
+    }
+
+    /**
+     * Map a 0-1 score to a bias level
+     * @param {number} score Score between 0 and 1
+     * @returns {string} Bias level
+     */
+    levelFromScore(score) {
+        if (score >= 0.7) return 'high';
+        if (score >= 0.4) return 'medium';
+        return 'low';
+    }
+}
+
+class CloudProvider extends AnalysisProvider {
+    constructor(id, config) {
+        super(id, config);
+        this.label = 'Cloud service';
+    }
+
+    isConfigured() {
+        return Boolean(this.config.url);
+    }
+
+    getModelVersion() {
+        return this.config.url;
+    }
+
+    /**
+     * Request headers for the backend
+     * @returns {Object} Headers
+     */
+    getHeaders() {
+        return {};
+    }
+
+    /**
+     * The backend weighs bias against the article type, so it receives the page's metadata.
+     * The author is withheld when names are redacted from the text.
+     * @param {Object|null} metadata Metadata from ArticleMetadataExtractor
+     * @returns {Object|null} Metadata to send
+     */
+    prepareMetadata(metadata) {
+        if (!metadata) {
+            return null;
+        }
+
+        const redaction = this.getRedactionOptions();
+        return {
+            author: redaction && redaction.names ? null : metadata.author,
+            publisher: metadata.publisher,
+            datePublished: metadata.datePublished,
+            dateModified: metadata.dateModified,
+            section: metadata.section,
+            articleType: metadata.articleType
+        };
+    }
+
+    async analyze(text, options = {}) {
+        const baseUrl = this.config.url.replace(/\/+$/, '');
+        const body = { text: text };
+        if (options.metadata) {
+            body.metadata = options.metadata;
+        }
+        const result = await this.postJson(`${baseUrl}/analyze`, body, this.getHeaders(), options);
+
+        console.log(`${this.label} analysis result:`, {
+            success: result.success,
+            schemaVersion: result.schemaVersion,
+            overallScore: result.overallScore,
+            categoriesCount: Array.isArray(result.categories) ? result.categories.length : 0,
+            apiUsed: result.apiUsed
+        });
+
+        // Validation and version compatibility happen in ProviderRegistry
+        return result;
+    }
+}
+
+class SelfHostedProvider extends CloudProvider {
+    constructor(id, config) {
+        super(id, config);
+        this.label = 'Self-hosted service';
+    }
+
+    getHeaders() {
+        return this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {};
+    }
+
+    async analyze(text, options = {}) {
+        const result = await super.analyze(text, options);
+        const apiUsed = result.apiUsed ?? result.sources;
+        return {
+            ...result,
+            apiUsed: Array.isArray(apiUsed) && apiUsed.length > 0 ? apiUsed : ['self-hosted']
+        };
+    }
+}
+
+class PerspectiveProvider extends AnalysisProvider {
+    constructor(id, config) {
+        super(id, config);
+        this.label = 'Google Perspective';
+        this.endpoint = 'https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze';
+        // Perspective rejects comments above 20KB
+        this.maxLength = 20000;
+        this.attributes = {
+            TOXICITY: 'toxicity',
+            SEVERE_TOXICITY: 'severe toxicity',
+            IDENTITY_ATTACK: 'identity attack',
+            INSULT: 'insult',
+            PROFANITY: 'profanity',
+            THREAT: 'threat'
+        };
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    getModelVersion() {
+        return 'v1alpha1';
+    }
+
+    async analyze(text, options = {}) {
+        const requestedAttributes = {};
+        Object.keys(this.attributes).forEach(attribute => {
+            requestedAttributes[attribute] = {};
+        });
+
+        const comment = text.substring(0, this.maxLength);
+        const result = await this.postJson(`${this.endpoint}?key=${encodeURIComponent(this.config.apiKey)}`, {
+            comment: { text: comment },
+            languages: ['en'],
+            requestedAttributes: requestedAttributes,
+            spanAnnotations: true
+        }, {}, options);
+
+        const scores = result.attributeScores || {};
+        const categories = Object.entries(this.attributes).map(([attribute, name]) => {
+            const score = scores[attribute]?.summaryScore?.value;
+            if (typeof score !== 'number' || !Number.isFinite(score)) {
+                throw new AnalysisError(ERROR_CODES.MALFORMED_RESPONSE, `Malformed response from ${this.label}: no summary score for ${attribute}`);
+            }
+            return {
+                name: name,
+                score: Math.round(score * 100) / 100,
+                detected: score >= 0.5
+            };
+        });
+
+        const maxScore = Math.max(...categories.map(category => category.score));
+        const detected = categories.filter(category => category.detected).map(category => category.name);
+
+        return {
+            success: true,
+            overallScore: this.levelFromScore(maxScore),
+            confidence: text.length > this.maxLength ? 'medium' : 'high',
+            categories: categories,
+            explanation: detected.length > 0
+                ? `Google Perspective flagged: ${detected.join(', ')}.`
+                : 'Google Perspective found no significant toxicity, insults or identity attacks.',
+            findings: this.readSpanFindings(comment, scores),
+            apiUsed: ['perspective'],
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Turn Perspective's per-span scores into findings for in-page highlighting
+     * @param {string} comment Text that was sent
+     * @param {Object} scores attributeScores from the response
+     * @returns {Array<Object>} Findings {text, category, score, reason}
+     */
+    readSpanFindings(comment, scores) {
+        const findings = [];
+
+        Object.entries(this.attributes).forEach(([attribute, name]) => {
+            const spans = (scores[attribute] && scores[attribute].spanScores) || [];
+            spans.forEach(span => {
+                const value = span.score ? span.score.value : 0;
+                if (value < 0.5) return;
+
+                findings.push({
+                    text: comment.substring(span.begin, span.end),
+                    category: name,
+                    score: Math.round(value * 100) / 100,
+                    reason: `Google Perspective rates this passage ${Math.round(value * 100)}% likely to read as ${name}.`
+                });
+            });
+        });
+
+        return findings;
+    }
+}
+
+class OpenAIModerationProvider extends AnalysisProvider {
+    constructor(id, config) {
+        super(id, config);
+        this.label = 'OpenAI Moderation';
+        this.endpoint = 'https://api.openai.com/v1/moderations';
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    getModelVersion() {
+        return this.config.model || 'omni-moderation-latest';
+    }
+
+    async analyze(text, options = {}) {
+        const response = await this.postJson(this.endpoint, {
+            model: this.config.model || 'omni-moderation-latest',
+            input: text
+        }, {
+            'Authorization': `Bearer ${this.config.apiKey}`
+        }, options);
+
+        const moderation = response.results && response.results[0];
+        if (!moderation) {
+            throw new AnalysisError(ERROR_CODES.MALFORMED_RESPONSE, `${this.label} returned no results`);
+        }
+
+        const categories = Object.entries(moderation.category_scores || {}).map(([name, score]) => ({
+            name: name.replace(/[/_-]+/g, ' '),
+            score: Math.round(score * 100) / 100,
+            detected: Boolean(moderation.categories && moderation.categories[name])
+        }));
+
+        const maxScore = categories.length > 0 ? Math.max(...categories.map(category => category.score)) : 0;
+        const detected = categories.filter(category => category.detected).map(category => category.name);
+
+        return {
+            success: true,
+            overallScore: moderation.flagged ? 'high' : this.levelFromScore(maxScore),
+            confidence: 'medium',
+            categories: categories,
+            explanation: detected.length > 0
+                ? `OpenAI moderation flagged: ${detected.join(', ')}.`
+                : 'OpenAI moderation found no policy-relevant content.',
+            apiUsed: ['openai'],
+            timestamp: Date.now()
+        };
+    }
+}
+
+class LocalProvider extends AnalysisProvider {
+    constructor(id, config) {
+        super(id, config);
+        this.label = 'Local analyzer';
+        this.analyzer = new LocalBiasAnalyzer();
+        // Local analysis is instant, caching it would only take space from remote results
+        this.cacheable = false;
+    }
+
+    getModelVersion() {
+        return this.analyzer.version;
+    }
+
+    async analyze(text, options = {}) {
+        return this.analyzer.analyze(text);
+    }
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.factories = new Map();
+        this.schema = new AnalysisResponseSchema();
+        // Shared across analyses so duplicate scans and overlapping auto-scans send one request
+        this.scheduler = new RequestScheduler();
+        this.redactor = new PiiRedactor();
+    }
+
+    /**
+     * Register a provider class under an id
+     * @param {string} id Provider identifier
+     * @param {Function} ProviderClass Class extending AnalysisProvider
+     */
+    register(id, ProviderClass) {
+        this.factories.set(id, ProviderClass);
+    }
+
+    /**
+     * Create the enabled, configured providers in failover order
+     * @param {Object} settings Settings from SettingsStore
+     * @returns {Array<AnalysisProvider>} Providers to try
+     */
+    getProviders(settings) {
+        const providers = [];
+
+        settings.providerOrder.forEach(id => {
+            const ProviderClass = this.factories.get(id);
+            const config = settings.providers[id];
+
+            if (!ProviderClass || !config || !config.enabled) return;
+
+            const provider = new ProviderClass(id, config);
+            if (provider.isConfigured()) {
+                providers.push(provider);
+            } else {
+                console.warn(`Provider ${id} is enabled but not configured, skipping`);
+            }
+        });
+
+        return providers;
+    }
+
+    /**
+     * Analyze text with each provider in order until one succeeds
+     * @param {string} text Text to analyze
+     * @param {Object} settings Settings from SettingsStore
+     * @param {AnalysisCache} [cache] Cache checked before each provider is called
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the analysis
+     * @param {Function} [options.onRetry] Called with retry details when a request is retried
+     * @param {Object} [options.metadata] Article metadata for providers that accept it
+     * @param {Function} [options.onProgress] Called with {stage: 'cached'} when a cached result is used
+     *   and {stage: 'queued'} while a request waits for the provider's rate limit
+     * @returns {Promise<Object>} Analysis result with failover details
+     */
+    async analyze(text, settings, cache, options = {}) {
+        const providers = this.getProviders(settings);
+        const failures = [];
+        const { signal } = options;
+        const policy = new RequestPolicy(settings.network);
+
+        if (providers.length === 0) {
+            throw new AnalysisError(ERROR_CODES.BACKEND_UNREACHABLE, 'No analysis provider is enabled. Configure one in the extension options.');
+        }
+
+        for (const provider of providers) {
+            try {
+                // Only the redacted text is used from here on, including for cache and request keys
+                const { text: providerText, redaction } = this.prepareText(text, provider);
+                const metadata = provider.prepareMetadata(options.metadata || null);
+
+                // Metadata the provider receives can change its result, so it is part of the keys
+                const keyText = metadata ? `${providerText}\u0000${JSON.stringify(metadata)}` : providerText;
+
+                const cacheKey = cache && provider.cacheable
+                    ? await cache.generateKey(keyText, provider.id, provider.getModelVersion())
+                    : null;
+
+                if (cacheKey) {
+                    const cachedResult = await cache.get(cacheKey);
+                    if (cachedResult) {
+                        console.log(`Using cached analysis result from provider: ${provider.id}`);
+                        options.onProgress?.({ stage: 'cached', provider: provider.id, label: provider.label });
+                        // Entries cached by older versions are upgraded to the current schema
+                        const upgraded = this.schema.normalize(cachedResult, provider.label);
+                        return { ...upgraded, fromCache: true, failover: failures, redaction: redaction };
+                    }
+                }
+
+                console.log(`Analyzing with provider: ${provider.id}`);
+                const requestKey = `${provider.id}:${provider.getModelVersion()}:${keyText}`;
+                const response = await this.scheduler.run(requestKey, {
+                    id: provider.id,
+                    label: provider.label,
+                    requestsPerMinute: provider.getRequestsPerMinute()
+                }, (sharedSignal, notify, acquireRetry) => provider.analyze(providerText, {
+                    signal: sharedSignal,
+                    policy: policy,
+                    metadata: metadata,
+                    onRetry: (retry) => notify({ stage: 'retrying', ...retry, provider: provider.id }),
+                    beforeRetry: acquireRetry
+                }), {
+                    signal: signal,
+                    onProgress: (event) => event.stage === 'retrying'
+                        ? options.onRetry?.(event)
+                        : options.onProgress?.(event)
+                });
+
+                // Never cache or return a result that arrived after cancellation
+                policy.throwIfCancelled(signal);
+
+                // Malformed responses throw here and fail over to the next provider
+                const result = this.schema.normalize(response, provider.label);
+
+                if (cacheKey) {
+                    await cache.set(cacheKey, { ...result, provider: provider.id });
+                }
+
+                if (failures.length > 0) {
+                    const unavailable = failures.map(failure => `${failure.label} (${failure.error})`).join(', ');
+                    result.explanation = `Unavailable: ${unavailable}. ${result.explanation || ''}`.trim();
+                }
+
+                return {
+                    ...result,
+                    provider: provider.id,
+                    failover: failures,
+                    redaction: redaction
+                };
+
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw policy.createCancelledError();
+                }
+
+                console.error(`Provider ${provider.id} failed:`, error);
+                const code = AnalysisError.from(error, ERROR_CODES.BACKEND_UNREACHABLE).code;
+                failures.push({ provider: provider.id, label: provider.label, error: error.message, code: code });
+            }
+        }
+
+        // Report the shared cause when every provider failed the same way (e.g. all rate limited)
+        const codes = new Set(failures.map(failure => failure.code));
+        const code = codes.size === 1 ? failures[0].code : ERROR_CODES.BACKEND_UNREACHABLE;
+        const summary = failures.map(failure => `${failure.label}: ${failure.error}`).join('; ');
+        throw new AnalysisError(code, `All analysis providers failed (${summary})`, { failover: failures });
+    }
+
+    /**
+     * Redact text for a provider when its settings ask for it
+     * @param {string} text Extracted text
+     * @param {AnalysisProvider} provider Provider the text is about to be sent to
+     * @returns {Object} {text, redaction}, where redaction is {total, counts} or null when off
+     */
+    prepareText(text, provider) {
+        const options = provider.getRedactionOptions();
+        if (!options) {
+            return { text: text, redaction: null };
+        }
+
+        const result = this.redactor.redact(text, options);
+        if (result.total > 0) {
+            console.log(`Redacted ${result.total} item(s) before sending to ${provider.id}:`, result.counts);
+        }
+        return { text: result.text, redaction: { total: result.total, counts: result.counts } };
+    }
+}
+
+/**
+ * Create a registry with the built-in providers
+ * @returns {ProviderRegistry} Registry
+ */
+function createDefaultProviderRegistry() {
+    const registry = new ProviderRegistry();
+    registry.register('cloud', CloudProvider);
+    registry.register('selfHosted', SelfHostedProvider);
+    registry.register('perspective', PerspectiveProvider);
+    registry.register('openai', OpenAIModerationProvider);
+    registry.register('local', LocalProvider);
+    return registry;
+}
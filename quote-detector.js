@@ -0,0 +1,154 @@
+// Quote detection for AI Bias Detector
+// Separates quoted speech from the author's own words and attributes quotes to speakers
+
+class QuoteDetector {
+    constructor() {
+        // Curly quotes may run to the end of a paragraph, as multi-paragraph quotes are left open;
+        // straight quotes must close on the same line
+        this.quotePattern = /“([^”\n]+)(?:”|(?=\n|$))|"([^"\n]+)"/g;
+
+        // Quotes shorter than this are scare quotes or titles, which are the author's own framing
+        this.minQuoteWords = 4;
+
+        const verbs = 'said|says|told|added|wrote|writes|argued|argues|claimed|claims|insisted|insists|' +
+            'declared|stated|tweeted|posted|warned|warns|asked|asks|replied|explained|noted|continued|' +
+            'recalled|acknowledged|admitted|complained|announced|urged';
+        // One to five capitalized words such as "Sen. Jane Doe"; stops at commas, lowercase words
+        // and sentence ends, since only short abbreviations and initials may end with a period
+        const word = "(?:[A-Z][a-z]{0,3}\\.|[A-Z][\\w'’-]*)";
+        const name = `(${word}(?:\\s+(?:${word}|de|van|von|bin|al)){0,4})`;
+
+        this.speakerPatterns = {
+            // ”, said Jane Doe / ”, Jane Doe said / ” — Jane Doe
+            after: [
+                new RegExp(`^\\s*[,.]?\\s*(?:${verbs})\\s+${name}`),
+                new RegExp(`^\\s*[,.]?\\s*${name}\\s+(?:${verbs})\\b`),
+                new RegExp(`^\\s*[—–-]\\s*${name}`)
+            ],
+            // Jane Doe said: “ / According to Jane Doe, “
+            // ”, he said: the pronoun refers to the last named speaker
+            pronoun: new RegExp(`^\\s*[,.]?\\s*(?:he|she|they)\\s+(?:${verbs})\\b`, 'i'),
+            before: [
+                new RegExp(`${name}\\s+(?:${verbs})(?:\\s+\\w+){0,3}\\s*[:,]?\\s*$`),
+                new RegExp(`according to\\s+${name}\\s*[:,]?\\s*$`, 'i')
+            ]
+        };
+
+        // Capitalized words that start a sentence rather than name a speaker
+        this.nonNames = new Set(['He', 'She', 'They', 'It', 'We', 'I', 'You', 'The', 'This', 'That', 'A', 'An', 'But', 'And', 'Then']);
+    }
+
+    /**
+     * Split text into the author's words and quoted speech
+     * @param {string} text Extracted text
+     * @returns {Object} {authorialText, quotedText, quotes: [{text, speaker}], authorialWordCount, quotedWordCount}
+     */
+    split(text) {
+        const source = String(text || '');
+        const quotes = [];
+        let authorial = '';
+        let lastIndex = 0;
+        let lastSpeaker = null;
+        let match;
+
+        this.quotePattern.lastIndex = 0;
+        while ((match = this.quotePattern.exec(source))) {
+            const quoted = (match[1] ?? match[2]).trim();
+            if (this.countWords(quoted) < this.minQuoteWords) {
+                continue;
+            }
+
+            const before = source.substring(Math.max(0, match.index - 120), match.index);
+            const after = source.substring(match.index + match[0].length, match.index + match[0].length + 120);
+
+            let speaker = this.findSpeaker(before, after);
+            if (!speaker && this.speakerPatterns.pronoun.test(after)) {
+                speaker = lastSpeaker;
+            }
+            lastSpeaker = speaker || lastSpeaker;
+
+            quotes.push({
+                text: quoted,
+                speaker: speaker,
+                // Left open at the end of a paragraph: the quote continues in the next one
+                continues: !match[0].endsWith('”') && match[1] !== undefined
+            });
+
+            authorial += source.substring(lastIndex, match.index);
+            lastIndex = match.index + match[0].length;
+        }
+        authorial += source.substring(lastIndex);
+
+        // A multi-paragraph quote is attributed once, usually after its last paragraph
+        for (let i = quotes.length - 2; i >= 0; i--) {
+            if (quotes[i].continues && !quotes[i].speaker) {
+                quotes[i].speaker = quotes[i + 1].speaker;
+            }
+        }
+        quotes.forEach(quote => delete quote.continues);
+
+        // Drop the punctuation and blank lines a removed quote leaves behind
+        const authorialText = authorial
+            .replace(/[ \t]+([,.;:])/g, '$1')
+            .replace(/^[ \t,.;:]+/gm, '')
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        const quotedText = quotes.map(quote => quote.text).join('\n\n');
+
+        return {
+            authorialText: authorialText,
+            quotedText: quotedText,
+            quotes: quotes,
+            authorialWordCount: this.countWords(authorialText),
+            quotedWordCount: this.countWords(quotedText)
+        };
+    }
+
+    /**
+     * Find who a quote is attributed to from the text around it
+     * @param {string} before Text just before the opening quote mark
+     * @param {string} after Text just after the closing quote mark
+     * @returns {string|null} Speaker name, or null if not attributed by name
+     */
+    findSpeaker(before, after) {
+        // Only look within the quote's own paragraph
+        const afterSentence = after.split(/\n/)[0];
+        const beforeSentence = before.split(/\n/).pop();
+
+        for (const pattern of this.speakerPatterns.after) {
+            const speaker = this.readName(afterSentence.match(pattern));
+            if (speaker) return speaker;
+        }
+        for (const pattern of this.speakerPatterns.before) {
+            const speaker = this.readName(beforeSentence.match(pattern));
+            if (speaker) return speaker;
+        }
+        return null;
+    }
+
+    /**
+     * Read a speaker name from a pattern match, rejecting pronouns and sentence openers
+     * @param {Array|null} match Match with the name in group 1
+     * @returns {string|null} Name
+     */
+    readName(match) {
+        if (!match) return null;
+
+        const name = match[1].replace(/[.,'’]+$/, '').trim();
+        if (!name || this.nonNames.has(name.split(/\s+/)[0])) {
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Count words in text
+     * @param {string} text Text to count words in
+     * @returns {number} Word count
+     */
+    countWords(text) {
+        if (!text) return 0;
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+}
@@ -0,0 +1,387 @@
+// Readability-style content scoring for AI Bias Detector
+// Finds the article body by text and link density without reading layout, so it works on parsed documents too
+
+class ReadabilityScorer {
+    /**
+     * @param {Document} doc Document to score
+     * @param {Object} [options] Scoring options
+     * @param {number} [options.ancestorLevels] How many ancestors receive a paragraph's score
+     * @param {number} [options.minScore] Lowest final score accepted as an article
+     * @param {number} [options.debugCandidates] Candidates included in the debug breakdown
+     */
+    constructor(doc, options = {}) {
+        this.document = doc;
+        this.ancestorLevels = options.ancestorLevels || 5;
+        this.minScore = options.minScore ?? 20;
+        this.debugCandidates = options.debugCandidates || 5;
+
+        this.patterns = {
+            // Class and ID fragments of page furniture that is never the article
+            unlikely: /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|promo|recirc|trending/i,
+            // Fragments that rescue an element from the unlikely list
+            maybe: /and|article|body|column|content|main|shadow|story/i,
+            positive: /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i,
+            negative: /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget|recirc/i,
+            sentenceEnd: /\.( |$)/
+        };
+
+        // Elements whose text is scored; divs count too when they hold only inline content
+        this.scoredTags = ['P', 'PRE', 'TD', 'BLOCKQUOTE'];
+        this.blockTags = ['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'FIGURE', 'FORM', 'H1', 'H2', 'H3',
+            'H4', 'H5', 'H6', 'HEADER', 'FOOTER', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'];
+        this.skippedTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'ASIDE', 'FOOTER', 'HEADER', 'FORM', 'BUTTON', 'SVG', 'IFRAME'];
+    }
+
+    /**
+     * Find the article and assemble it with its related siblings
+     * @returns {Object|null} {element, source, score, candidates}, where element is a detached container,
+     *   source is the winning element in the document and candidates is the debug breakdown of the
+     *   best-scoring candidates; null if nothing qualifies
+     */
+    extract() {
+        const candidates = this.scoreParagraphs();
+        if (candidates.size === 0) {
+            return null;
+        }
+
+        // Link-heavy blocks such as "related stories" lose most of their score here
+        candidates.forEach(candidate => {
+            candidate.linkDensity = this.getLinkDensity(candidate.element);
+            candidate.finalScore = candidate.contentScore * (1 - candidate.linkDensity);
+        });
+
+        const ranked = Array.from(candidates.values()).sort((a, b) => b.finalScore - a.finalScore);
+        const top = this.promoteTopCandidate(ranked[0], ranked, candidates);
+        const breakdown = ranked.slice(0, this.debugCandidates).map(candidate => this.describeCandidate(candidate, top));
+
+        if (top.finalScore < this.minScore) {
+            console.log('No readability candidate scored high enough:', breakdown);
+            return null;
+        }
+
+        return {
+            element: this.assembleArticle(top, candidates),
+            source: top.element,
+            score: Math.round(top.finalScore * 10) / 10,
+            candidates: breakdown
+        };
+    }
+
+    /**
+     * Score paragraph-like elements and give their scores to their ancestors
+     * @returns {Map<Element, Object>} Candidates keyed by element
+     */
+    scoreParagraphs() {
+        const candidates = new Map();
+        const root = this.document.body || this.document.documentElement;
+        if (!root) return candidates;
+
+        const walker = this.document.createTreeWalker(root, 1 /* NodeFilter.SHOW_ELEMENT */, {
+            acceptNode: (node) => this.isSkipped(node) ? 2 /* FILTER_REJECT */ : 1 /* FILTER_ACCEPT */
+        });
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (!this.isScoredElement(node)) continue;
+
+            const text = this.getText(node);
+            if (text.length < 25) continue;
+
+            const commas = (text.match(/[,，、]/g) || []).length;
+            const paragraphScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+            let ancestor = node.parentElement;
+            for (let level = 0; ancestor && level < this.ancestorLevels; level++) {
+                if (!ancestor.tagName || ancestor === this.document.documentElement) break;
+
+                let candidate = candidates.get(ancestor);
+                if (!candidate) {
+                    candidate = this.createCandidate(ancestor);
+                    candidates.set(ancestor, candidate);
+                }
+
+                // Parents get the full score, grandparents half, further ancestors less
+                const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+                candidate.contentScore += paragraphScore / divider;
+                if (level === 0) {
+                    candidate.paragraphs++;
+                    candidate.commas += commas;
+                }
+
+                ancestor = ancestor.parentElement;
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Create a candidate with its starting score from its tag and class names
+     * @param {Element} element Candidate element
+     * @returns {Object} Candidate record
+     */
+    createCandidate(element) {
+        const tagScores = {
+            DIV: 5, ARTICLE: 5, MAIN: 5, SECTION: 3,
+            PRE: 3, TD: 3, BLOCKQUOTE: 3,
+            ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+            H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+        };
+        const tagScore = tagScores[element.tagName] || 0;
+        const classWeight = this.getClassWeight(element);
+
+        return {
+            element: element,
+            tagScore: tagScore,
+            classWeight: classWeight,
+            contentScore: tagScore + classWeight,
+            paragraphs: 0,
+            commas: 0,
+            linkDensity: 0,
+            finalScore: 0
+        };
+    }
+
+    /**
+     * Move up to a common ancestor when several strong candidates sit inside it,
+     * and past wrappers that hold nothing but the candidate
+     * @param {Object} top Best candidate
+     * @param {Array<Object>} ranked Candidates, best first
+     * @param {Map<Element, Object>} candidates Candidates keyed by element
+     * @returns {Object} Candidate to use as the article
+     */
+    promoteTopCandidate(top, ranked, candidates) {
+        // Articles split into several blocks (e.g. around an inline ad) score as siblings
+        const alternatives = ranked.slice(1, 5)
+            .filter(candidate => candidate.finalScore / top.finalScore >= 0.75)
+            .map(candidate => candidate.element);
+
+        if (alternatives.length >= 3) {
+            let parent = top.element.parentElement;
+            while (parent && parent.tagName !== 'BODY') {
+                const contained = alternatives.filter(element => parent.contains(element)).length;
+                if (contained >= 3 && candidates.has(parent)) {
+                    top = candidates.get(parent);
+                    break;
+                }
+                parent = parent.parentElement;
+            }
+        }
+
+        // Climb out of wrappers whose only child is the candidate
+        let parent = top.element.parentElement;
+        while (parent && parent.tagName !== 'BODY' && parent.children.length === 1 && candidates.has(parent)) {
+            top = candidates.get(parent);
+            parent = parent.parentElement;
+        }
+
+        return top;
+    }
+
+    /**
+     * Gather the candidate and the siblings that look like part of the same article
+     * into a detached container; low-scoring siblings are left out
+     * @param {Object} top Article candidate
+     * @param {Map<Element, Object>} candidates Candidates keyed by element
+     * @returns {Element} Detached container with copies of the article's parts
+     */
+    assembleArticle(top, candidates) {
+        const container = this.document.createElement('div');
+        const threshold = Math.max(10, top.finalScore * 0.2);
+        const parent = top.element.parentElement;
+        const siblings = parent ? Array.from(parent.children) : [top.element];
+
+        siblings.forEach(sibling => {
+            if (sibling !== top.element && !this.isSiblingContent(sibling, top, candidates, threshold)) {
+                return;
+            }
+            container.appendChild(this.pruneClone(sibling.cloneNode(true)));
+        });
+
+        return container;
+    }
+
+    /**
+     * Decide whether a sibling of the article belongs to it
+     * @param {Element} sibling Sibling element
+     * @param {Object} top Article candidate
+     * @param {Map<Element, Object>} candidates Candidates keyed by element
+     * @param {number} threshold Score a sibling needs
+     * @returns {boolean} True if the sibling should be kept
+     */
+    isSiblingContent(sibling, top, candidates, threshold) {
+        if (this.isSkipped(sibling)) return false;
+
+        const candidate = candidates.get(sibling);
+        if (candidate) {
+            // Siblings sharing the article's class are usually continuations of it
+            const bonus = sibling.className && sibling.className === top.element.className ? top.finalScore * 0.2 : 0;
+            if (candidate.finalScore + bonus >= threshold) {
+                return true;
+            }
+        }
+
+        if (sibling.tagName === 'P') {
+            const text = this.getText(sibling);
+            const linkDensity = this.getLinkDensity(sibling);
+
+            if (text.length > 80 && linkDensity < 0.25) return true;
+            if (text.length > 0 && linkDensity === 0 && this.patterns.sentenceEnd.test(text)) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Remove link lists and page furniture from a copy of part of the article
+     * @param {Element} clone Detached copy
+     * @returns {Element} The same copy, pruned
+     */
+    pruneClone(clone) {
+        const blocks = Array.from(clone.querySelectorAll('div, section, ul, ol, table, aside, figure'));
+
+        // Innermost blocks first, so a container is judged on what is left inside it
+        blocks.reverse().forEach(block => {
+            if (!block.parentNode) return;
+
+            const text = this.getText(block);
+            const commas = (text.match(/,/g) || []).length;
+            const weight = this.getClassWeight(block);
+            const linkDensity = this.getLinkDensity(block);
+
+            if (weight < 0 && commas < 10) {
+                block.remove();
+            } else if (commas < 10 && ((weight < 25 && linkDensity > 0.2) || linkDensity > 0.5)) {
+                block.remove();
+            }
+        });
+
+        return clone;
+    }
+
+    /**
+     * Describe a candidate for the debug breakdown
+     * @param {Object} candidate Candidate record
+     * @param {Object} top Chosen candidate
+     * @returns {Object} Breakdown of how the candidate was scored
+     */
+    describeCandidate(candidate, top) {
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return {
+            element: this.describeElement(candidate.element),
+            chosen: candidate === top,
+            finalScore: round(candidate.finalScore),
+            contentScore: round(candidate.contentScore),
+            tagScore: candidate.tagScore,
+            classWeight: candidate.classWeight,
+            linkDensity: round(candidate.linkDensity),
+            paragraphs: candidate.paragraphs,
+            commas: candidate.commas,
+            textLength: this.getText(candidate.element).length
+        };
+    }
+
+    /**
+     * Short CSS-like description of an element, e.g. "div#main.story-body"
+     * @param {Element} element Element to describe
+     * @returns {string} Description
+     */
+    describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = typeof element.className === 'string' && element.className.trim()
+            ? '.' + element.className.trim().split(/\s+/).slice(0, 3).join('.')
+            : '';
+        return `${element.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    /**
+     * Score class names and ID: +25 for article-like names, -25 for page furniture
+     * @param {Element} element Element to weigh
+     * @returns {number} Weight
+     */
+    getClassWeight(element) {
+        let weight = 0;
+        const className = typeof element.className === 'string' ? element.className : '';
+
+        [className, element.id || ''].forEach(value => {
+            if (!value) return;
+            if (this.patterns.negative.test(value)) weight -= 25;
+            if (this.patterns.positive.test(value)) weight += 25;
+        });
+
+        return weight;
+    }
+
+    /**
+     * Share of an element's text that is link text; in-page "#" links count for less
+     * @param {Element} element Element to measure
+     * @returns {number} Link density between 0 and 1
+     */
+    getLinkDensity(element) {
+        const textLength = this.getText(element).length;
+        if (textLength === 0) return 0;
+
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach(link => {
+            const href = link.getAttribute('href') || '';
+            const coefficient = href.startsWith('#') ? 0.3 : 1;
+            linkLength += this.getText(link).length * coefficient;
+        });
+
+        return Math.min(1, linkLength / textLength);
+    }
+
+    /**
+     * Whether an element's text is scored as a paragraph
+     * @param {Element} element Element to check
+     * @returns {boolean} True if scored
+     */
+    isScoredElement(element) {
+        if (this.scoredTags.includes(element.tagName)) {
+            return true;
+        }
+
+        // Divs used as paragraphs hold only inline content
+        return element.tagName === 'DIV' &&
+            !Array.from(element.children).some(child => this.blockTags.includes(child.tagName));
+    }
+
+    /**
+     * Whether an element and its subtree are ignored: hidden, furniture or unlikely to be content.
+     * Only attributes are read, never layout.
+     * @param {Element} element Element to check
+     * @returns {boolean} True if skipped
+     */
+    isSkipped(element) {
+        if (this.skippedTags.includes(element.tagName.toUpperCase())) {
+            return true;
+        }
+
+        if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+            return true;
+        }
+
+        const style = element.getAttribute('style') || '';
+        if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(style)) {
+            return true;
+        }
+
+        const role = element.getAttribute('role');
+        if (['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog', 'menu'].includes(role)) {
+            return true;
+        }
+
+        const match = `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+        return this.patterns.unlikely.test(match) && !this.patterns.maybe.test(match) &&
+            element.tagName !== 'BODY' && element.tagName !== 'A';
+    }
+
+    /**
+     * Normalized text of an element, read without forcing layout
+     * @param {Element} element Element to read
+     * @returns {string} Text with collapsed whitespace
+     */
+    getText(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+}
@@ -0,0 +1,190 @@
+// Request policy for AI Bias Detector
+// Adds cancellation, per-request timeouts and retry with backoff to fetch
+
+class RequestPolicy {
+    /**
+     * @param {Object} [options] Policy options
+     * @param {number} [options.timeoutMs] Timeout for each attempt
+     * @param {number} [options.maxRetries] Retries after the first attempt
+     * @param {number} [options.retryBaseDelayMs] Delay before the first retry
+     * @param {number} [options.retryMaxDelayMs] Upper bound for any retry delay
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.maxRetries = options.maxRetries ?? 2;
+        this.retryBaseDelayMs = options.retryBaseDelayMs || 1000;
+        this.retryMaxDelayMs = options.retryMaxDelayMs || 30000;
+    }
+
+    /**
+     * Fetch with timeout, cancellation and retries on 429/5xx responses
+     * @param {string} url Request URL
+     * @param {Object} init Fetch options
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels the request
+     * @param {Function} [options.onRetry] Called with retry details before waiting
+     * @param {Function} [options.beforeRetry] Awaited after the backoff and before each retry, such as to wait for a rate-limit slot
+     * @param {string} [options.label] Name of the service for messages
+     * @returns {Promise<Response>} Successful response
+     */
+    async fetch(url, init, options = {}) {
+        const { signal, onRetry, beforeRetry, label = 'Service' } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfCancelled(signal);
+
+            // Cancellation, timeouts and network failures are not retried here;
+            // the provider registry fails over to the next provider instead
+            const response = await this.fetchWithTimeout(url, init, signal, label);
+
+            if (response.ok) {
+                return response;
+            }
+
+            const errorText = await response.text().catch(() => '');
+            console.error(`${label} error:`, response.status, errorText);
+
+            if (!this.isRetryable(response.status) || attempt >= this.maxRetries) {
+                const code = response.status === 429 ? ERROR_CODES.RATE_LIMITED : ERROR_CODES.BACKEND_UNREACHABLE;
+                throw new AnalysisError(code, `${label} error: ${response.status}`, { status: response.status });
+            }
+
+            const delayMs = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+            console.log(`${label} returned ${response.status}, retrying in ${delayMs}ms`);
+
+            if (typeof onRetry === 'function') {
+                onRetry({
+                    label: label,
+                    httpStatus: response.status,
+                    attempt: attempt + 1,
+                    maxRetries: this.maxRetries,
+                    delayMs: delayMs
+                });
+            }
+
+            await this.sleep(delayMs, signal);
+            if (typeof beforeRetry === 'function') {
+                await beforeRetry();
+            }
+        }
+    }
+
+    /**
+     * Run a single fetch attempt that aborts on timeout or cancellation
+     * @param {string} url Request URL
+     * @param {Object} init Fetch options
+     * @param {AbortSignal} [signal] Signal that cancels the request
+     * @param {string} label Name of the service for messages
+     * @returns {Promise<Response>} Response
+     */
+    async fetchWithTimeout(url, init, signal, label) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeoutMs);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw this.createCancelledError();
+            }
+            if (timedOut) {
+                throw new AnalysisError(ERROR_CODES.BACKEND_UNREACHABLE, `${label} timed out after ${Math.round(this.timeoutMs / 1000)}s`, { timedOut: true });
+            }
+            throw new AnalysisError(ERROR_CODES.BACKEND_UNREACHABLE, `${label} could not be reached: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Whether a status code is worth retrying
+     * @param {number} status HTTP status
+     * @returns {boolean} True for rate limiting and server errors
+     */
+    isRetryable(status) {
+        return status === 429 || (status >= 500 && status <= 599);
+    }
+
+    /**
+     * Exponential backoff with equal jitter, honouring Retry-After when present
+     * @param {number} attempt Zero-based attempt that just failed
+     * @param {string|null} retryAfter Retry-After header value
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, retryAfter) {
+        const retryAfterMs = this.parseRetryAfter(retryAfter);
+        if (retryAfterMs !== null) {
+            return Math.min(retryAfterMs, this.retryMaxDelayMs);
+        }
+
+        const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Parse a Retry-After header given in seconds or as an HTTP date
+     * @param {string|null} value Header value
+     * @returns {number|null} Delay in milliseconds or null
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait for a delay unless cancelled first
+     * @param {number} ms Delay in milliseconds
+     * @param {AbortSignal} [signal] Signal that cancels the wait
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createCancelledError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createCancelledError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Throw if the signal has been aborted
+     * @param {AbortSignal} [signal] Signal to check
+     */
+    throwIfCancelled(signal) {
+        if (signal?.aborted) {
+            throw this.createCancelledError();
+        }
+    }
+
+    /**
+     * Create the error used for user cancellation
+     * @returns {AnalysisError} Error with code "cancelled"
+     */
+    createCancelledError() {
+        return new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled');
+    }
+}
@@ -0,0 +1,217 @@
+// Request scheduler for AI Bias Detector
+// Coalesces identical in-flight provider requests and enforces per-provider requests-per-minute budgets
+
+class RequestScheduler {
+    /**
+     * @param {Object} [options] Scheduler options
+     * @param {number} [options.windowMs] Length of the rate-limit window
+     */
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 60000;
+
+        // Shared requests keyed by provider and text: {promise, controller, subscribers, listeners}
+        this.inFlight = new Map();
+
+        // Rate-limit state per provider: {limit, sent: [timestamps], waiting: [waiters], timer}
+        this.providers = new Map();
+    }
+
+    /**
+     * Run a provider request, joining an identical request that is already in flight
+     * and waiting for the provider's budget when it is used up
+     * @param {string} key Identity of the request; equal keys share one request
+     * @param {Object} provider Provider the request is sent to
+     * @param {string} provider.id Provider identifier
+     * @param {string} provider.label Provider name for progress messages
+     * @param {number} provider.requestsPerMinute Budget per minute; 0 means unlimited
+     * @param {Function} task Async function called with (signal, notify, acquireRetry) that sends the request;
+     *   acquireRetry() resolves when the budget allows a retry, so retries count against it too
+     * @param {Object} [options] Request options
+     * @param {AbortSignal} [options.signal] Signal that cancels this caller's interest in the request
+     * @param {Function} [options.onProgress] Called with {stage: 'queued'} and other updates of the shared request
+     * @returns {Promise<*>} Result of the task
+     */
+    run(key, provider, task, options = {}) {
+        let entry = this.inFlight.get(key);
+
+        if (entry) {
+            console.log(`Joining in-flight ${provider.id} request`);
+        } else {
+            entry = {
+                key: key,
+                controller: new AbortController(),
+                subscribers: 0,
+                listeners: new Set()
+            };
+            const notify = (event) => entry.listeners.forEach(listener => listener(event));
+
+            entry.promise = this.acquire(provider, entry.controller.signal, notify)
+                .then(() => task(entry.controller.signal, notify, () => this.acquire(provider, entry.controller.signal, notify)))
+                .finally(() => this.release(entry));
+            // Callers may all cancel before it settles; the rejection is handled by each subscriber
+            entry.promise.catch(() => {});
+
+            this.inFlight.set(key, entry);
+        }
+
+        return this.subscribe(entry, options);
+    }
+
+    /**
+     * Stop sharing an entry with new callers
+     * @param {Object} entry In-flight entry
+     */
+    release(entry) {
+        // A newer request for the same key may already have taken its place
+        if (this.inFlight.get(entry.key) === entry) {
+            this.inFlight.delete(entry.key);
+        }
+    }
+
+    /**
+     * Follow a shared request until it settles or this caller cancels
+     * @param {Object} entry In-flight entry
+     * @param {Object} options Request options passed to run()
+     * @returns {Promise<*>} Result of the shared request
+     */
+    subscribe(entry, options) {
+        const { signal, onProgress } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled'));
+                return;
+            }
+
+            entry.subscribers++;
+            if (typeof onProgress === 'function') {
+                entry.listeners.add(onProgress);
+            }
+
+            const leave = () => {
+                signal?.removeEventListener('abort', onAbort);
+                entry.listeners.delete(onProgress);
+                entry.subscribers--;
+            };
+
+            // The shared request is only aborted once nobody is waiting for it
+            const onAbort = () => {
+                leave();
+                if (entry.subscribers === 0) {
+                    entry.controller.abort();
+                    // A new identical request must start afresh rather than join the aborted one
+                    this.release(entry);
+                }
+                reject(new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            entry.promise.then(
+                (result) => {
+                    leave();
+                    resolve(result);
+                },
+                (error) => {
+                    leave();
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Wait until the provider's budget allows another request
+     * @param {Object} provider Provider description passed to run()
+     * @param {AbortSignal} signal Signal that removes the request from the queue
+     * @param {Function} notify Called with {stage: 'queued', ...} while waiting and {stage: 'dequeued'} once released
+     * @returns {Promise<void>} Resolves when the request may be sent
+     */
+    acquire(provider, signal, notify) {
+        const state = this.getProviderState(provider.id);
+        state.limit = Math.max(0, Number(provider.requestsPerMinute) || 0);
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                provider,
+                notify,
+                resolve: () => {
+                    signal.removeEventListener('abort', waiter.onAbort);
+                    resolve();
+                }
+            };
+
+            waiter.onAbort = () => {
+                state.waiting = state.waiting.filter(item => item !== waiter);
+                this.pump(provider.id);
+                reject(new AnalysisError(ERROR_CODES.CANCELLED, 'Analysis cancelled'));
+            };
+            signal.addEventListener('abort', waiter.onAbort, { once: true });
+
+            state.waiting.push(waiter);
+            this.pump(provider.id);
+        });
+    }
+
+    /**
+     * Release queued requests the budget allows and report queue positions to the rest
+     * @param {string} providerId Provider identifier
+     */
+    pump(providerId) {
+        const state = this.getProviderState(providerId);
+        const now = Date.now();
+
+        state.sent = state.sent.filter(time => now - time < this.windowMs);
+
+        while (state.waiting.length > 0 && (state.limit === 0 || state.sent.length < state.limit)) {
+            const waiter = state.waiting.shift();
+            state.sent.push(now);
+            waiter.resolve();
+            if (waiter.queued) {
+                waiter.notify({ stage: 'dequeued', provider: providerId, label: waiter.provider.label });
+            }
+        }
+
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+
+        if (state.waiting.length === 0) {
+            return;
+        }
+
+        // The oldest request leaves the window first and frees the next slot
+        const nextSlotMs = Math.max(0, state.sent[0] + this.windowMs - now);
+        console.log(`${providerId} budget of ${state.limit}/min used, ${state.waiting.length} request(s) queued`);
+
+        state.waiting.forEach((waiter, index) => {
+            // Each full window of earlier requests adds a minute to the wait
+            const waitMs = nextSlotMs + Math.floor(index / state.limit) * this.windowMs;
+            waiter.queued = true;
+            waiter.notify({
+                stage: 'queued',
+                provider: providerId,
+                label: waiter.provider.label,
+                position: index + 1,
+                waitMs: waitMs
+            });
+        });
+
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.pump(providerId);
+        }, nextSlotMs);
+    }
+
+    /**
+     * Get or create the rate-limit state for a provider
+     * @param {string} providerId Provider identifier
+     * @returns {Object} Provider state
+     */
+    getProviderState(providerId) {
+        if (!this.providers.has(providerId)) {
+            this.providers.set(providerId, { limit: 0, sent: [], waiting: [], timer: null });
+        }
+        return this.providers.get(providerId);
+    }
+}
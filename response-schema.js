@@ -0,0 +1,350 @@
+// Analysis response schema for AI Bias Detector
+// Validates provider responses and normalizes older and newer backend formats to one result shape
+
+// Version of the normalized result shape produced by AnalysisResponseSchema
+const ANALYSIS_SCHEMA_VERSION = 2;
+
+class AnalysisResponseSchema {
+    constructor() {
+        this.levels = ['low', 'medium', 'high', 'unknown'];
+        // Flagged passages kept per result, enough to highlight a long article
+        this.maxFindings = 100;
+        this.confidenceLevels = ['low', 'medium', 'high'];
+
+        this.levelAliases = {
+            none: 'low',
+            minimal: 'low',
+            slight: 'low',
+            moderate: 'medium',
+            mixed: 'medium',
+            significant: 'high',
+            severe: 'high',
+            extreme: 'high'
+        };
+
+        // Alternative spellings used by backend versions, mapped to the names shown in the popup
+        this.categoryAliases = {
+            'political': 'political bias',
+            'partisan': 'political bias',
+            'political lean': 'political bias',
+            'identity attacks': 'identity attack',
+            'identity hate': 'identity attack',
+            'insults': 'insult',
+            'threats': 'threat',
+            'toxic': 'toxicity',
+            'severe toxic': 'severe toxicity',
+            'obscene': 'profanity',
+            'profane': 'profanity',
+            'emotional language': 'loaded language',
+            'emotionally loaded': 'loaded language',
+            'weasel words': 'hedging',
+            'absolutes': 'absolutist',
+            'partisan left': 'partisan (left)',
+            'partisan right': 'partisan (right)'
+        };
+
+        // Readers for each backend response version; each returns the version 2 field layout
+        this.adapters = {
+            1: (data) => this.fromVersion1(data),
+            2: (data) => this.fromVersion2(data)
+        };
+    }
+
+    /**
+     * Validate and normalize a provider response
+     * @param {*} data Parsed response body
+     * @param {string} [source] Provider label used in error messages
+     * @returns {Object} Normalized analysis result
+     */
+    normalize(data, source = 'Backend') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw this.createMalformedError(source, 'response is not a JSON object');
+        }
+
+        if (data.success === false) {
+            throw new AnalysisError(ERROR_CODES.BACKEND_UNREACHABLE, this.readString(data.error) || `${source} analysis failed`);
+        }
+
+        const version = this.detectVersion(data);
+        const adapter = this.adapters[version] || this.adapters[ANALYSIS_SCHEMA_VERSION];
+        if (!this.adapters[version]) {
+            console.warn(`${source} sent schema version ${version}, reading it as version ${ANALYSIS_SCHEMA_VERSION}`);
+        }
+
+        const fields = adapter(data);
+        const categories = this.normalizeCategories(fields.categories);
+        const overallScore = this.normalizeLevel(fields.overallScore, categories);
+
+        if (!overallScore) {
+            throw this.createMalformedError(source, 'no usable bias level or category scores');
+        }
+
+        return {
+            ...this.passThrough(data),
+            success: true,
+            schemaVersion: ANALYSIS_SCHEMA_VERSION,
+            overallScore: overallScore,
+            confidence: this.normalizeConfidence(fields.confidence),
+            categories: categories,
+            explanation: this.readString(fields.explanation),
+            findings: this.normalizeFindings(fields.findings),
+            apiUsed: this.normalizeApiUsed(fields.apiUsed),
+            timestamp: Number.isFinite(fields.timestamp) ? fields.timestamp : Date.now()
+        };
+    }
+
+    /**
+     * Work out which response version a payload uses
+     * @param {Object} data Parsed response body
+     * @returns {number} Response version
+     */
+    detectVersion(data) {
+        const declared = parseInt(data.schemaVersion ?? data.version, 10);
+        if (Number.isFinite(declared) && declared > 0) {
+            return declared;
+        }
+
+        // Unversioned payloads with a nested "bias" object come from version 2 backends
+        return data.bias && typeof data.bias === 'object' ? 2 : 1;
+    }
+
+    /**
+     * Read a version 1 response: flat overallScore, confidence and categories array
+     * @param {Object} data Parsed response body
+     * @returns {Object} Fields in the version 2 layout
+     */
+    fromVersion1(data) {
+        return {
+            overallScore: data.overallScore ?? data.overall_score ?? data.biasLevel,
+            confidence: data.confidence,
+            categories: data.categories,
+            explanation: data.explanation,
+            findings: data.findings ?? data.spans,
+            apiUsed: data.apiUsed ?? data.api_used,
+            timestamp: data.timestamp
+        };
+    }
+
+    /**
+     * Read a version 2 response: {bias: {level, score, confidence}, categories, explanation, sources}
+     * @param {Object} data Parsed response body
+     * @returns {Object} Fields in the version 2 layout
+     */
+    fromVersion2(data) {
+        const bias = data.bias && typeof data.bias === 'object' ? data.bias : {};
+
+        return {
+            overallScore: bias.level ?? bias.score ?? data.overallScore,
+            confidence: bias.confidence ?? data.confidence,
+            categories: data.categories,
+            explanation: data.explanation ?? bias.explanation,
+            findings: data.findings ?? data.passages,
+            apiUsed: data.sources ?? data.apiUsed,
+            timestamp: data.timestamp
+        };
+    }
+
+    /**
+     * Normalize categories given as an array or as a {name: score} map
+     * @param {*} categories Raw categories
+     * @returns {Array<Object>} Categories with 0-1 scores and known names
+     */
+    normalizeCategories(categories) {
+        let entries = [];
+
+        if (Array.isArray(categories)) {
+            entries = categories;
+        } else if (categories && typeof categories === 'object') {
+            entries = Object.entries(categories).map(([name, value]) =>
+                value && typeof value === 'object' ? { name, ...value } : { name, score: value }
+            );
+        }
+
+        const byName = new Map();
+
+        entries.forEach(entry => {
+            if (!entry || typeof entry !== 'object') return;
+
+            const name = this.normalizeCategoryName(entry.name ?? entry.id ?? entry.category);
+            const score = this.coerceScore(entry.score ?? entry.value ?? entry.probability);
+            if (!name || score === null) {
+                console.warn('Dropping malformed category:', entry);
+                return;
+            }
+
+            const category = {
+                name: name,
+                score: score,
+                detected: typeof entry.detected === 'boolean' ? entry.detected : score >= 0.5
+            };
+            if (Array.isArray(entry.matches)) {
+                category.matches = entry.matches.filter(match => typeof match === 'string');
+            }
+
+            // Aliases can fold two backend categories into one; keep the stronger signal
+            const existing = byName.get(name);
+            if (!existing || category.score > existing.score) {
+                byName.set(name, category);
+            }
+        });
+
+        return Array.from(byName.values());
+    }
+
+    /**
+     * Normalize sentence- or span-level findings used for in-page highlighting
+     * @param {*} findings Raw findings
+     * @returns {Array<Object>} Findings {text, category, score, reason}; empty if none are usable
+     */
+    normalizeFindings(findings) {
+        if (!Array.isArray(findings)) {
+            return [];
+        }
+
+        return findings
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => ({
+                text: this.readString(entry.text ?? entry.sentence ?? entry.span).trim(),
+                category: this.normalizeCategoryName(entry.category ?? entry.name),
+                score: this.coerceScore(entry.score),
+                reason: this.readString(entry.reason ?? entry.explanation)
+            }))
+            .filter(finding => {
+                if (!finding.text) {
+                    console.warn('Dropping finding without text');
+                }
+                return finding.text.length > 0;
+            })
+            .slice(0, this.maxFindings);
+    }
+
+    /**
+     * Map a backend category name to the name shown in the popup
+     * @param {*} name Raw category name
+     * @returns {string} Normalized name, or an empty string if unusable
+     */
+    normalizeCategoryName(name) {
+        if (typeof name !== 'string') return '';
+
+        const normalized = name
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[_/-]+/g, ' ')
+            .replace(/[^a-z0-9() ]+/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 40);
+
+        return this.categoryAliases[normalized] || normalized;
+    }
+
+    /**
+     * Coerce a score to the 0-1 range, accepting percentages and numeric strings
+     * @param {*} value Raw score
+     * @returns {number|null} Score rounded to two decimals, or null if not numeric
+     */
+    coerceScore(value) {
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+            return null;
+        }
+
+        let score = typeof value === 'number' ? value : parseFloat(String(value).replace('%', ''));
+        if (!Number.isFinite(score)) return null;
+
+        if (score > 1 && score <= 100) {
+            score = score / 100;
+        }
+
+        return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+    }
+
+    /**
+     * Normalize the overall bias level, falling back to the strongest category
+     * @param {*} value Raw level: a known level, an alias or a numeric score
+     * @param {Array<Object>} categories Normalized categories
+     * @returns {string|null} Bias level, or null if none can be determined
+     */
+    normalizeLevel(value, categories) {
+        if (typeof value === 'string') {
+            const level = value.trim().toLowerCase();
+            if (this.levels.includes(level)) return level;
+            if (this.levelAliases[level]) return this.levelAliases[level];
+        }
+
+        const score = this.coerceScore(value);
+        if (score !== null) {
+            return this.levelFromScore(score);
+        }
+
+        if (categories.length > 0) {
+            return this.levelFromScore(Math.max(...categories.map(category => category.score)));
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize confidence given as a level or a 0-1 / 0-100 number
+     * @param {*} value Raw confidence
+     * @returns {string} Confidence level
+     */
+    normalizeConfidence(value) {
+        if (typeof value === 'string' && this.confidenceLevels.includes(value.trim().toLowerCase())) {
+            return value.trim().toLowerCase();
+        }
+
+        const score = this.coerceScore(value);
+        if (score === null) return 'medium';
+        return this.levelFromScore(score);
+    }
+
+    /**
+     * Normalize the list of services that produced the result
+     * @param {*} value Raw list or single name
+     * @returns {Array<string>} Service names
+     */
+    normalizeApiUsed(value) {
+        const list = Array.isArray(value) ? value : [value];
+        return list.filter(item => typeof item === 'string' && item.length > 0);
+    }
+
+    /**
+     * Keep extension-added fields (provider, sections, chunking…) that aren't part of the schema
+     * @param {Object} data Parsed response body
+     * @returns {Object} Extra fields
+     */
+    passThrough(data) {
+        const { bias, sources, version, overall_score, api_used, biasLevel, error, spans, passages, ...rest } = data;
+        return rest;
+    }
+
+    /**
+     * Read an optional string field
+     * @param {*} value Raw value
+     * @returns {string} String, or empty string
+     */
+    readString(value) {
+        return typeof value === 'string' ? value : '';
+    }
+
+    /**
+     * Map a 0-1 score to a level
+     * @param {number} score Score between 0 and 1
+     * @returns {string} Level
+     */
+    levelFromScore(score) {
+        if (score >= 0.7) return 'high';
+        if (score >= 0.4) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Create the error raised for responses that can't be used
+     * @param {string} source Provider label
+     * @param {string} reason What was wrong with the response
+     * @returns {AnalysisError} Error with code "malformed-response"
+     */
+    createMalformedError(source, reason) {
+        return new AnalysisError(ERROR_CODES.MALFORMED_RESPONSE, `Malformed response from ${source}: ${reason}`);
+    }
+}
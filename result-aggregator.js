@@ -0,0 +1,263 @@
+// Result aggregation for AI Bias Detector
+// Combines per-chunk analysis results into one article-level result
+
+class ChunkResultAggregator {
+    constructor() {
+        this.levels = ['low', 'medium', 'high'];
+        this.confidenceLevels = ['low', 'medium', 'high'];
+        // Number of sections highlighted as drivers of the article score
+        this.maxDrivers = 3;
+    }
+
+    /**
+     * Aggregate chunk results into an article-level result
+     * @param {Array<Object>} chunks Chunks from TextChunker
+     * @param {Array<Object>} outcomes Per-chunk {result} or {error}, in chunk order
+     * @returns {Object} Article-level analysis result with per-section scores
+     */
+    aggregate(chunks, outcomes) {
+        const analyzed = outcomes
+            .map((outcome, i) => ({ chunk: chunks[i], result: outcome.result, error: outcome.error }))
+            .filter(entry => entry.result && this.levels.includes(entry.result.overallScore));
+
+        if (analyzed.length === 0) {
+            const firstError = outcomes.find(outcome => outcome.error);
+            if (firstError) {
+                throw firstError.error;
+            }
+            throw new AnalysisError(ERROR_CODES.BACKEND_UNREACHABLE, 'No section of the article could be analyzed');
+        }
+
+        const totalWords = analyzed.reduce((sum, entry) => sum + entry.chunk.wordCount, 0) || 1;
+        const sections = this.buildSections(chunks, outcomes);
+        const drivers = sections.filter(section => section.driver);
+
+        return {
+            success: true,
+            overallScore: this.aggregateLevel(analyzed, totalWords),
+            confidence: this.aggregateConfidence(analyzed),
+            categories: this.aggregateCategories(analyzed, totalWords),
+            explanation: this.buildExplanation(chunks.length, analyzed.length, drivers, analyzed),
+            apiUsed: this.unique(analyzed.flatMap(entry => entry.result.apiUsed || [])),
+            provider: this.unique(analyzed.map(entry => entry.result.provider).filter(Boolean)).join(', '),
+            failover: this.mergeFailover(analyzed),
+            redaction: this.mergeRedaction(analyzed),
+            findings: this.mergeFindings(analyzed),
+            fromCache: analyzed.every(entry => entry.result.fromCache),
+            sections: sections,
+            chunking: {
+                total: chunks.length,
+                analyzed: analyzed.length,
+                failed: chunks.length - analyzed.length
+            },
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Combine levels by word-weighted mean, pulled towards the strongest section
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @param {number} totalWords Total words across analyzed chunks
+     * @returns {string} Bias level
+     */
+    aggregateLevel(analyzed, totalWords) {
+        let mean = 0;
+        let max = 0;
+
+        analyzed.forEach(entry => {
+            const value = this.levels.indexOf(entry.result.overallScore);
+            mean += value * (entry.chunk.wordCount / totalWords);
+            max = Math.max(max, value);
+        });
+
+        return this.levels[Math.round(mean * 0.6 + max * 0.4)];
+    }
+
+    /**
+     * An aggregate is only as confident as its least confident section
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @returns {string} Confidence level
+     */
+    aggregateConfidence(analyzed) {
+        const values = analyzed.map(entry => {
+            const index = this.confidenceLevels.indexOf(entry.result.confidence);
+            return index === -1 ? 0 : index;
+        });
+        return this.confidenceLevels[Math.min(...values)];
+    }
+
+    /**
+     * Combine category scores by word-weighted mean, pulled towards the maximum
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @param {number} totalWords Total words across analyzed chunks
+     * @returns {Array<Object>} Aggregated categories
+     */
+    aggregateCategories(analyzed, totalWords) {
+        const combined = new Map();
+
+        analyzed.forEach(entry => {
+            const weight = entry.chunk.wordCount / totalWords;
+
+            (entry.result.categories || []).forEach(category => {
+                const score = Number(category.score) || 0;
+                const current = combined.get(category.name) || { mean: 0, max: 0, detected: false };
+
+                current.mean += score * weight;
+                current.max = Math.max(current.max, score);
+                current.detected = current.detected || Boolean(category.detected);
+                combined.set(category.name, current);
+            });
+        });
+
+        return Array.from(combined.entries()).map(([name, value]) => ({
+            name: name,
+            score: Math.round((value.mean * 0.6 + value.max * 0.4) * 100) / 100,
+            detected: value.detected
+        }));
+    }
+
+    /**
+     * Combine the flagged passages of every section, strongest first
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @returns {Array<Object>} Findings
+     */
+    mergeFindings(analyzed) {
+        return analyzed
+            .flatMap(entry => entry.result.findings || [])
+            .sort((a, b) => (b.score || 0) - (a.score || 0));
+    }
+
+    /**
+     * Build per-section summaries and mark the sections that drove the score
+     * @param {Array<Object>} chunks Chunks from TextChunker
+     * @param {Array<Object>} outcomes Per-chunk outcomes
+     * @returns {Array<Object>} Sections in article order
+     */
+    buildSections(chunks, outcomes) {
+        const sections = chunks.map((chunk, i) => {
+            const result = outcomes[i].result;
+
+            if (!result) {
+                return {
+                    index: chunk.index,
+                    preview: chunk.preview,
+                    wordCount: chunk.wordCount,
+                    overallScore: 'unknown',
+                    score: 0,
+                    topCategories: [],
+                    error: outcomes[i].error ? outcomes[i].error.message : 'Not analyzed',
+                    driver: false
+                };
+            }
+
+            const detected = (result.categories || [])
+                .filter(category => category.detected)
+                .sort((a, b) => b.score - a.score);
+
+            return {
+                index: chunk.index,
+                preview: chunk.preview,
+                wordCount: chunk.wordCount,
+                overallScore: result.overallScore,
+                score: this.sectionScore(result, detected),
+                topCategories: detected.slice(0, 3).map(category => category.name),
+                driver: false
+            };
+        });
+
+        sections
+            .filter(section => section.score > 0 && section.overallScore !== 'low')
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxDrivers)
+            .forEach(section => {
+                section.driver = true;
+            });
+
+        return sections;
+    }
+
+    /**
+     * Score a section between 0 and 1 from its strongest detected category,
+     * falling back to its overall level
+     * @param {Object} result Chunk analysis result
+     * @param {Array<Object>} detected Detected categories, strongest first
+     * @returns {number} Section score
+     */
+    sectionScore(result, detected) {
+        const levelScores = { low: 0.15, medium: 0.5, high: 0.85 };
+        const levelScore = levelScores[result.overallScore] || 0;
+        const categoryScore = detected.length > 0 ? Number(detected[0].score) || 0 : 0;
+        return Math.round(Math.max(levelScore, categoryScore) * 100) / 100;
+    }
+
+    /**
+     * Build the article-level explanation
+     * @param {number} total Number of chunks
+     * @param {number} analyzedCount Number of chunks analyzed successfully
+     * @param {Array<Object>} drivers Sections that drove the score
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @returns {string} Explanation
+     */
+    buildExplanation(total, analyzedCount, drivers, analyzed) {
+        let explanation = `Article analyzed in ${total} sections`;
+        explanation += analyzedCount < total ? ` (${total - analyzedCount} could not be analyzed).` : '.';
+
+        if (drivers.length === 0) {
+            return `${explanation} No single section stood out.`;
+        }
+
+        const names = drivers.map(section => `section ${section.index + 1}`);
+        explanation += ` The score was driven mostly by ${names.join(', ')}.`;
+
+        const top = analyzed.find(entry => entry.chunk.index === drivers[0].index);
+        if (top && top.result.explanation) {
+            explanation += ` Section ${drivers[0].index + 1}: ${top.result.explanation}`;
+        }
+
+        return explanation;
+    }
+
+    /**
+     * Merge failover records, keeping one entry per provider
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @returns {Array<Object>} Failover records
+     */
+    mergeFailover(analyzed) {
+        const byProvider = new Map();
+        analyzed.forEach(entry => {
+            (entry.result.failover || []).forEach(failure => byProvider.set(failure.provider, failure));
+        });
+        return Array.from(byProvider.values());
+    }
+
+    /**
+     * Add up the items redacted from each section
+     * @param {Array<Object>} analyzed Successfully analyzed chunks
+     * @returns {Object|null} {total, counts}, or null if no section was redacted
+     */
+    mergeRedaction(analyzed) {
+        const redacted = analyzed.map(entry => entry.result.redaction).filter(Boolean);
+        if (redacted.length === 0) return null;
+
+        const counts = {};
+        redacted.forEach(redaction => {
+            Object.entries(redaction.counts).forEach(([type, count]) => {
+                counts[type] = (counts[type] || 0) + count;
+            });
+        });
+
+        return {
+            total: redacted.reduce((sum, redaction) => sum + redaction.total, 0),
+            counts: counts
+        };
+    }
+
+    /**
+     * Remove duplicates while keeping order
+     * @param {Array} values Values
+     * @returns {Array} Unique values
+     */
+    unique(values) {
+        return Array.from(new Set(values));
+    }
+}
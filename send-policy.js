@@ -0,0 +1,192 @@
+// Send policy for AI Bias Detector
+// Decides whether a page's content may be sent for analysis, keeping private pages in the browser
+
+// Hosts whose pages are private by nature: webmail, banking and payments
+const SEND_POLICY_DENIED_DOMAINS = [
+    'mail.google.com',
+    'outlook.live.com',
+    'outlook.office.com',
+    'outlook.office365.com',
+    'mail.yahoo.com',
+    'mail.aol.com',
+    'mail.proton.me',
+    'mail.protonmail.com',
+    'app.fastmail.com',
+    'mail.zoho.com',
+    'icloud.com',
+    'paypal.com',
+    'venmo.com',
+    'chase.com',
+    'bankofamerica.com',
+    'wellsfargo.com',
+    'citi.com',
+    'citibank.com',
+    'capitalone.com',
+    'usbank.com',
+    'pnc.com',
+    'americanexpress.com',
+    'discover.com',
+    'schwab.com',
+    'fidelity.com',
+    'vanguard.com',
+    'hsbc.com',
+    'hsbc.co.uk',
+    'barclays.co.uk',
+    'lloydsbank.co.uk',
+    'natwest.com',
+    'santander.co.uk',
+    'rbcroyalbank.com',
+    'td.com'
+];
+
+// Top-level names used for hosts that are only reachable on a local or corporate network
+const SEND_POLICY_PRIVATE_SUFFIXES = ['localhost', 'local', 'internal', 'intranet', 'lan', 'corp', 'home', 'home.arpa'];
+
+class SendPolicy {
+    /**
+     * @param {Object} [options] Send policy settings
+     * @param {Array<string>} [options.allowDomains] Domains always allowed, overriding the built-in list
+     * @param {Array<string>} [options.denyDomains] Domains never sent
+     * @param {boolean} [options.confirmLoginWalls] Ask before sending pages that look signed-in or gated
+     */
+    constructor(options = {}) {
+        this.allowDomains = options.allowDomains || [];
+        this.denyDomains = options.denyDomains || [];
+        this.confirmLoginWalls = options.confirmLoginWalls ?? true;
+    }
+
+    /**
+     * Decide whether content from a page may be sent for analysis
+     * @param {string} url Page URL
+     * @param {Object} [page] What is known about the page
+     * @param {string|null} [page.loginWall] Login-wall signal from ArticleExtractor
+     * @param {boolean} [page.confirmed] The user has confirmed sending this page
+     * @returns {Object} {allowed, reason, message}
+     */
+    evaluate(url, page = {}) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        } catch (error) {
+            return this.deny('invalid-url', 'The page address could not be read.');
+        }
+
+        // The user's own lists win: deny first, then allow
+        if (findMatchingDomains(url, this.denyDomains).length > 0) {
+            return this.deny('user-denied', `${hostname} is on your list of sites that are never sent for analysis.`);
+        }
+        if (findMatchingDomains(url, this.allowDomains).length > 0) {
+            return { allowed: true, reason: 'user-allowed', message: '' };
+        }
+
+        if (this.isPrivateHost(hostname)) {
+            return this.deny('private-network', `${hostname} is on a private or local network, so its pages are never sent for analysis.`);
+        }
+        if (findMatchingDomains(url, SEND_POLICY_DENIED_DOMAINS).length > 0) {
+            return this.deny('sensitive-site', `${hostname} is a webmail, banking or payment site, so its pages are never sent for analysis.`);
+        }
+
+        if (page.loginWall && this.confirmLoginWalls && !page.confirmed) {
+            return this.deny('login-wall', `This page appears to be behind a login (${this.describeLoginWall(page.loginWall)}). Its content may be private to your account.`);
+        }
+
+        return { allowed: true, reason: 'allowed', message: '' };
+    }
+
+    /**
+     * Throw if a page's content may not be sent
+     * @param {string} url Page URL
+     * @param {Object} [page] What is known about the page, as for evaluate()
+     */
+    assertAllowed(url, page = {}) {
+        const decision = this.evaluate(url, page);
+        if (decision.allowed) {
+            return;
+        }
+
+        console.log('Send policy blocked page:', { url, reason: decision.reason });
+        const code = decision.reason === 'login-wall' ? ERROR_CODES.CONFIRMATION_REQUIRED : ERROR_CODES.SEND_BLOCKED;
+        throw new AnalysisError(code, decision.message, { reason: decision.reason });
+    }
+
+    /**
+     * Check whether a hostname is localhost, a private IP address or a local-only name
+     * @param {string} hostname Lowercase hostname without brackets
+     * @returns {boolean} True if private
+     */
+    isPrivateHost(hostname) {
+        const ipv4 = hostname.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (ipv4) {
+            const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+            return a === 10 ||
+                a === 127 ||
+                a === 0 ||
+                (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168) ||
+                (a === 169 && b === 254) ||
+                (a === 100 && b >= 64 && b <= 127);
+        }
+
+        if (hostname.includes(':')) {
+            // IPv4-mapped addresses such as ::ffff:127.0.0.1 reach the IPv4 host they embed
+            const mapped = this.decodeMappedIpv4(hostname);
+            if (mapped) {
+                return this.isPrivateHost(mapped);
+            }
+
+            // IPv6 unspecified, loopback, unique-local (fc00::/7) and link-local (fe80::/10) addresses
+            return hostname === '::' || hostname === '::1' || /^f[cd][0-9a-f]{2}:/.test(hostname) || /^fe[89ab][0-9a-f]:/.test(hostname);
+        }
+
+        // Single-label names such as "wiki" only resolve inside a local network
+        if (!hostname.includes('.')) {
+            return true;
+        }
+
+        return SEND_POLICY_PRIVATE_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith('.' + suffix));
+    }
+
+    /**
+     * Read the IPv4 address embedded in an IPv4-mapped IPv6 address. URLs normalize
+     * "::ffff:127.0.0.1" to the hex form "::ffff:7f00:1", so both forms are read.
+     * @param {string} hostname Lowercase IPv6 address without brackets
+     * @returns {string|null} Dotted IPv4 address, or null if the address isn't IPv4-mapped
+     */
+    decodeMappedIpv4(hostname) {
+        const match = hostname.match(/^(?:::|(?:0{1,4}:){5})ffff:(?:(\d{1,3}(?:\.\d{1,3}){3})|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+        if (!match) {
+            return null;
+        }
+        if (match[1]) {
+            return match[1];
+        }
+
+        const high = parseInt(match[2], 16);
+        const low = parseInt(match[3], 16);
+        return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+
+    /**
+     * Describe a login-wall signal for the user
+     * @param {string} signal Signal from ArticleExtractor
+     * @returns {string} Description
+     */
+    describeLoginWall(signal) {
+        const descriptions = {
+            'password-field': 'it has a password field',
+            'signed-in': 'you seem to be signed in',
+            'gated-content': 'it has a login or subscription wall'
+        };
+        return descriptions[signal] || 'it looks signed-in';
+    }
+
+    /**
+     * Build a denial
+     * @param {string} reason Reason code
+     * @param {string} message Explanation for the user
+     * @returns {Object} {allowed: false, reason, message}
+     */
+    deny(reason, message) {
+        return { allowed: false, reason, message };
+    }
+}
@@ -0,0 +1,247 @@
+// Shared settings for AI Bias Detector
+// Used by the background service worker, popup and options page
+
+const DEFAULT_SETTINGS = {
+    // Providers are tried in this order until one succeeds
+    providerOrder: ['cloud', 'selfHosted', 'perspective', 'openai', 'local'],
+    providers: {
+        // requestsPerMinute caps requests to each remote provider; excess requests wait in a queue (0 = unlimited).
+        // redactPii masks emails, phone numbers, addresses and card numbers before text is sent; redactNames adds person names.
+        cloud: {
+            enabled: true,
+            url: 'https://19hninc006eg.manus.space/api/bias',
+            requestsPerMinute: 30,
+            redactPii: true,
+            redactNames: false
+        },
+        selfHosted: {
+            enabled: false,
+            url: '',
+            apiKey: '',
+            requestsPerMinute: 0,
+            redactPii: false,
+            redactNames: false
+        },
+        perspective: {
+            enabled: false,
+            apiKey: '',
+            requestsPerMinute: 60,
+            redactPii: true,
+            redactNames: false
+        },
+        openai: {
+            enabled: false,
+            apiKey: '',
+            model: 'omni-moderation-latest',
+            requestsPerMinute: 60,
+            redactPii: true,
+            redactNames: false
+        },
+        local: {
+            enabled: true
+        }
+    },
+    analysis: {
+        // Maximum characters sent per request; longer articles are split on paragraphs
+        chunkSize: 4000,
+        // Maximum chunk requests in flight at once
+        maxConcurrency: 3,
+        // Pages analyzed at once by batch scans of URLs or open tabs
+        batchConcurrency: 2,
+        // Score quoted speech apart from the author's own words
+        separateQuotes: true
+    },
+    extraction: {
+        // Longest wait for a page to finish rendering its article before extracting anyway
+        maxWaitMs: 8000,
+        // How long the article's paragraph count and text length must stay unchanged
+        quietMs: 800,
+        // Click "read more" and "show full article" expanders inside the article
+        expandTruncated: false,
+        // Most pages of a paginated article that are fetched and stitched together; 1 turns it off
+        maxPages: 10
+    },
+    network: {
+        // Timeout for each request attempt
+        timeoutMs: 30000,
+        // Retries after the first attempt for 429 and 5xx responses
+        maxRetries: 2,
+        // Base delay for exponential backoff between retries
+        retryBaseDelayMs: 1000
+    },
+    autoScan: {
+        // Opt-in: analyze allow-listed pages as soon as they finish loading
+        enabled: false,
+        domains: [
+            'apnews.com',
+            'reuters.com',
+            'bbc.com',
+            'bbc.co.uk',
+            'npr.org',
+            'nytimes.com',
+            'washingtonpost.com',
+            'wsj.com',
+            'theguardian.com',
+            'cnn.com',
+            'foxnews.com',
+            'nbcnews.com',
+            'cbsnews.com',
+            'abcnews.go.com',
+            'msnbc.com',
+            'usatoday.com',
+            'latimes.com',
+            'nypost.com',
+            'politico.com',
+            'thehill.com',
+            'axios.com',
+            'bloomberg.com',
+            'aljazeera.com',
+            'huffpost.com',
+            'breitbart.com',
+            'dailymail.co.uk'
+        ]
+    },
+    history: {
+        // Keep a local record of every analysis for the history page
+        enabled: true
+    },
+    sendPolicy: {
+        // Sites that may always be sent, even if the built-in list or login-wall check would stop them
+        allowDomains: [],
+        // Sites that are never sent for analysis
+        denyDomains: [],
+        // Ask before sending pages that show a password field or a login or subscription wall
+        confirmLoginWalls: true
+    }
+};
+
+/**
+ * Find the listed domains a URL's hostname matches, either exactly or as a subdomain
+ * @param {string} url URL to check
+ * @param {Array<string>} domains Domains such as "example.com"
+ * @returns {Array<string>} Matching entries from the list
+ */
+function findMatchingDomains(url, domains) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return [];
+    }
+
+    return (domains || []).filter(domain => {
+        const normalized = domain.trim().toLowerCase().replace(/^\*?\./, '');
+        return normalized && (hostname === normalized || hostname.endsWith('.' + normalized));
+    });
+}
+
+/**
+ * Check whether a URL's hostname is one of the listed domains or a subdomain of one
+ * @param {string} url URL to check
+ * @param {Array<string>} domains Domains such as "example.com"
+ * @returns {boolean} True if the URL matches
+ */
+function matchesDomain(url, domains) {
+    return findMatchingDomains(url, domains).length > 0;
+}
+
+// Lists that grow with use. chrome.storage.sync allows only 8 KB per item, so these are kept
+// in chrome.storage.local and the rest of the settings stay in sync.
+const LOCAL_SETTING_LISTS = [
+    ['autoScan', 'domains'],
+    ['sendPolicy', 'allowDomains'],
+    ['sendPolicy', 'denyDomains']
+];
+
+class SettingsStore {
+    /**
+     * Load settings from chrome.storage.sync and the domain lists from chrome.storage.local, merged over the defaults
+     * @returns {Promise<Object>} Settings object
+     */
+    static async load() {
+        try {
+            const [stored, local] = await Promise.all([
+                chrome.storage.sync.get('settings'),
+                chrome.storage.local.get('settingsLists')
+            ]);
+            const settings = SettingsStore.merge(DEFAULT_SETTINGS, stored.settings || {});
+
+            // Lists saved by older versions are still in the synced settings until the next save
+            const lists = local.settingsLists || {};
+            LOCAL_SETTING_LISTS.forEach(([section, key]) => {
+                const value = lists[`${section}.${key}`];
+                if (Array.isArray(value)) {
+                    settings[section][key] = [...value];
+                }
+            });
+
+            // Keep the order list in sync with the known providers
+            const known = Object.keys(DEFAULT_SETTINGS.providers);
+            const order = settings.providerOrder.filter(id => known.includes(id));
+            known.forEach(id => {
+                if (!order.includes(id)) order.push(id);
+            });
+            settings.providerOrder = order;
+
+            return settings;
+
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            return SettingsStore.merge(DEFAULT_SETTINGS, {});
+        }
+    }
+
+    /**
+     * Save settings to chrome.storage.sync and the domain lists to chrome.storage.local
+     * @param {Object} settings Settings object
+     */
+    static async save(settings) {
+        const synced = SettingsStore.merge(settings, {});
+        const lists = {};
+        LOCAL_SETTING_LISTS.forEach(([section, key]) => {
+            lists[`${section}.${key}`] = settings[section][key];
+            delete synced[section][key];
+        });
+
+        await chrome.storage.local.set({ settingsLists: lists });
+        try {
+            await chrome.storage.sync.set({ settings: synced });
+        } catch (error) {
+            if (/quota/i.test(error.message)) {
+                throw new Error('Settings are too large to sync. Shorten long fields such as service URLs and try again.');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Deep merge stored values over defaults without mutating either
+     * @param {Object} defaults Default values
+     * @param {Object} overrides Stored values
+     * @returns {Object} Merged object
+     */
+    static merge(defaults, overrides) {
+        const result = Array.isArray(defaults) ? [...defaults] : { ...defaults };
+
+        Object.keys(overrides || {}).forEach(key => {
+            const value = overrides[key];
+            const base = defaults ? defaults[key] : undefined;
+
+            if (base && typeof base === 'object' && !Array.isArray(base) &&
+                value && typeof value === 'object' && !Array.isArray(value)) {
+                result[key] = SettingsStore.merge(base, value);
+            } else if (value !== undefined) {
+                result[key] = value;
+            }
+        });
+
+        // Copy defaults that are objects so callers can mutate the result safely
+        Object.keys(result).forEach(key => {
+            if (result[key] && typeof result[key] === 'object' && result[key] === (defaults || {})[key]) {
+                result[key] = SettingsStore.merge(result[key], {});
+            }
+        });
+
+        return result;
+    }
+}
@@ -0,0 +1,168 @@
+// Shadow DOM flattening for AI Bias Detector
+// Copies a page into a plain document with open shadow roots inlined, so selectors can reach web component content
+
+class ShadowDomFlattener {
+    /**
+     * @param {Document} doc Document to flatten
+     */
+    constructor(doc) {
+        this.document = doc;
+
+        // Marks the copy of each shadow host with a description of the host
+        this.hostAttribute = 'data-aibd-shadow-host';
+        // Deeply nested components are rare; this guards against pathological trees
+        this.maxDepth = 40;
+        // Elements whose content is never article text
+        this.skippedTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'LINK']);
+    }
+
+    /**
+     * Check whether the document has any open or declarative shadow roots
+     * @returns {boolean} True if flattening would change the document
+     */
+    hasShadowRoots() {
+        if (this.document.querySelector('template[shadowrootmode], template[shadowroot]')) {
+            return true;
+        }
+        return Array.from(this.document.querySelectorAll('*')).some(element => element.shadowRoot);
+    }
+
+    /**
+     * Copy the document's body into a new document, replacing each shadow host's
+     * children with its rendered shadow tree and slotted content
+     * @returns {Object} {document, shadowRoots} with the flattened document and the number of roots inlined
+     */
+    flatten() {
+        const flat = this.document.implementation.createHTMLDocument(this.document.title);
+        this.shadowRoots = 0;
+
+        const body = this.document.body || this.document.documentElement;
+        const copy = this.copyNode(body, flat, 0);
+        if (copy) {
+            flat.documentElement.replaceChild(copy, flat.body);
+        }
+
+        console.log(`Flattened ${this.shadowRoots} shadow root(s) for extraction`);
+        return { document: flat, shadowRoots: this.shadowRoots };
+    }
+
+    /**
+     * Copy a node and its composed children into the target document
+     * @param {Node} node Node to copy
+     * @param {Document} target Document that will own the copy
+     * @param {number} depth Nesting depth
+     * @param {Object|null} tree Shadow tree the node belongs to: {host, outer}, or null for the document tree
+     * @returns {Node|null} Copy, or null if the node is left out
+     */
+    copyNode(node, target, depth, tree = null) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return target.createTextNode(node.nodeValue);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || depth > this.maxDepth || this.skippedTags.has(node.tagName)) {
+            return null;
+        }
+        // Declarative shadow roots are inlined through their host below
+        if (this.isShadowTemplate(node)) {
+            return null;
+        }
+
+        const copy = target.importNode(node, false);
+        const shadow = this.getShadowRoot(node);
+
+        if (shadow) {
+            this.shadowRoots++;
+            copy.setAttribute(this.hostAttribute, this.describeHost(node));
+            this.appendChildren(copy, shadow.childNodes, target, depth, { host: node, outer: tree });
+        } else {
+            this.appendChildren(copy, node.childNodes, target, depth, tree);
+        }
+        return copy;
+    }
+
+    /**
+     * Copy child nodes into a parent copy, replacing <slot> elements with the host content assigned to them
+     * @param {Element} parent Copy to append to
+     * @param {NodeList|Array<Node>} children Children to copy
+     * @param {Document} target Document that will own the copies
+     * @param {number} depth Nesting depth of the parent
+     * @param {Object|null} tree Shadow tree the children belong to: {host, outer}, or null for the document tree
+     */
+    appendChildren(parent, children, target, depth, tree) {
+        Array.from(children).forEach(child => {
+            if (tree && child.nodeType === Node.ELEMENT_NODE && child.tagName === 'SLOT') {
+                const assigned = this.getAssignedNodes(child, tree.host);
+                if (assigned.length > 0) {
+                    // Slotted nodes are the host's light children and belong to the host's own tree
+                    this.appendChildren(parent, assigned, target, depth, tree.outer);
+                } else {
+                    this.appendChildren(parent, child.childNodes, target, depth, tree);
+                }
+                return;
+            }
+
+            const copy = this.copyNode(child, target, depth + 1, tree);
+            if (copy) {
+                parent.appendChild(copy);
+            }
+        });
+    }
+
+    /**
+     * Find the host's light children rendered in a slot
+     * @param {Element} slot Slot element
+     * @param {Element} host Shadow host
+     * @returns {Array<Node>} Assigned nodes; empty when the slot shows its fallback content
+     */
+    getAssignedNodes(slot, host) {
+        const assigned = typeof slot.assignedNodes === 'function' ? slot.assignedNodes() : [];
+        if (assigned.length > 0) {
+            return assigned;
+        }
+
+        // Slots in declarative templates are inert, so their assignment is worked out from slot names
+        const name = slot.getAttribute('name') || '';
+        return Array.from(host.childNodes).filter(child => {
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                return !this.isShadowTemplate(child) && (child.getAttribute('slot') || '') === name;
+            }
+            return !name && child.nodeType === Node.TEXT_NODE;
+        });
+    }
+
+    /**
+     * Get an element's open shadow root, or the content of its declarative shadow root template
+     * @param {Element} element Possible shadow host
+     * @returns {ShadowRoot|DocumentFragment|null} Shadow tree
+     */
+    getShadowRoot(element) {
+        if (element.shadowRoot) {
+            return element.shadowRoot;
+        }
+        const template = Array.from(element.children).find(child => this.isShadowTemplate(child));
+        return template ? template.content : null;
+    }
+
+    /**
+     * Check whether an element is a declarative shadow root template
+     * @param {Element} element Element to check
+     * @returns {boolean} True for <template shadowrootmode>
+     */
+    isShadowTemplate(element) {
+        return element.tagName === 'TEMPLATE' &&
+            (element.hasAttribute('shadowrootmode') || element.hasAttribute('shadowroot'));
+    }
+
+    /**
+     * Describe a shadow host for the extraction result
+     * @param {Element} element Shadow host
+     * @returns {string} Tag name with its id or first class, such as "news-article#story"
+     */
+    describeHost(element) {
+        const tag = element.tagName.toLowerCase();
+        if (element.id) {
+            return `${tag}#${element.id}`;
+        }
+        const className = (element.getAttribute('class') || '').trim().split(/\s+/)[0];
+        return className ? `${tag}.${className}` : tag;
+    }
+}
@@ -0,0 +1,483 @@
+// Site rule picker for AI Bias Detector
+// Builds a site-specific extraction rule from the article body and the parts to leave out, chosen by clicking the page
+
+class SiteRulePicker {
+    /**
+     * @param {Document} [doc] Document to pick from
+     * @param {Object} [options] Picker options
+     * @param {Function} [options.onSave] Called with the built rule; returns a Promise for the stored rule
+     */
+    constructor(doc, options = {}) {
+        this.document = doc || document;
+        this.onSave = options.onSave || null;
+
+        // 'body' while choosing the article body, 'exclude' while choosing parts to leave out
+        this.mode = 'body';
+        this.active = false;
+        this.body = null;
+        this.excluded = [];
+        this.hovered = null;
+
+        this.host = null;
+        this.ui = null;
+
+        // Generated class names and IDs change between deployments, so rules can't rely on them
+        this.unstableNamePattern = /^(css|sc|jsx|emotion|styled|svelte|ember)-|[0-9a-f]{8,}|\d{3,}|^[a-z]{1,2}\d|--[a-z0-9]{5,}$/i;
+        // Attributes that name what an element is and are kept stable by sites
+        this.stableAttributes = ['itemprop', 'role', 'data-testid', 'data-component', 'data-module'];
+        // Classes used per selector part; more make the rule brittle
+        this.maxClasses = 2;
+
+        this.handlers = {
+            move: (event) => this.onMove(event),
+            click: (event) => this.onClick(event),
+            key: (event) => this.onKey(event),
+            scroll: () => this.render()
+        };
+    }
+
+    /**
+     * Show the picker and start listening for clicks on the page
+     */
+    start() {
+        if (this.active) return;
+
+        this.active = true;
+        this.mode = 'body';
+        this.body = null;
+        this.excluded = [];
+        this.createUi();
+
+        this.document.addEventListener('mousemove', this.handlers.move, true);
+        this.document.addEventListener('click', this.handlers.click, true);
+        this.document.addEventListener('keydown', this.handlers.key, true);
+        this.document.defaultView?.addEventListener('scroll', this.handlers.scroll, true);
+        this.render();
+        console.log('Site rule picker started');
+    }
+
+    /**
+     * Remove the picker and restore normal clicking
+     */
+    stop() {
+        if (!this.active) return;
+
+        this.document.removeEventListener('mousemove', this.handlers.move, true);
+        this.document.removeEventListener('click', this.handlers.click, true);
+        this.document.removeEventListener('keydown', this.handlers.key, true);
+        this.document.defaultView?.removeEventListener('scroll', this.handlers.scroll, true);
+
+        this.host?.remove();
+        this.host = null;
+        this.ui = null;
+        this.active = false;
+        this.body = null;
+        this.excluded = [];
+        this.hovered = null;
+        console.log('Site rule picker stopped');
+    }
+
+    /**
+     * Outline the element under the pointer
+     * @param {MouseEvent} event Mouse event
+     */
+    onMove(event) {
+        const target = this.getTarget(event);
+        if (target !== this.hovered) {
+            this.hovered = target;
+            this.render();
+        }
+    }
+
+    /**
+     * Choose the article body, or toggle a part to leave out once the body is chosen
+     * @param {MouseEvent} event Mouse event
+     */
+    onClick(event) {
+        if (this.isPickerEvent(event)) {
+            return;
+        }
+
+        // The page must not follow links or run its own handlers while picking
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        const target = this.getTarget(event);
+        if (!target) return;
+
+        if (this.mode === 'body') {
+            this.body = target;
+            this.mode = 'exclude';
+        } else if (this.excluded.includes(target)) {
+            this.excluded = this.excluded.filter(element => element !== target);
+        } else {
+            // Leaving out a block covers anything already left out inside it
+            this.excluded = this.excluded.filter(element => !target.contains(element));
+            this.excluded.push(target);
+        }
+
+        this.hovered = null;
+        this.render();
+    }
+
+    /**
+     * Cancel with Escape
+     * @param {KeyboardEvent} event Keyboard event
+     */
+    onKey(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.stop();
+        }
+    }
+
+    /**
+     * Find the page element an event is about, if it can be picked in the current mode
+     * @param {Event} event Mouse event
+     * @returns {Element|null} Element, or null for the picker itself and out-of-scope elements
+     */
+    getTarget(event) {
+        if (this.isPickerEvent(event)) {
+            return null;
+        }
+
+        const target = event.target;
+        if (!target || target.nodeType !== Node.ELEMENT_NODE ||
+            target === this.document.documentElement || target === this.document.body) {
+            return null;
+        }
+
+        // Parts to leave out must be inside the article body
+        if (this.mode === 'exclude' && (target === this.body || !this.body.contains(target))) {
+            return null;
+        }
+        return target;
+    }
+
+    /**
+     * Check whether an event happened on the picker's own panel
+     * @param {Event} event DOM event
+     * @returns {boolean} True for picker events
+     */
+    isPickerEvent(event) {
+        return Boolean(this.host) && event.composedPath().includes(this.host);
+    }
+
+    /**
+     * Make the article body the chosen element's parent, for when a click landed on one paragraph
+     */
+    widen() {
+        const parent = this.body?.parentElement;
+        if (!parent || parent === this.document.body || parent === this.document.documentElement) {
+            return;
+        }
+
+        this.body = parent;
+        this.render();
+    }
+
+    /**
+     * Go back to choosing the article body
+     */
+    restart() {
+        this.mode = 'body';
+        this.body = null;
+        this.excluded = [];
+        this.render();
+    }
+
+    /**
+     * Build the rule for the current choices
+     * @returns {Object} Rule with pattern, content, exclude, title and pagination
+     */
+    buildRule() {
+        const hostname = (this.document.location?.hostname || '').toLowerCase().replace(/^www\./, '');
+        const headings = this.document.querySelectorAll('h1');
+
+        return {
+            pattern: hostname,
+            content: [this.buildSelector(this.body)],
+            exclude: this.excluded.map(element => this.buildRelativeSelector(element, this.body)),
+            // A single <h1> is almost always the headline
+            title: headings.length === 1 ? this.buildSelector(headings[0]) : null,
+            pagination: null
+        };
+    }
+
+    /**
+     * Save the rule and close the picker after confirming
+     */
+    async save() {
+        if (!this.body || !this.onSave) return;
+
+        const rule = this.buildRule();
+        this.setMessage('Saving…');
+
+        try {
+            const saved = await this.onSave(rule);
+            this.setMessage(`Rule saved for ${saved?.pattern || rule.pattern}. Scan the article again to use it.`);
+            this.ui.actions.hidden = true;
+            setTimeout(() => this.stop(), 2500);
+        } catch (error) {
+            console.error('Error saving site rule:', error);
+            this.setMessage(`Could not save the rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a selector for an element that other articles on the same site are likely to share:
+     * stable IDs, classes and attributes first, with ancestors added until it is unique
+     * @param {Element} element Element to describe
+     * @returns {string} CSS selector
+     */
+    buildSelector(element) {
+        const parts = [];
+        for (let current = element; current && current !== this.document.documentElement; current = current.parentElement) {
+            parts.unshift(this.describeElement(current));
+            const selector = parts.join(' > ');
+            if (this.isUniqueMatch(selector, element)) {
+                return selector;
+            }
+        }
+
+        // Nothing distinctive: fall back to the element's position in the page
+        return this.buildPathSelector(element, this.document.body);
+    }
+
+    /**
+     * Build a selector for a part to leave out, applied inside a copy of the article body.
+     * Distinctive parts such as ".newsletter-signup" are matched by name, so repeats are left out too.
+     * @param {Element} element Element to leave out
+     * @param {Element} root Article body
+     * @returns {string} CSS selector
+     */
+    buildRelativeSelector(element, root) {
+        const description = this.describeElement(element);
+        const distinctive = description !== element.tagName.toLowerCase();
+        if (distinctive && Array.from(root.querySelectorAll(description)).includes(element)) {
+            return description;
+        }
+        return this.buildPathSelector(element, root);
+    }
+
+    /**
+     * Describe one element by tag and its stable ID, attributes and classes
+     * @param {Element} element Element
+     * @returns {string} Selector part such as "div.article-body" or "#story"
+     */
+    describeElement(element) {
+        if (element.id && !this.unstableNamePattern.test(element.id)) {
+            return `#${CSS.escape(element.id)}`;
+        }
+
+        let part = element.tagName.toLowerCase();
+        this.stableAttributes.forEach(name => {
+            const value = element.getAttribute(name);
+            if (value && !this.unstableNamePattern.test(value)) {
+                part += `[${name}="${value.replace(/["\\]/g, '\\$&')}"]`;
+            }
+        });
+
+        Array.from(element.classList)
+            .filter(name => !this.unstableNamePattern.test(name))
+            .slice(0, this.maxClasses)
+            .forEach(name => {
+                part += `.${CSS.escape(name)}`;
+            });
+        return part;
+    }
+
+    /**
+     * Build a selector from an element's position under a root, such as ":scope > div:nth-of-type(2) > p"
+     * @param {Element} element Element
+     * @param {Element} root Ancestor the path starts from
+     * @returns {string} CSS selector
+     */
+    buildPathSelector(element, root) {
+        const parts = [];
+        for (let current = element; current && current !== root; current = current.parentElement) {
+            const tag = current.tagName.toLowerCase();
+            const siblings = Array.from(current.parentElement?.children || []).filter(sibling => sibling.tagName === current.tagName);
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+        }
+
+        const start = root === this.document.body ? 'body' : ':scope';
+        return [start, ...parts].join(' > ');
+    }
+
+    /**
+     * Check that a selector matches exactly one element, the given one
+     * @param {string} selector CSS selector
+     * @param {Element} element Expected match
+     * @returns {boolean} True if unique
+     */
+    isUniqueMatch(selector, element) {
+        try {
+            const matches = this.document.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create the outlines and the control panel in a closed shadow root, so page styles can't reach them
+     */
+    createUi() {
+        this.host = this.document.createElement('aibd-picker');
+        this.host.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+        const shadow = this.host.attachShadow({ mode: 'closed' });
+
+        const style = this.document.createElement('style');
+        style.textContent = `
+            .box {
+                position: fixed;
+                display: none;
+                pointer-events: none;
+                border-radius: 3px;
+            }
+            .hover { border: 2px dashed #667eea; background: rgba(102, 126, 234, 0.12); }
+            .hover.exclude { border-color: #ef4444; background: rgba(239, 68, 68, 0.12); }
+            .body { border: 3px solid #667eea; background: rgba(102, 126, 234, 0.08); }
+            .excluded { border: 2px solid #ef4444; background: rgba(239, 68, 68, 0.25); }
+            .panel {
+                position: fixed;
+                right: 16px;
+                bottom: 16px;
+                width: 320px;
+                padding: 14px 16px;
+                border-radius: 12px;
+                background: #1a1a2e;
+                color: #e2e8f0;
+                font: 13px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+            }
+            .title { font-weight: 700; color: #ffffff; margin-bottom: 6px; }
+            .selector {
+                margin: 8px 0;
+                padding: 6px 8px;
+                border-radius: 6px;
+                background: rgba(255, 255, 255, 0.08);
+                font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+                word-break: break-all;
+            }
+            .selector:empty { display: none; }
+            .actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+            .actions[hidden] { display: none; }
+            button {
+                padding: 6px 10px;
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 6px;
+                background: transparent;
+                color: #e2e8f0;
+                font: inherit;
+                cursor: pointer;
+            }
+            button.primary { background: #667eea; border-color: #667eea; color: #ffffff; }
+            button:disabled { opacity: 0.4; cursor: default; }
+        `;
+
+        const box = (className) => {
+            const element = this.document.createElement('div');
+            element.className = `box ${className}`;
+            return element;
+        };
+        const button = (label, handler, className = '') => {
+            const element = this.document.createElement('button');
+            element.textContent = label;
+            element.className = className;
+            element.addEventListener('click', handler);
+            return element;
+        };
+
+        const panel = this.document.createElement('div');
+        panel.className = 'panel';
+        const title = this.document.createElement('div');
+        title.className = 'title';
+        title.textContent = `Extraction rule for ${this.document.location?.hostname || 'this site'}`;
+        const message = this.document.createElement('div');
+        const selector = this.document.createElement('div');
+        selector.className = 'selector';
+        const actions = this.document.createElement('div');
+        actions.className = 'actions';
+
+        this.ui = {
+            hover: box('hover'),
+            body: box('body'),
+            excludedLayer: this.document.createElement('div'),
+            message: message,
+            selector: selector,
+            actions: actions,
+            save: button('Save rule', () => this.save(), 'primary'),
+            widen: button('Select parent', () => this.widen()),
+            restart: button('Start over', () => this.restart()),
+            cancel: button('Cancel', () => this.stop())
+        };
+
+        actions.append(this.ui.save, this.ui.widen, this.ui.restart, this.ui.cancel);
+        panel.append(title, message, selector, actions);
+        shadow.append(style, this.ui.excludedLayer, this.ui.body, this.ui.hover, panel);
+        this.document.documentElement.appendChild(this.host);
+    }
+
+    /**
+     * Redraw the outlines and the panel for the current state
+     */
+    render() {
+        if (!this.ui) return;
+
+        this.ui.hover.classList.toggle('exclude', this.mode === 'exclude');
+        this.placeBox(this.ui.hover, this.hovered);
+        this.placeBox(this.ui.body, this.body);
+
+        this.ui.excludedLayer.replaceChildren(...this.excluded.map(element => {
+            const outline = this.document.createElement('div');
+            outline.className = 'box excluded';
+            this.placeBox(outline, element);
+            return outline;
+        }));
+
+        if (this.mode === 'body') {
+            this.setMessage('Click the article body: the block that holds all of the story\'s paragraphs. Press Esc to cancel.');
+            this.ui.selector.textContent = '';
+        } else {
+            const words = (this.body.innerText || this.body.textContent || '').split(/\s+/).filter(Boolean).length;
+            const left = this.excluded.length > 0 ? ` ${this.excluded.length} part(s) left out.` : '';
+            this.setMessage(`Article body selected (${words} words). Click parts inside it to leave them out, or click them again to keep them.${left}`);
+            this.ui.selector.textContent = this.buildSelector(this.body);
+        }
+
+        this.ui.save.disabled = !this.body;
+        this.ui.widen.disabled = !this.body;
+        this.ui.restart.disabled = !this.body;
+    }
+
+    /**
+     * Position an outline over an element, or hide it
+     * @param {Element} box Outline element
+     * @param {Element|null} element Element to cover
+     */
+    placeBox(box, element) {
+        if (!element || !element.isConnected) {
+            box.style.display = 'none';
+            return;
+        }
+
+        const rect = element.getBoundingClientRect();
+        box.style.display = 'block';
+        box.style.top = `${rect.top}px`;
+        box.style.left = `${rect.left}px`;
+        box.style.width = `${rect.width}px`;
+        box.style.height = `${rect.height}px`;
+    }
+
+    /**
+     * Show a message in the panel
+     * @param {string} text Message
+     */
+    setMessage(text) {
+        if (this.ui) {
+            this.ui.message.textContent = text;
+        }
+    }
+}
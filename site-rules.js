@@ -0,0 +1,210 @@
+// Site-specific extraction rules for AI Bias Detector
+// Keeps user-defined selectors per site that take precedence over the generic article detection
+
+class SiteRuleStore {
+    constructor() {
+        this.storageKey = 'siteRules';
+        // Selectors kept per field, so a rule pack can't grow without bound
+        this.maxSelectors = 20;
+    }
+
+    /**
+     * Find the rule for a URL, preferring the most specific pattern
+     * @param {string} url Page URL
+     * @returns {Promise<Object|null>} Rule or null
+     */
+    async findRule(url) {
+        const rules = await this.getAll();
+        const matches = rules.filter(rule => this.matchesPattern(url, rule.pattern));
+
+        if (matches.length === 0) return null;
+        return matches.sort((a, b) => b.pattern.length - a.pattern.length)[0];
+    }
+
+    /**
+     * Get all rules sorted by pattern
+     * @returns {Promise<Array<Object>>} Rules
+     */
+    async getAll() {
+        const rules = await this.load();
+        return Object.values(rules).sort((a, b) => a.pattern.localeCompare(b.pattern));
+    }
+
+    /**
+     * Add or replace a rule
+     * @param {Object} record Rule fields: pattern, content, exclude, title, pagination
+     * @param {string} [previousPattern] Pattern the rule was stored under, when it is renamed
+     * @returns {Promise<Object>} Stored rule
+     */
+    async save(record, previousPattern = null) {
+        const rule = this.normalizeRule(record);
+        if (!rule) {
+            throw new Error('A rule needs a site such as "example.com" and at least one valid content selector');
+        }
+
+        const rules = await this.load();
+        if (previousPattern && previousPattern !== rule.pattern) {
+            delete rules[previousPattern];
+        }
+        rules[rule.pattern] = rule;
+        await chrome.storage.local.set({ [this.storageKey]: rules });
+
+        console.log('Saved site rule for', rule.pattern);
+        return rule;
+    }
+
+    /**
+     * Delete the rule for a pattern
+     * @param {string} pattern Rule pattern
+     */
+    async remove(pattern) {
+        const rules = await this.load();
+        delete rules[pattern];
+        await chrome.storage.local.set({ [this.storageKey]: rules });
+    }
+
+    /**
+     * Import a rule pack, replacing existing rules for the same patterns
+     * @param {string} text JSON text: an array of rules or an object with a "rules" array
+     * @returns {Promise<Object>} Counts of imported and skipped rules
+     */
+    async importData(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON must be an array of rules or an object with a "rules" array');
+        }
+
+        const rules = await this.load();
+        let imported = 0;
+        let skipped = 0;
+
+        records.forEach(record => {
+            const rule = this.normalizeRule(record);
+            if (rule) {
+                rules[rule.pattern] = rule;
+                imported++;
+            } else {
+                skipped++;
+            }
+        });
+
+        await chrome.storage.local.set({ [this.storageKey]: rules });
+
+        return { imported, skipped };
+    }
+
+    /**
+     * Export all rules as a rule pack
+     * @returns {Promise<string>} JSON text
+     */
+    async exportData() {
+        const rules = await this.getAll();
+        return JSON.stringify({ version: 1, rules: rules }, null, 2);
+    }
+
+    /**
+     * Check whether a URL matches a rule pattern. Patterns are a domain, which includes its
+     * subdomains, optionally followed by a path prefix: "example.com" or "example.com/opinion".
+     * @param {string} url Page URL
+     * @param {string} pattern Rule pattern
+     * @returns {boolean} True if the rule applies
+     */
+    matchesPattern(url, pattern) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        const slash = pattern.indexOf('/');
+        const domain = slash === -1 ? pattern : pattern.substring(0, slash);
+        const path = slash === -1 ? '' : pattern.substring(slash);
+
+        const hostname = parsed.hostname.toLowerCase();
+        if (hostname !== domain && !hostname.endsWith('.' + domain)) {
+            return false;
+        }
+        return !path || parsed.pathname === path || parsed.pathname.startsWith(path.replace(/\/?$/, '/'));
+    }
+
+    /**
+     * Validate and normalize a raw rule
+     * @param {Object} record Raw rule
+     * @returns {Object|null} Rule or null if invalid
+     */
+    normalizeRule(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const pattern = this.normalizePattern(record.pattern ?? record.domain);
+        const content = this.normalizeSelectors(record.content);
+        if (!pattern || content.length === 0) return null;
+
+        return {
+            pattern: pattern,
+            content: content,
+            exclude: this.normalizeSelectors(record.exclude),
+            title: this.normalizeSelectors(record.title)[0] || null,
+            pagination: this.normalizeSelectors(record.pagination)[0] || null,
+            updatedAt: typeof record.updatedAt === 'number' ? record.updatedAt : Date.now()
+        };
+    }
+
+    /**
+     * Normalize a site pattern such as "https://www.Example.com/Opinion/" to "example.com/Opinion"
+     * @param {*} value Raw pattern
+     * @returns {string|null} Pattern, or null if it has no valid domain
+     */
+    normalizePattern(value) {
+        const raw = String(value || '').trim().replace(/^https?:\/\//i, '').replace(/^\*?\./, '');
+        const slash = raw.indexOf('/');
+        const domain = (slash === -1 ? raw : raw.substring(0, slash)).toLowerCase().replace(/^www\./, '');
+        // Paths are case-sensitive; the query and fragment are never part of a pattern
+        const path = slash === -1 ? '' : raw.substring(slash).replace(/[?#].*$/, '').replace(/\/+$/, '');
+
+        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) return null;
+        return domain + path;
+    }
+
+    /**
+     * Normalize one or more selectors to a list, dropping invalid ones
+     * @param {*} value Selector string, list of selectors, or newline-separated selectors
+     * @returns {Array<string>} Selectors
+     */
+    normalizeSelectors(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split('\n');
+        const selectors = list
+            .filter(selector => typeof selector === 'string')
+            .map(selector => selector.trim())
+            .filter(selector => selector && this.isValidSelector(selector));
+        return Array.from(new Set(selectors)).slice(0, this.maxSelectors);
+    }
+
+    /**
+     * Check that a selector parses; the service worker has no DOM, so selectors are
+     * only checked on pages, and extraction skips any that fail there
+     * @param {string} selector CSS selector
+     * @returns {boolean} True if valid or it can't be checked here
+     */
+    isValidSelector(selector) {
+        if (typeof document === 'undefined') {
+            return true;
+        }
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load rules keyed by pattern
+     * @returns {Promise<Object>} Map of pattern to rule
+     */
+    async load() {
+        const stored = await chrome.storage.local.get(this.storageKey);
+        return stored[this.storageKey] || {};
+    }
+}
@@ -0,0 +1,124 @@
+// Text chunking for AI Bias Detector
+// Splits long articles on paragraph boundaries into size-bounded chunks
+
+class TextChunker {
+    /**
+     * @param {Object} [options] Chunking options
+     * @param {number} [options.maxChunkSize] Maximum characters per chunk
+     * @param {number} [options.previewLength] Characters kept as a section preview
+     */
+    constructor(options = {}) {
+        this.maxChunkSize = options.maxChunkSize || 4000;
+        this.previewLength = options.previewLength || 140;
+    }
+
+    /**
+     * Split text into chunks that never break a paragraph unless it is
+     * longer than the chunk size on its own
+     * @param {string} text Article text with paragraphs separated by blank lines
+     * @returns {Array<Object>} Chunks with index, text, preview and word count
+     */
+    split(text) {
+        const paragraphs = this.splitParagraphs(text);
+        const chunks = [];
+        let current = [];
+        let currentLength = 0;
+
+        const flush = () => {
+            if (current.length === 0) return;
+            const chunkText = current.join('\n\n');
+            chunks.push({
+                index: chunks.length,
+                text: chunkText,
+                preview: this.createPreview(chunkText),
+                wordCount: this.countWords(chunkText)
+            });
+            current = [];
+            currentLength = 0;
+        };
+
+        paragraphs.forEach(paragraph => {
+            const pieces = paragraph.length > this.maxChunkSize
+                ? this.splitLongParagraph(paragraph)
+                : [paragraph];
+
+            pieces.forEach(piece => {
+                // +2 for the paragraph separator
+                if (currentLength > 0 && currentLength + piece.length + 2 > this.maxChunkSize) {
+                    flush();
+                }
+                current.push(piece);
+                currentLength += piece.length + 2;
+            });
+        });
+
+        flush();
+        return chunks;
+    }
+
+    /**
+     * Split text into trimmed, non-empty paragraphs
+     * @param {string} text Text to split
+     * @returns {Array<string>} Paragraphs
+     */
+    splitParagraphs(text) {
+        return (text || '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(paragraph => paragraph.length > 0);
+    }
+
+    /**
+     * Split an oversized paragraph on sentence boundaries, falling back to
+     * hard splits for sentences that are still too long
+     * @param {string} paragraph Paragraph longer than the chunk size
+     * @returns {Array<string>} Pieces no longer than the chunk size
+     */
+    splitLongParagraph(paragraph) {
+        const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph];
+        const pieces = [];
+        let current = '';
+
+        sentences.forEach(sentence => {
+            if (sentence.length > this.maxChunkSize) {
+                if (current) pieces.push(current.trim());
+                current = '';
+                for (let i = 0; i < sentence.length; i += this.maxChunkSize) {
+                    pieces.push(sentence.slice(i, i + this.maxChunkSize).trim());
+                }
+                return;
+            }
+
+            if (current.length + sentence.length > this.maxChunkSize) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+        });
+
+        if (current.trim()) pieces.push(current.trim());
+        return pieces.filter(piece => piece.length > 0);
+    }
+
+    /**
+     * Create a short preview of a chunk for display
+     * @param {string} text Chunk text
+     * @returns {string} Preview
+     */
+    createPreview(text) {
+        if (text.length <= this.previewLength) return text;
+        const cut = text.slice(0, this.previewLength);
+        const lastSpace = cut.lastIndexOf(' ');
+        return (lastSpace > this.previewLength / 2 ? cut.slice(0, lastSpace) : cut) + '…';
+    }
+
+    /**
+     * Count words in text
+     * @param {string} text Text to count words in
+     * @returns {number} Word count
+     */
+    countWords(text) {
+        if (!text) return 0;
+        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    }
+}